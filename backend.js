@@ -0,0 +1,344 @@
+// ============================================
+// MEMORY BACKEND (backend.js) - PLUGGABLE STORAGE
+// One interface for every memory action. Adapters:
+//   "apps_script" -> Google Apps Script Web App (symbiosis_apps_script_url)
+//   "indexeddb"   -> Fully in-browser store (memory-engine.js)
+// ============================================
+
+const BACKEND_IDB_NAME = "symbiosis_memory";
+const BACKEND_IDB_STORE = "tables";
+const BACKEND_ENTITY_KEY = "symbiosis_entities";
+const BACKEND_RELATION_KEY = "symbiosis_relations";
+const BACKEND_SESSION_KEY = "symbiosis_session_summary";
+const ENTITY_ACTIONS = [
+    "list_entities", "resolve_entities", "entity_mentions", "upsert_entity", "merge_entities", "split_entity",
+    "list_relations", "related_entities", "upsert_relation", "delete_relation"
+];
+const SESSION_ACTIONS = ["get_session_summary", "save_session_summary"];
+
+// { status: "error", message: "Unknown action: list_facts" }: the backend doesn't have that action
+// (an Apps Script deployment older than the action, for one)
+const isUnknownAction = (res) => !!res && res.status === "error" && /unknown action|invalid action|not supported|unsupported/i.test(String(res.message || ""));
+
+// --- 1. SHARED INTERFACE ---
+// Every adapter is just a transport: (action, payload) => Promise<response JSON>.
+// The named methods below are the only way the app talks to memory.
+// trace: the turn the calls belong to (see withTrace). Without one, the turn active when a call starts.
+function createMemoryBackend(name, rawTransport, trace = null) {
+    // Every call lands in the turn's trace (trace.js) with its payload, response and latency
+    const transport = async (action, payload = {}) => {
+        const target = trace || window.Trace.current();
+        const started = Date.now();
+        try {
+            const res = await rawTransport(action, payload);
+            window.Trace.backendCall(name, action, payload, res, Date.now() - started, null, target);
+            if (action === "batch" && res && Array.isArray(res.results)) {
+                [].concat(payload.operations || []).forEach((op, i) => learn(op.action, res.results[i]));
+            } else {
+                learn(action, res);
+            }
+            return res;
+        } catch (e) {
+            window.Trace.backendCall(name, action, payload, null, Date.now() - started, e, target);
+            throw e;
+        }
+    };
+
+    // Every action is sent; one the backend answers with "unknown action" is remembered, so
+    // optional calls can be skipped and the UI can say what is missing (supports)
+    const learn = (action, res) => {
+        if (!isUnknownAction(res) || api.unsupported.includes(action)) return;
+        api.unsupported.push(action);
+        console.warn(`⚠️ ${name} has no ${action} action: ${res.message}`);
+    };
+
+    const api = {
+        name: name,
+        call: transport,
+        // Actions the backend said it doesn't know (shared with the withTrace copies)
+        unsupported: [],
+        supports: (action) => !api.unsupported.includes(action),
+        // Same backend, but every call is booked to this trace (background stages outlive their turn)
+        withTrace(t) {
+            return Object.assign(createMemoryBackend(name, rawTransport, t), { outbox: this.outbox, unsupported: this.unsupported });
+        },
+        // [{ action, ...payload }] -> one response per operation, in one round trip where the backend allows
+        batch: async (operations) => (await transport("batch", { operations: operations })).results,
+
+        retrieve: (payload) => transport("retrieve", payload),
+        storeAtomic: (payload) => transport("store_atomic", payload),
+        logChat: (payload) => transport("log_chat", payload),
+        getRecentChat: (payload = {}) => transport("get_recent_chat", payload),
+        getSessionSummary: () => transport("get_session_summary", {}),
+        saveSessionSummary: (payload) => transport("save_session_summary", payload),
+
+        listFacts: (payload = {}) => transport("list_facts", payload),
+        updateFact: (payload) => transport("update_fact", payload),
+        factHistory: (payload) => transport("fact_history", payload),
+        reinforceFacts: (payload) => transport("reinforce_facts", payload),
+        fadingFacts: (payload = {}) => transport("fading_facts", payload),
+        deleteFact: (payload) => transport("delete_fact", payload),
+        importFacts: async (payload) => {
+            const res = api.supports("import_facts") ? await transport("import_facts", payload) : null;
+            if (res && typeof res.imported === 'number') return res;
+
+            // Backend has no bulk import (e.g. an older Apps Script): store one by one
+            console.warn("⚠️ import_facts unsupported. Falling back to store_atomic.");
+            let imported = 0;
+            for (const rec of payload.facts) {
+                await transport("store_atomic", rec);
+                imported++;
+            }
+            return { status: "success", imported: imported, duplicates: 0, invalid: [] };
+        },
+
+        retrieveDirectorMemory: (payload) => transport("retrieve_director_memory", payload),
+        storeDirectorFact: (payload) => transport("store_director_fact", payload),
+        directorSearch: (payload) => transport("director_search", payload),
+        searchEntityVisuals: (payload) => transport("search_entity_visuals", payload),
+        updateVideoLibrary: () => transport("update_video_library", {}),
+
+        listEntities: () => transport("list_entities", {}),
+        resolveEntities: (payload) => transport("resolve_entities", payload),
+        entityMentions: (payload) => transport("entity_mentions", payload),
+        upsertEntity: (payload) => transport("upsert_entity", payload),
+        mergeEntities: (payload) => transport("merge_entities", payload),
+        splitEntity: (payload) => transport("split_entity", payload),
+
+        listRelations: (payload = {}) => transport("list_relations", payload),
+        relatedEntities: (payload) => transport("related_entities", payload),
+        upsertRelation: (payload) => transport("upsert_relation", payload),
+        deleteRelation: (payload) => transport("delete_relation", payload)
+    };
+    return api;
+}
+
+// --- 2. APPS SCRIPT ADAPTER ---
+// The sheet has no entity, relation or session tabs, so the registry, the relation graph and
+// the rolling conversation summary live in this browser (localStorage) and names are made
+// canonical before they reach the sheet.
+function createLocalEntityEngine() {
+    const keys = { entities: BACKEND_ENTITY_KEY, relations: BACKEND_RELATION_KEY, sessions: BACKEND_SESSION_KEY };
+    const state = window.MemoryEngine.emptyState();
+    Object.keys(keys).forEach(t => state[t] = JSON.parse(window.profileStorage.getItem(keys[t]) || "[]"));
+    return window.MemoryEngine.createMemoryEngine(state, (table) => {
+        if (keys[table]) window.profileStorage.setItem(keys[table], JSON.stringify(state[table]));
+    });
+}
+
+function createAppsScriptBackend(url) {
+    const entityEngine = createLocalEntityEngine();
+
+    const canonical = async (names, types) => {
+        const res = await entityEngine.handle("resolve_entities", { names: names || "", create: true, types: types });
+        return [...new Set(res.entities.map(e => e.name))].join(", ");
+    };
+    const withAliases = async (keywords, query) => {
+        const list = [].concat(keywords || []);
+        const res = await entityEngine.handle("entity_mentions", { text: [...list, query || ""].join(" | ") });
+        res.entities.forEach(e => list.push(e.name, ...e.aliases));
+        return [...new Set(list)];
+    };
+    // "Friends of Jemi" -> the people the local graph knows about
+    const relatedFor = async (query) => {
+        const q = window.SymbiosisRelations.parseRelationQuery(query);
+        if (!q) return null;
+        const res = await entityEngine.handle("related_entities", { entity: q.name, types: [q.type] });
+        return res.status === "success" ? { entity: res.entity.name, type: q.type, entities: res.related } : null;
+    };
+
+    const post = async (action, payload) => {
+        const req = await fetch(url, {
+            method: "POST",
+            mode: "cors",
+            redirect: "follow",
+            headers: { "Content-Type": "text/plain" },
+            body: JSON.stringify({ action: action, ...payload })
+        });
+        return req.json();
+    };
+
+    // [{ action, ...payload }] -> responses. Older deployments have no "batch" action:
+    // remember that and send one request per operation instead.
+    let batchSupported = true;
+    const postBatch = async (operations) => {
+        if (operations.length === 1) {
+            const { action, ...payload } = operations[0];
+            return [await post(action, payload)];
+        }
+        if (batchSupported) {
+            const res = await post("batch", { operations: operations });
+            if (res && Array.isArray(res.results)) return res.results;
+            batchSupported = false;
+            console.warn("⚠️ batch unsupported. Falling back to one request per operation.");
+        }
+        const results = [];
+        for (const { action, ...payload } of operations) results.push(await post(action, payload));
+        return results;
+    };
+    const outbox = (window.createOutbox && window.indexedDB) ? window.createOutbox(postBatch, window.renderOutboxStatus) : null;
+
+    // Canonical names in, before an operation reaches the sheet
+    async function prepare(action, payload) {
+        if (action === "store_atomic") payload = { ...payload, entities: await canonical(payload.entities, payload.entity_types) };
+        if (action === "store_director_fact") payload = { ...payload, entity: await canonical(payload.entity) };
+        const related = action === "retrieve" ? await relatedFor(payload.query) : null;
+        if (action === "retrieve" || action === "retrieve_director_memory") {
+            const names = related ? related.entities.map(r => r.name) : [];
+            payload = { ...payload, keywords: await withAliases([].concat(payload.keywords || [], names), payload.query) };
+        }
+        if (action === "search_entity_visuals") payload = { ...payload, entityName: await canonical(payload.entityName) };
+        return { action, payload, related };
+    }
+
+    // Writes go through the outbox so a dropped connection can't lose them; reads go out as one batch
+    async function send(ops) {
+        const isWrite = (op) => outbox && window.OUTBOX_ACTIONS.includes(op.action);
+        const flat = (op) => ({ action: op.action, ...op.payload });
+        const writes = ops.filter(isWrite), reads = ops.filter(op => !isWrite(op));
+        const [written, read] = await Promise.all([
+            writes.length > 0 ? outbox.enqueueMany(writes.map(flat)) : [],
+            reads.length > 0 ? postBatch(reads.map(flat)) : []
+        ]);
+        return ops.map(op => isWrite(op) ? written[writes.indexOf(op)] : read[reads.indexOf(op)]);
+    }
+
+    async function finish({ action, payload, related }, res) {
+        // The sheet only keyword-matches, so re-rank its hits with BM25 here
+        if (action === "retrieve" && res.found && Array.isArray(res.relevant_memories)) {
+            if (payload.date_range) res.relevant_memories = filterMemoryStringsByDate(res.relevant_memories, payload.date_range);
+            const terms = [].concat(payload.keywords || [], payload.query || "");
+            const ranked = window.SymbiosisRetrieval.rankMemoryStrings(res.relevant_memories, terms, { topK: payload.top_k });
+            if (ranked.length > 0) res.relevant_memories = ranked.map(r => r.ref);
+        }
+        if (action === "retrieve") res.related = related;
+        if (action === "get_recent_chat" && res && !res.summary) res.summary = (await entityEngine.handle("get_session_summary", {})).summary;
+
+        // Grow the local graph from whatever the stored fact says about who is related to whom
+        // (also while the write itself is still queued)
+        if (action === "store_atomic" && res.status !== "error") {
+            for (const rel of [].concat(payload.relations || [])) {
+                await entityEngine.handle("upsert_relation", { ...rel, note: payload.fact });
+            }
+        }
+        return res;
+    }
+
+    // A batch is split up: registry / graph / summary operations run here, the rest share one trip to the sheet
+    const backend = createMemoryBackend("apps_script", async (action, payload = {}) => {
+        const ops = action === "batch"
+            ? [].concat(payload.operations || []).map(({ action, ...rest }) => ({ action, payload: rest }))
+            : [{ action, payload }];
+
+        const results = new Array(ops.length);
+        const remote = [], indexes = [];
+        for (const [i, op] of ops.entries()) {
+            if (ENTITY_ACTIONS.includes(op.action) || SESSION_ACTIONS.includes(op.action)) results[i] = await entityEngine.handle(op.action, op.payload);
+            else { remote.push(await prepare(op.action, op.payload)); indexes.push(i); }
+        }
+        const sent = remote.length > 0 ? await send(remote) : [];
+        for (const [j, op] of remote.entries()) results[indexes[j]] = await finish(op, sent[j]);
+
+        return action === "batch" ? { status: "success", results: results } : results[0];
+    });
+    backend.outbox = outbox;
+    return backend;
+}
+
+// The sheet has no date_range filter. Use the [When: ...] tag (or the [Date: ...] it was logged)
+// and keep the unfiltered hits if none of them carry a usable date.
+function filterMemoryStringsByDate(memories, range) {
+    const Dates = window.SymbiosisDates;
+    const inRange = memories.filter(m => {
+        const tag = m.match(/\[When: ([^\]]+)\]/) || m.match(/\[Date: (\d{4}-\d{2}-\d{2})/);
+        return tag && Dates.overlaps(Dates.normalizeDate(tag[1]), range);
+    });
+    return inRange.length > 0 ? inRange : memories;
+}
+
+// --- 3. INDEXEDDB ADAPTER ---
+// Each engine table is stored as one record in a single object store, keyed by table name.
+function createIndexedDBBackend(dbName = BACKEND_IDB_NAME) {
+    let enginePromise = null;
+
+    const openDb = () => new Promise((resolve, reject) => {
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(BACKEND_IDB_STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+
+    const readTable = (db, table) => new Promise((resolve, reject) => {
+        const req = db.transaction(BACKEND_IDB_STORE, "readonly").objectStore(BACKEND_IDB_STORE).get(table);
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => reject(req.error);
+    });
+
+    const writeTable = (db, table, rows) => new Promise((resolve, reject) => {
+        const tx = db.transaction(BACKEND_IDB_STORE, "readwrite");
+        tx.objectStore(BACKEND_IDB_STORE).put(rows, table);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+
+    async function boot() {
+        const db = await openDb();
+        const state = window.MemoryEngine.emptyState();
+        for (const table of window.MemoryEngine.TABLES) {
+            state[table] = await readTable(db, table);
+        }
+        console.log("🗄️ IndexedDB Memory Loaded:", state.facts.length, "facts");
+        return window.MemoryEngine.createMemoryEngine(state, (table) => writeTable(db, table, state[table]));
+    }
+
+    return createMemoryBackend("indexeddb", async (action, payload = {}) => {
+        if (!enginePromise) {
+            // A failed open (blocked upgrade, private mode...) is not cached: the next call tries again
+            enginePromise = boot().catch(e => {
+                enginePromise = null;
+                console.error("💀 IndexedDB Memory Failed to Load", e);
+                throw e;
+            });
+        }
+        const engine = await enginePromise;
+        return engine.handle(action, payload);
+    });
+}
+
+// --- 4. CONFIG / ACTIVE BACKEND ---
+// symbiosis_memory_backend: "apps_script" | "indexeddb" | "none"
+// Older installs only have symbiosis_apps_script_url, so fall back to it.
+let activeMemoryBackend = null;
+let activeMemoryBackendKey = null;
+
+window.getMemoryBackendType = function() {
+    const type = window.profileStorage.getItem("symbiosis_memory_backend");
+    if (type) return type;
+
+    const url = window.profileStorage.getItem("symbiosis_apps_script_url");
+    return (url && url !== "SKIP") ? "apps_script" : "none";
+};
+
+window.getMemoryBackend = function() {
+    const type = window.getMemoryBackendType();
+    const url = window.profileStorage.getItem("symbiosis_apps_script_url");
+    const key = `${type}|${url}`;
+
+    if (key === activeMemoryBackendKey) return activeMemoryBackend;
+    activeMemoryBackendKey = key;
+
+    if (type === "indexeddb" && window.indexedDB) {
+        activeMemoryBackend = createIndexedDBBackend(window.profileNamespace(BACKEND_IDB_NAME));
+    } else if (type === "apps_script" && url && url !== "SKIP") {
+        activeMemoryBackend = createAppsScriptBackend(url);
+    } else {
+        activeMemoryBackend = null;
+    }
+    return activeMemoryBackend;
+};
+
+window.MemoryBackend = {
+    create: createMemoryBackend,
+    appsScript: createAppsScriptBackend,
+    indexedDB: createIndexedDBBackend
+};
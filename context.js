@@ -0,0 +1,91 @@
+// ============================================
+// CONTEXT BUILDER (context.js) - CONVERSATION CONTEXT ON A TOKEN BUDGET
+// Each prompt gets a token budget for the conversation so far: the rolling
+// summary of older turns first, then as many recent turns as fit, verbatim.
+// Turns are never cut mid-word; only the newest one is ever shortened.
+// Pure functions, usable in the browser and in Node.
+// ============================================
+
+(function(root) {
+
+    // Rough but stable across providers: ~4 characters per token for English text
+    const CHARS_PER_TOKEN = 4;
+    // Most messages shown verbatim (main.js keeps the last WINDOW_TURNS; older ones live in the summary)
+    const RECENT_TURNS = 8;
+    // Messages main.js keeps in the live chat history
+    const WINDOW_TURNS = 10;
+    // Older messages are folded into the summary in chunks, not one summary call per turn:
+    // once this many have left the window, or sooner if they outgrow the generation budget
+    const FOLD_TURNS = 6;
+    // The summary never takes more than this share of a budget
+    const SUMMARY_SHARE = 0.4;
+    // The summarizer is asked to stay under this many words
+    const SUMMARY_WORDS = 150;
+
+    // Tokens of conversation each prompt may carry (keyed by prompt id, plus "entities")
+    const STAGE_BUDGETS = {
+        director_intent: 300,
+        director_filter: 200,
+        director_answer: 120,
+        entities: 200,
+        analysis: 300,
+        generation: 400
+    };
+    const DEFAULT_BUDGET = 200;
+
+    const estimateTokens = (text) => Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+
+    // Cut at the last whole word inside the budget
+    function trimToTokens(text, tokens) {
+        const str = String(text || "");
+        const limit = Math.max(0, tokens) * CHARS_PER_TOKEN;
+        if (str.length <= limit) return str;
+        const cut = str.slice(0, Math.max(0, limit - 1));
+        const space = cut.lastIndexOf(" ");
+        return `${space > 0 ? cut.slice(0, space) : cut}…`;
+    }
+
+    const formatTurn = (msg) => `${String(msg.role || "user").toUpperCase()}: ${msg.content}`;
+    const formatTurns = (messages) => messages.map(formatTurn).join("\n");
+
+    // history: [{ role, content }] oldest first, summary: rolling summary text (or "")
+    function buildContext(history, summary, budget = DEFAULT_BUDGET, { recentTurns = RECENT_TURNS } = {}) {
+        const summaryText = summary ? trimToTokens(summary, Math.floor(budget * SUMMARY_SHARE)) : "";
+        const summaryBlock = summaryText ? `EARLIER IN THIS CONVERSATION (SUMMARY): ${summaryText}` : "";
+        let remaining = budget - estimateTokens(summaryBlock);
+
+        // Newest first until the budget runs out; the newest turn always gets in
+        const lines = [];
+        for (const msg of (history || []).slice(-recentTurns).reverse()) {
+            const line = formatTurn(msg);
+            const cost = estimateTokens(line) + 1;
+            if (cost <= remaining) {
+                lines.unshift(line);
+                remaining -= cost;
+                continue;
+            }
+            if (lines.length === 0 && remaining > 0) lines.unshift(trimToTokens(line, remaining));
+            break;
+        }
+        return [summaryBlock, lines.join("\n")].filter(Boolean).join("\n");
+    }
+
+    const budgetFor = (stage) => STAGE_BUDGETS[stage] || DEFAULT_BUDGET;
+
+    // history oldest first -> the messages to fold into the summary now ([] until a chunk is due)
+    function foldDue(history, { keep = WINDOW_TURNS } = {}) {
+        const overflow = (history || []).slice(0, Math.max(0, (history || []).length - keep));
+        if (overflow.length === 0) return [];
+        const due = overflow.length >= FOLD_TURNS || estimateTokens(formatTurns(overflow)) >= budgetFor("generation");
+        return due ? overflow : [];
+    }
+
+    const SymbiosisContext = {
+        CHARS_PER_TOKEN, RECENT_TURNS, WINDOW_TURNS, FOLD_TURNS, SUMMARY_WORDS, STAGE_BUDGETS,
+        estimateTokens, trimToTokens, formatTurn, formatTurns, buildContext, budgetFor, foldDue
+    };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = SymbiosisContext;
+    else root.SymbiosisContext = SymbiosisContext;
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,209 @@
+// ============================================
+// CORPUS MODULE (corpus.js) - EXPORT / IMPORT
+// Portable memory dumps: JSON, CSV and a Markdown dossier grouped by entity.
+// Pure functions, usable in the browser and in Node.
+// ============================================
+
+(function(root) {
+
+    const Dates = (typeof module !== 'undefined' && module.exports) ? require("./dates.js") : root.SymbiosisDates;
+
+    const CORPUS_VERSION = 1;
+    // "when" is the structured event date in compact form ("2025-01", "2025-01-27..2025-01-29")
+    const CSV_COLUMNS = ["fact", "entities", "topics", "importance", "timestamp", "valid_to", "when"];
+
+    // --- 1. NORMALIZATION & VALIDATION ---
+    const asList = (v) => Array.isArray(v) ? v.join(", ") : (v == null ? "" : String(v));
+
+    function normalizeRecord(raw) {
+        return {
+            fact: String(raw.fact ?? raw.Fact ?? "").trim(),
+            entities: asList(raw.entities ?? raw.Entities).trim(),
+            topics: asList(raw.topics ?? raw.Topics).trim(),
+            importance: Math.round(Number(raw.importance ?? raw.Importance ?? 5)),
+            timestamp: raw.timestamp || raw.Timestamp || "",
+            // Set when a newer fact superseded this one
+            valid_to: raw.valid_to || "",
+            date: Dates.normalizeDate(raw.date || raw.when),
+            date_unknown: raw.date_unknown === true || raw.when === "unknown"
+        };
+    }
+
+    // Returns a list of human-readable problems (empty = valid)
+    function validateRecord(rec) {
+        const errors = [];
+        if (!rec.fact || rec.fact === "null") errors.push("fact is empty");
+        if (!Number.isFinite(rec.importance) || rec.importance < 1 || rec.importance > 10) {
+            errors.push(`importance must be 1-10 (got ${rec.importance})`);
+        }
+        if (rec.timestamp && isNaN(new Date(rec.timestamp).getTime())) {
+            errors.push(`timestamp is not a date (got ${rec.timestamp})`);
+        }
+        if (rec.valid_to && isNaN(new Date(rec.valid_to).getTime())) {
+            errors.push(`valid_to is not a date (got ${rec.valid_to})`);
+        }
+        return errors;
+    }
+
+    // "Jemi is a nurse." == "jemi is a  nurse"
+    function factKey(fact) {
+        return String(fact).toLowerCase().replace(/[^a-z0-9 ]/g, "").replace(/\s+/g, " ").trim();
+    }
+
+    // prepareImport(rawRecords, existingFacts)
+    // -> { valid: [...], invalid: [{ record, errors }], duplicates: n }
+    function prepareImport(rawRecords, existingFacts = []) {
+        const seen = new Set(existingFacts.map(f => factKey(f.fact)));
+        const result = { valid: [], invalid: [], duplicates: 0 };
+
+        rawRecords.forEach(raw => {
+            const rec = normalizeRecord(raw || {});
+            const errors = validateRecord(rec);
+            if (errors.length > 0) {
+                result.invalid.push({ record: raw, errors });
+                return;
+            }
+            const key = factKey(rec.fact);
+            if (seen.has(key)) {
+                result.duplicates++;
+                return;
+            }
+            seen.add(key);
+            result.valid.push(rec);
+        });
+        return result;
+    }
+
+    // --- 2. EXPORTERS ---
+    function toJSON(facts) {
+        return JSON.stringify({
+            format: "symbiosis-corpus",
+            version: CORPUS_VERSION,
+            exported_at: new Date().toISOString(),
+            facts: facts.map(normalizeRecord)
+        }, null, 2);
+    }
+
+    function csvCell(value) {
+        const s = String(value ?? "");
+        return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }
+
+    function toCSV(facts) {
+        const lines = [CSV_COLUMNS.join(",")];
+        facts.map(normalizeRecord).forEach(rec => {
+            const cells = { ...rec, when: rec.date_unknown ? "unknown" : Dates.describeDate(rec.date) };
+            lines.push(CSV_COLUMNS.map(c => csvCell(cells[c])).join(","));
+        });
+        return lines.join("\n");
+    }
+
+    // One section per entity. A fact with several entities appears under each of them
+    // (import dedupes it back to one record).
+    function toMarkdown(facts) {
+        const records = facts.map(normalizeRecord);
+        const groups = {};
+        records.forEach(rec => {
+            const names = rec.entities ? rec.entities.split(",").map(e => e.trim()).filter(Boolean) : [];
+            (names.length > 0 ? names : ["Unsorted"]).forEach(name => {
+                (groups[name] = groups[name] || []).push(rec);
+            });
+        });
+
+        const out = [
+            "# Symbiosis Memory Dossier",
+            `_Exported ${new Date().toISOString().slice(0, 10)} · ${records.length} facts_`,
+            ""
+        ];
+        Object.keys(groups).sort((a, b) => a.localeCompare(b)).forEach(name => {
+            out.push(`## ${name}`);
+            groups[name]
+                .sort((a, b) => b.importance - a.importance)
+                .forEach(rec => {
+                    const until = rec.valid_to ? ` · until: ${rec.valid_to.slice(0, 10)}` : "";
+                    const when = rec.date ? ` · when: ${Dates.describeDate(rec.date)}` : (rec.date_unknown ? " · when: unknown" : "");
+                    out.push(`- (${rec.importance}) ${rec.fact}`);
+                    out.push(`  - entities: ${rec.entities} · topics: ${rec.topics} · date: ${rec.timestamp.slice(0, 10)}${until}${when}`);
+                });
+            out.push("");
+        });
+        return out.join("\n");
+    }
+
+    // --- 3. PARSERS ---
+    function parseCSV(text) {
+        const rows = [];
+        let row = [], cell = "", quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else cell += ch;
+            } else if (ch === '"') quoted = true;
+            else if (ch === ',') { row.push(cell); cell = ""; }
+            else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell); rows.push(row); row = []; cell = "";
+            } else cell += ch;
+        }
+        if (cell || row.length > 0) { row.push(cell); rows.push(row); }
+
+        const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+        return rows
+            .filter(r => r.some(c => c.trim()))
+            .map(r => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ""])));
+    }
+
+    function parseMarkdown(text) {
+        const records = [];
+        let current = null;
+        text.split(/\r?\n/).forEach(line => {
+            const factLine = line.match(/^- \((\d+)\) (.+)$/);
+            const metaLine = line.match(/^\s+- entities: (.*) · topics: (.*) · date: ([^·]*?)(?: · until: ([^·]*?))?(?: · when: (.*))?$/);
+            if (factLine) {
+                current = { fact: factLine[2], importance: Number(factLine[1]) };
+                records.push(current);
+            } else if (metaLine && current) {
+                current.entities = metaLine[1];
+                current.topics = metaLine[2];
+                current.timestamp = metaLine[3].trim();
+                current.valid_to = (metaLine[4] || "").trim();
+                current.when = (metaLine[5] || "").trim();
+            }
+        });
+        return records;
+    }
+
+    function parse(text, format) {
+        const fmt = format || detectFormat(text);
+        if (fmt === "json") {
+            const data = JSON.parse(text);
+            return Array.isArray(data) ? data : (data.facts || []);
+        }
+        if (fmt === "csv") return parseCSV(text);
+        if (fmt === "md") return parseMarkdown(text);
+        throw new Error(`Unknown corpus format: ${fmt}`);
+    }
+
+    function detectFormat(text, filename = "") {
+        const ext = filename.split(".").pop().toLowerCase();
+        if (["json", "csv", "md"].includes(ext)) return ext;
+        if (ext === "markdown") return "md";
+        const head = text.trim();
+        if (head.startsWith("{") || head.startsWith("[")) return "json";
+        if (head.startsWith("#")) return "md";
+        return "csv";
+    }
+
+    const EXPORTERS = { json: toJSON, csv: toCSV, md: toMarkdown };
+
+    const SymbiosisCorpus = {
+        EXPORTERS, normalizeRecord, validateRecord, factKey, prepareImport,
+        toJSON, toCSV, toMarkdown, parse, detectFormat
+    };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = SymbiosisCorpus;
+    else root.SymbiosisCorpus = SymbiosisCorpus;
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,207 @@
+// ============================================
+// DATES MODULE (dates.js) - STRUCTURED TIME FOR MEMORIES
+// Turns "27-29 Jan", "January 2025", "last summer", "3 weeks ago"...
+// into { type, start, end, text } resolved against CURRENT_DATE.
+//   type: "exact" | "month" | "year" | "range"
+//   start/end: "YYYY-MM-DD" (inclusive)
+// Pure functions, usable in the browser and in Node.
+// ============================================
+
+(function(root) {
+
+    // A whole word only: "2 marathons" is not March 2, "2 decks" not Dec 2
+    const MONTH_RE = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)(?![a-z])";
+    const SEASON_RE = "(spring|summer|fall|autumn|winter)";
+    const DAY_RE = "(\\d{1,2})(?:st|nd|rd|th)?";
+    const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+    const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, couple: 2, few: 3 };
+    // Northern-hemisphere meteorological seasons: first month + 3 months
+    const SEASON_START = { spring: 2, summer: 5, fall: 8, autumn: 8, winter: 11 };
+
+    // --- 1. CALENDAR HELPERS (UTC math so time zones never shift a day) ---
+    const pad = (n) => String(n).padStart(2, "0");
+
+    function ymd(y, m, d) {
+        const dt = new Date(Date.UTC(y, m, d));
+        return `${dt.getUTCFullYear()}-${pad(dt.getUTCMonth() + 1)}-${pad(dt.getUTCDate())}`;
+    }
+
+    const lastDay = (y, m) => new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+    const monthIndex = (name) => ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"].indexOf(name.slice(0, 3).toLowerCase());
+
+    function refParts(ref) {
+        const r = ref ? new Date(ref) : new Date();
+        return { y: r.getFullYear(), m: r.getMonth(), d: r.getDate(), dow: r.getDay() };
+    }
+
+    // --- 2. RESULT BUILDERS ---
+    const exact = (y, m, d, text) => ({ type: "exact", start: ymd(y, m, d), end: ymd(y, m, d), text });
+    const month = (y, m, text) => ({ type: "month", start: ymd(y, m, 1), end: ymd(y, m, lastDay(y, m)), text });
+    const year = (y, text) => ({ type: "year", start: ymd(y, 0, 1), end: ymd(y, 11, 31), text });
+    const range = (start, end, text) => ({ type: "range", start, end, text });
+
+    function season(y, name, text) {
+        const m = SEASON_START[name];
+        return range(ymd(y, m, 1), ymd(y, m + 2, lastDay(y, m + 2)), text);
+    }
+
+    // Missing year -> assume the most recent past occurrence (memories are about the past)
+    const inferYear = (m, d, ref) => (m < ref.m || (m === ref.m && d <= ref.d)) ? ref.y : ref.y - 1;
+
+    // --- 3. PATTERNS (checked in order, first hit wins) ---
+    const PATTERNS = [
+        // 2025-01-14
+        [/\b(\d{4})-(\d{2})-(\d{2})\b/, (m) => exact(+m[1], +m[2] - 1, +m[3], m[0])],
+
+        // 27-29 Jan (2025)
+        [new RegExp(`\\b${DAY_RE}\\s*(?:-|–|to)\\s*${DAY_RE}\\s+(?:of\\s+)?${MONTH_RE}(?:,?\\s+(\\d{4}))?`, "i"), (m, ref) => {
+            const mo = monthIndex(m[3]);
+            const y = m[4] ? +m[4] : inferYear(mo, +m[1], ref);
+            return range(ymd(y, mo, +m[1]), ymd(y, mo, +m[2]), m[0]);
+        }],
+
+        // Jan 27-29 (2025)
+        [new RegExp(`\\b${MONTH_RE}\\s+${DAY_RE}\\s*(?:-|–|to)\\s*${DAY_RE}(?:,?\\s+(\\d{4}))?`, "i"), (m, ref) => {
+            const mo = monthIndex(m[1]);
+            const y = m[4] ? +m[4] : inferYear(mo, +m[2], ref);
+            return range(ymd(y, mo, +m[2]), ymd(y, mo, +m[3]), m[0]);
+        }],
+
+        // 14 Jan (2025) / 14th of January
+        [new RegExp(`\\b${DAY_RE}\\s+(?:of\\s+)?${MONTH_RE}(?:,?\\s+(\\d{4}))?`, "i"), (m, ref) => {
+            const mo = monthIndex(m[2]);
+            return exact(m[3] ? +m[3] : inferYear(mo, +m[1], ref), mo, +m[1], m[0]);
+        }],
+
+        // Jan 14(, 2025)
+        [new RegExp(`\\b${MONTH_RE}\\s+${DAY_RE}(?!\\d)(?:,?\\s+(\\d{4}))?`, "i"), (m, ref) => {
+            const mo = monthIndex(m[1]);
+            return exact(m[3] ? +m[3] : inferYear(mo, +m[2], ref), mo, +m[2], m[0]);
+        }],
+
+        // January 2025
+        [new RegExp(`\\b${MONTH_RE},?\\s+(\\d{4})\\b`, "i"), (m) => month(+m[2], monthIndex(m[1]), m[0])],
+
+        // last/this/in January
+        [new RegExp(`\\b(last|this|in|during|since)\\s+${MONTH_RE}\\b`, "i"), (m, ref) => {
+            const mo = monthIndex(m[2]);
+            const mode = m[1].toLowerCase();
+            if (mode === "this") return month(ref.y, mo, m[0]);
+            if (mode === "last") return month(mo < ref.m ? ref.y : ref.y - 1, mo, m[0]);
+            return month(inferYear(mo, 1, ref), mo, m[0]);
+        }],
+
+        // summer 2024
+        [new RegExp(`\\b${SEASON_RE}\\s+(?:of\\s+)?(\\d{4})\\b`, "i"), (m) => season(+m[2], m[1].toLowerCase(), m[0])],
+
+        // last/this summer
+        [new RegExp(`\\b(last|this|past)\\s+${SEASON_RE}\\b`, "i"), (m, ref) => {
+            const name = m[2].toLowerCase();
+            const startM = SEASON_START[name];
+            // Latest instance that has started, and whether we're still inside it (winter crosses New Year)
+            const latest = ref.m >= startM ? ref.y : ref.y - 1;
+            const inProgress = (ref.y * 12 + ref.m) <= (latest * 12 + startM + 2);
+            if (m[1].toLowerCase() === "this") return season(inProgress ? latest : ref.y, name, m[0]);
+            return season(inProgress ? latest - 1 : latest, name, m[0]);
+        }],
+
+        // today / yesterday / the day before yesterday
+        [/\b(the day before yesterday|yesterday|today|tonight|this morning)\b/i, (m, ref) => {
+            const back = { "the day before yesterday": 2, "yesterday": 1 }[m[1].toLowerCase()] || 0;
+            return exact(ref.y, ref.m, ref.d - back, m[0]);
+        }],
+
+        // 3 days / a week / two months / a year ago
+        [/\b(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|couple|few)\s+(?:of\s+)?(day|week|month|year)s?\s+ago\b/i, (m, ref) => {
+            const n = NUMBER_WORDS[m[1].toLowerCase()] || +m[1];
+            const unit = m[2].toLowerCase();
+            if (unit === "day") return exact(ref.y, ref.m, ref.d - n, m[0]);
+            if (unit === "week") return range(ymd(ref.y, ref.m, ref.d - n * 7 - 3), ymd(ref.y, ref.m, ref.d - n * 7 + 3), m[0]);
+            if (unit === "month") {
+                const dt = new Date(Date.UTC(ref.y, ref.m - n, 1));
+                return month(dt.getUTCFullYear(), dt.getUTCMonth(), m[0]);
+            }
+            return year(ref.y - n, m[0]);
+        }],
+
+        // last/this week|weekend|month|year
+        [/\b(last|this|past)\s+(week|weekend|month|year)\b/i, (m, ref) => {
+            const isLast = m[1].toLowerCase() !== "this";
+            const unit = m[2].toLowerCase();
+            if (unit === "year") return year(isLast ? ref.y - 1 : ref.y, m[0]);
+            if (unit === "month") {
+                const dt = new Date(Date.UTC(ref.y, ref.m - (isLast ? 1 : 0), 1));
+                return month(dt.getUTCFullYear(), dt.getUTCMonth(), m[0]);
+            }
+            // Weeks run Monday..Sunday
+            const mondayOffset = (ref.dow + 6) % 7;
+            const monday = ref.d - mondayOffset - (isLast ? 7 : 0);
+            if (unit === "weekend") return range(ymd(ref.y, ref.m, monday + 5), ymd(ref.y, ref.m, monday + 6), m[0]);
+            return range(ymd(ref.y, ref.m, monday), ymd(ref.y, ref.m, monday + 6), m[0]);
+        }],
+
+        // last Tuesday
+        [new RegExp(`\\b(?:last|on)\\s+(${WEEKDAYS.join("|")})\\b`, "i"), (m, ref) => {
+            const target = WEEKDAYS.indexOf(m[1].toLowerCase());
+            const back = ((ref.dow - target + 7) % 7) || 7;
+            return exact(ref.y, ref.m, ref.d - back, m[0]);
+        }],
+
+        // "2024" on its own (the Timekeeper's date_expression), not inside a sentence
+        [/^\s*((?:19|20)\d{2})\s*$/, (m) => year(+m[1], m[1])],
+
+        // in 2024. A bare number is no year ("scored 2000 points"), so it needs the word before it.
+        [/\b(?:back in|in|during|since|until|before|after)\s+((?:19|20)\d{2})\b/i, (m) => year(+m[1], m[0])]
+    ];
+
+    // --- 4. PUBLIC API ---
+    // First date expression found in free text, or null
+    function findDateExpression(text, refDate) {
+        if (!text) return null;
+        const ref = refParts(refDate);
+        for (const [re, build] of PATTERNS) {
+            const m = String(text).match(re);
+            if (m) {
+                const res = build(m, ref);
+                if (res && res.start <= res.end) return res;
+            }
+        }
+        return null;
+    }
+
+    // Compact label: "2025-01-14", "2025-01", "2025", "2025-01-27..2025-01-29"
+    function describeDate(date) {
+        if (!date) return "";
+        if (date.type === "exact") return date.start;
+        if (date.type === "month") return date.start.slice(0, 7);
+        if (date.type === "year") return date.start.slice(0, 4);
+        return `${date.start}..${date.end}`;
+    }
+
+    // Inverse of describeDate (used by corpus import), plus objects passed through as-is
+    function normalizeDate(value) {
+        if (!value) return null;
+        if (typeof value === "object") {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value.start) || !/^\d{4}-\d{2}-\d{2}$/.test(value.end)) return null;
+            return { type: value.type || "range", start: value.start, end: value.end, text: value.text || "" };
+        }
+        const s = String(value).trim();
+        let m;
+        if ((m = s.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/))) return range(m[1], m[2], s);
+        if ((m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/))) return exact(+m[1], +m[2] - 1, +m[3], s);
+        if ((m = s.match(/^(\d{4})-(\d{2})$/))) return month(+m[1], +m[2] - 1, s);
+        if ((m = s.match(/^(\d{4})$/))) return year(+m[1], s);
+        return null;
+    }
+
+    // Inclusive overlap of two { start, end } ranges
+    function overlaps(a, b) {
+        return !!a && !!b && a.start <= b.end && b.start <= a.end;
+    }
+
+    const SymbiosisDates = { findDateExpression, describeDate, normalizeDate, overlaps };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = SymbiosisDates;
+    else root.SymbiosisDates = SymbiosisDates;
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,201 @@
+// ============================================
+// ENTITY REGISTRY (entities.js) - WHO IS WHO
+// One canonical record per person / place / org, with every name it goes by:
+//   { id, name, type, aliases: [], pronouns, created_at, updated_at }
+// "Cody", "Cody K." and "my brother" all resolve to the same id.
+// Pure functions over a plain array, usable in the browser and in Node.
+// ============================================
+
+(function(root) {
+
+    const ENTITY_TYPES = ["person", "place", "org", "other"];
+
+    // "Cody K." -> "cody k", "  The  Office " -> "the office"
+    function normalizeName(name) {
+        return String(name || "").toLowerCase().replace(/[.,'"’()]/g, "").replace(/\s+/g, " ").trim();
+    }
+
+    function makeEntityId() {
+        return `ent_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    const toNameList = (v) => (Array.isArray(v) ? v : String(v || "").split(","))
+        .map(s => String(s).trim())
+        .filter(s => s.length > 0 && s.toLowerCase() !== "null");
+
+    const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+    // "cody k" / "cody" / "j tan" are short forms of "cody kim" / "jemi tan": word by word, each
+    // word is the full one or its start (an initial), and one whole word of 3+ letters anchors it
+    function isShortFormOf(short, full) {
+        const s = short.split(" "), f = full.split(" ");
+        if (short === full || s.length > f.length) return false;
+        if (!s.every((w, i) => f[i].startsWith(w))) return false;
+        return s.some((w, i) => w.length >= 3 && w === f[i]);
+    }
+
+    // createEntityRegistry(rows)
+    // - rows: the entity table (mutated in place, so the host can persist it as-is)
+    // Methods that would corrupt the registry throw an Error with a readable message.
+    function createEntityRegistry(rows) {
+
+        const keysOf = (e) => [e.name, ...(e.aliases || [])].map(normalizeName).filter(Boolean);
+        const get = (id) => rows.find(e => e.id === id) || null;
+
+        function ownerOf(name) {
+            const key = normalizeName(name);
+            if (!key) return null;
+            return rows.find(e => keysOf(e).includes(key)) || null;
+        }
+
+        // --- 1. RESOLUTION ---
+        // Exact name/alias first. Then short forms of a person's full name: "Cody" or "Cody K."
+        // -> "Cody Kim", "J. Tan" -> "Jemi Tan", but only if exactly one person matches (two Codys
+        // stay ambiguous). Two full names that differ ("Jemi Wong", "Jemi Tan") never meet, and
+        // places and orgs ("New Zealand", "New York") only resolve by their exact names.
+        function resolve(name) {
+            const exact = ownerOf(name);
+            if (exact) return exact;
+
+            const key = normalizeName(name);
+            if (!key) return null;
+            const candidates = rows.filter(e => e.type === "person" && keysOf(e).some(k => isShortFormOf(key, k)));
+            return candidates.length === 1 ? candidates[0] : null;
+        }
+
+        function create(name, fields = {}) {
+            const now = new Date().toISOString();
+            const entity = {
+                id: makeEntityId(),
+                name: String(name).trim(),
+                type: ENTITY_TYPES.includes(fields.type) ? fields.type : "other",
+                aliases: [],
+                pronouns: fields.pronouns || "",
+                created_at: now,
+                updated_at: now
+            };
+            rows.push(entity);
+            toNameList(fields.aliases).forEach(a => addAlias(entity.id, a));
+            return entity;
+        }
+
+        // Resolve, or register a new entity. A resolved short form ("Cody K.") is kept as an alias.
+        function ensure(name, fields = {}) {
+            const found = resolve(name);
+            if (!found) return { entity: create(name, fields), created: true, changed: true };
+            let changed = false;
+            if (!ownerOf(name)) { addAlias(found.id, name); changed = true; }
+            if (found.type === "other" && ENTITY_TYPES.includes(fields.type)) { found.type = fields.type; changed = true; }
+            return { entity: found, created: false, changed: changed };
+        }
+
+        // "Cody, my brother, Tokyo" -> canonical names + ids (deduped, order kept)
+        // types: optional { "Tokyo": "place" } from extraction
+        function resolveList(input, { create: allowCreate = false, types = {} } = {}) {
+            const names = [], ids = [], unknown = [];
+            let created = 0, changed = false;
+            toNameList(input).forEach(raw => {
+                let entity = resolve(raw);
+                if (allowCreate) {
+                    const res = ensure(raw, { type: types[raw] });
+                    entity = res.entity;
+                    if (res.created) created++;
+                    changed = changed || res.changed;
+                }
+                if (!entity) { unknown.push(raw); return; }
+                if (!ids.includes(entity.id)) { ids.push(entity.id); names.push(entity.name); }
+            });
+            return { names, ids, unknown, created, changed };
+        }
+
+        // Entities named anywhere in free text ("how is my brother doing?")
+        function findMentions(text) {
+            const hay = ` ${normalizeName(text)} `;
+            if (!hay.trim()) return [];
+            return rows.filter(e => keysOf(e).some(k => new RegExp(`[^a-z0-9]${escapeRe(k)}[^a-z0-9]`).test(hay)));
+        }
+
+        // Every name the mentioned entities go by, so "my brother" also finds facts tagged "Cody"
+        function expandTerms(text) {
+            const terms = [];
+            findMentions(text).forEach(e => terms.push(e.name, ...(e.aliases || [])));
+            return [...new Set(terms)];
+        }
+
+        // --- 2. EDITING ---
+        function addAlias(id, alias) {
+            const entity = get(id);
+            if (!entity) throw new Error(`No entity with id ${id}`);
+            const owner = ownerOf(alias);
+            if (owner && owner.id !== id) throw new Error(`"${alias}" already belongs to ${owner.name}`);
+            if (!owner) {
+                entity.aliases.push(String(alias).trim());
+                entity.updated_at = new Date().toISOString();
+            }
+            return entity;
+        }
+
+        function update(id, fields) {
+            const entity = get(id);
+            if (!entity) throw new Error(`No entity with id ${id}`);
+            if (fields.name !== undefined && normalizeName(fields.name) !== normalizeName(entity.name)) {
+                const owner = ownerOf(fields.name);
+                if (owner && owner.id !== id) throw new Error(`"${fields.name}" already belongs to ${owner.name}`);
+                // The old name keeps resolving
+                entity.aliases = entity.aliases.filter(a => normalizeName(a) !== normalizeName(fields.name));
+                entity.aliases.push(entity.name);
+                entity.name = String(fields.name).trim();
+            }
+            if (fields.type !== undefined) {
+                if (!ENTITY_TYPES.includes(fields.type)) throw new Error(`type must be one of ${ENTITY_TYPES.join(", ")}`);
+                entity.type = fields.type;
+            }
+            if (fields.pronouns !== undefined) entity.pronouns = String(fields.pronouns);
+            if (fields.aliases !== undefined) toNameList(fields.aliases).forEach(a => addAlias(id, a));
+            entity.updated_at = new Date().toISOString();
+            return entity;
+        }
+
+        // Two records are the same entity: everything `dropId` was called now points at `keepId`
+        function merge(keepId, dropId) {
+            const keep = get(keepId), drop = get(dropId);
+            if (!keep || !drop) throw new Error("Both entities must exist to merge");
+            if (keep === drop) throw new Error("Cannot merge an entity into itself");
+
+            rows.splice(rows.indexOf(drop), 1);
+            [drop.name, ...drop.aliases].forEach(a => { if (!ownerOf(a)) keep.aliases.push(a); });
+            if (!keep.pronouns) keep.pronouns = drop.pronouns;
+            if (keep.type === "other") keep.type = drop.type;
+            keep.updated_at = new Date().toISOString();
+            return keep;
+        }
+
+        // One record was really two: move `aliases` off `id` into a new entity called `name`
+        function split(id, fields) {
+            const source = get(id);
+            if (!source) throw new Error(`No entity with id ${id}`);
+            if (!fields || !String(fields.name || "").trim()) throw new Error("Split needs a name for the new entity");
+
+            const moving = toNameList(fields.aliases).concat(fields.name).map(normalizeName);
+            if (moving.includes(normalizeName(source.name))) throw new Error(`Rename ${source.name} before splitting its main name away`);
+            const owner = ownerOf(fields.name);
+            if (owner && owner !== source) throw new Error(`"${fields.name}" already belongs to ${owner.name}`);
+
+            source.aliases = source.aliases.filter(a => !moving.includes(normalizeName(a)));
+            source.updated_at = new Date().toISOString();
+            return create(fields.name, { type: fields.type || source.type, pronouns: fields.pronouns, aliases: fields.aliases });
+        }
+
+        return {
+            list: () => rows.slice(),
+            get, resolve, ensure, resolveList, findMentions, expandTerms,
+            addAlias, update, merge, split
+        };
+    }
+
+    const SymbiosisEntities = { ENTITY_TYPES, normalizeName, isShortFormOf, createEntityRegistry };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = SymbiosisEntities;
+    else root.SymbiosisEntities = SymbiosisEntities;
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -6,7 +6,7 @@ window.currentMood = "NEUTRAL";
 window.glitchMode = false;
 window.questionMode = false; 
 window.directorMode = false; // MOVED HERE: Global flag
-window.textMode = true; 
+window.textMode = window.ProfilePreferences.get("textMode"); // Per profile (profile.js)
 window.viewingHistory = false; 
 window.mediaTimeout = null;
 
@@ -33,9 +33,6 @@ window.PALETTES = {
     "QUESTION":    { pri: {r:200, g:220, b:255}, sec: {r:20,  g:30,  b:80},  conn: {r:40,  g:50,  b:100} } 
 };
 
-let USER_API_KEY = localStorage.getItem("symbiosis_api_key") || "";
-const OPENROUTER_MODEL = "x-ai/grok-4.1-fast"; 
-
 let chatHistory = []; 
 
 function enableDragScroll(slider) {
@@ -85,6 +82,7 @@ function enableDragScroll(slider) {
 // --- TOGGLE MODES ---
 window.toggleMode = function() {
     window.textMode = !window.textMode;
+    window.ProfilePreferences.set("textMode", window.textMode);
     const btn = document.getElementById('modeBtn');
     if (btn) btn.textContent = window.textMode ? "TEXT" : "AUDIO";
     window.speak("MODE SWITCHED.");
@@ -100,7 +98,7 @@ window.addToHistory = function(role, text, graphData = null) {
     
     const meta = document.createElement('div');
     meta.className = 'term-meta';
-    meta.textContent = `[${new Date().toLocaleTimeString()}] // ${role.toUpperCase()}`;
+    meta.textContent = `[${window.UserProfile.time(new Date())}] // ${role.toUpperCase()}`;
     
     const content = document.createElement('div');
     content.className = role === 'user' ? 'term-user' : 'term-ai';
@@ -187,6 +185,8 @@ window.addToHistory = function(role, text, graphData = null) {
 window.toggleHistory = function() {
     const term = document.getElementById('terminal-history');
     if(!term) return;
+    const memPanel = document.getElementById('memory-panel');
+    if(memPanel && !memPanel.classList.contains('hidden') && term.classList.contains('hidden')) window.toggleMemoryPanel();
     term.classList.toggle('hidden');
     const btn = document.getElementById('historyBtn');
     if(btn) btn.textContent = term.classList.contains('hidden') ? "LOG" : "EXIT";
@@ -258,17 +258,23 @@ window.checkAuth = function() {
     const input = document.getElementById('wordInput');
     const btn = document.getElementById('sendBtn');
     
-    const hasKey = !!localStorage.getItem("symbiosis_api_key");
-    const hasSheet = !!localStorage.getItem("symbiosis_apps_script_url");
+    const hasKey = window.hasLLMProvider();
+    const hasProfile = window.UserProfile.has();
+    const hasSheet = !!window.profileStorage.getItem("symbiosis_apps_script_url") || !!window.profileStorage.getItem("symbiosis_memory_backend");
 
     if (!hasKey) {
         ui.classList.add('auth-mode');
-        input.placeholder = "ENTER OPENROUTER KEY...";
+        input.placeholder = "OPENROUTER KEY, LOCAL LLM URL [MODEL] OR 'MOCK'...";
         btn.textContent = "AUTH";
         return "KEY";
+    } else if (!hasProfile) {
+        ui.classList.add('auth-mode');
+        input.placeholder = "YOUR NAME, PRONOUNS, LOCALE, TIME ZONE | BIO (e.g. SAM, SHE/HER)...";
+        btn.textContent = "MEET";
+        return "PROFILE";
     } else if (!hasSheet) {
         ui.classList.add('auth-mode');
-        input.placeholder = "OPTIONAL: ENTER GOOGLE SCRIPT URL...";
+        input.placeholder = "OPTIONAL: GOOGLE SCRIPT URL, 'LOCAL' OR 'SKIP'...";
         btn.textContent = "LINK";
         return "SHEET";
     } else {
@@ -286,43 +292,414 @@ window.checkAuth = function() {
 
 window.saveConfig = function(val, type) {
     if(type === "KEY") {
-        if(val.length < 10 || !val.startsWith("sk-")) { window.speak("INVALID KEY FORMAT."); return; }
-        localStorage.setItem("symbiosis_api_key", val.trim());
-        USER_API_KEY = val.trim();
-        window.speak("KEY ACCEPTED.");
+        // "sk-..." -> OpenRouter, "http://localhost:11434/v1 llama3.1" -> local server, "mock" -> offline
+        const config = window.parseProviderSetup(val);
+        const problem = window.LLMProviders.validateKey(config.type, config.api_key);
+        if(problem) { window.speak(`${problem}.`); return; }
+        window.setLLMProviderConfig(config);
+        const llm = window.getLLMProvider();
+        console.log(`🔌 LLM Provider: ${llm.label} (${llm.model || "no model"}) at ${llm.base_url || "-"}`, llm.capabilities);
+        window.speak(config.type === "openrouter" ? "KEY ACCEPTED." : `${llm.label.toUpperCase()} PROVIDER ACCEPTED.`);
+    } else if(type === "PROFILE") {
+        const profile = window.UserProfile.parse(val, window.UserProfile.get());
+        if(!profile.name) { window.speak("NAME REQUIRED."); return; }
+        window.UserProfile.save(profile);
+        window.speak(`IDENTITY IMPRINTED. HELLO, ${profile.name.toUpperCase()}.`);
     } else if(type === "SHEET") {
         if(val === "SKIP") {
-            localStorage.setItem("symbiosis_apps_script_url", "SKIP");
+            window.profileStorage.setItem("symbiosis_apps_script_url", "SKIP");
+            window.profileStorage.setItem("symbiosis_memory_backend", "none");
             window.speak("MEMORY DISABLED.");
+        } else if(val.toUpperCase() === "LOCAL") {
+            // In-browser IndexedDB memory. No Google account needed.
+            window.profileStorage.setItem("symbiosis_memory_backend", "indexeddb");
+            window.speak("LOCAL MEMORY ONLINE.");
         } else {
-            localStorage.setItem("symbiosis_apps_script_url", val.trim());
+            window.profileStorage.setItem("symbiosis_apps_script_url", val.trim());
+            window.profileStorage.setItem("symbiosis_memory_backend", "apps_script");
             window.speak("MEMORY LINKED.");
         }
     }
     window.checkAuth();
 }
 
+// --- LLM PROVIDER COMMANDS ---
+// "provider <key | base url [model] [key] | mock>", "list models", "use model <id>",
+// "json mode on|off" (for local servers that do support response_format),
+// "routes", "route <stage|classify|generate> to <model> [then <fallback>...]", "route <stage> default"
+window.runProviderCommand = async function(text) {
+    let m;
+    if ((m = text.match(/^provider (.+)$/i))) {
+        window.saveConfig(m[1].trim(), "KEY");
+    } else if (/^list models$/i.test(text)) {
+        const llm = window.getLLMProvider();
+        const models = await llm.listModels();
+        console.table(models.map(id => ({ model: id, active: id === llm.model })));
+        window.speak(`${models.length} MODELS ON ${llm.label.toUpperCase()}. ACTIVE: ${(llm.model || "NONE").toUpperCase()}.`);
+    } else if ((m = text.match(/^use model (\S+)$/i))) {
+        window.setLLMProviderConfig({ ...window.getLLMProviderConfig(), model: m[1] });
+        console.log(`🔌 LLM Model: ${m[1]}`);
+        window.speak(`MODEL ${m[1].toUpperCase()} ENGAGED.`);
+    } else if ((m = text.match(/^json mode (on|off)$/i))) {
+        const config = window.getLLMProviderConfig();
+        const on = m[1].toLowerCase() === "on";
+        window.setLLMProviderConfig({ ...config, capabilities: { ...(config.capabilities || {}), json_mode: on } });
+        console.log("🔌 LLM Capabilities:", window.getLLMProvider().capabilities);
+        window.speak(`JSON MODE ${on ? "ON" : "OFF"}.`);
+    } else if (/^routes$/i.test(text)) {
+        console.table(window.describeModelRoutes());
+        const routed = Object.keys(window.getLLMProviderConfig().routes || {}).length;
+        window.speak(`${routed} STAGES ROUTED.`);
+    } else if ((m = text.match(/^route (.+?) (?:to (.+)|default)$/i))) {
+        try {
+            const models = m[2] ? m[2].split(/\s+then\s+|\s*,\s*/i).map(s => s.trim()).filter(Boolean) : [];
+            const labels = window.setModelRoute(m[1], models);
+            console.log(`🔀 Model Route: ${labels.join(", ")} -> ${models.length > 0 ? models.join(" → ") : "(active model)"}`);
+            console.table(window.describeModelRoutes());
+            window.speak(`${labels.length} STAGE${labels.length === 1 ? "" : "S"} ROUTED.`);
+        } catch (e) {
+            window.speak(e.message.toUpperCase());
+        }
+    }
+};
+
+// --- PROFILES ---
+window.runProfilesCommand = function(text) {
+    const Profiles = window.Profiles;
+    let m;
+    try {
+        if (/^profiles$/i.test(text)) {
+            console.table(Profiles.list().map(p => ({ id: p.id, name: p.name, active: p.id === Profiles.active().id })));
+            window.showProfilePicker();
+        } else if ((m = text.match(/^new profile (.+)$/i))) {
+            const profile = Profiles.create(m[1]);
+            window.speak(`PROFILE ${profile.name.toUpperCase()} CREATED.`);
+            setTimeout(() => Profiles.switchTo(profile.id), 1500);
+        } else if ((m = text.match(/^switch profile (.+)$/i))) {
+            const profile = Profiles.find(m[1]);
+            if (!profile) throw new Error(`UNKNOWN PROFILE ${m[1].toUpperCase()}`);
+            window.speak(`SWITCHING TO ${(profile.name || profile.id).toUpperCase()}.`);
+            setTimeout(() => Profiles.switchTo(profile.id), 1500);
+        } else if ((m = text.match(/^delete profile (.+)$/i))) {
+            const profile = Profiles.find(m[1]);
+            if (!profile) throw new Error(`UNKNOWN PROFILE ${m[1].toUpperCase()}`);
+            Profiles.remove(profile.id);
+            window.speak(`PROFILE ${(profile.name || profile.id).toUpperCase()} DELETED.`);
+        }
+    } catch (e) {
+        window.speak(e.message.toUpperCase());
+    }
+};
+
+// --- PROMPT TEMPLATES ---
+// "list prompts" | "export prompts" | "import prompts" | "reset prompt <id>" | "reset prompts"
+// Export, edit the texts, import: templates that differ from the built-in become local overrides.
+window.runPromptCommand = function(text) {
+    const Prompts = window.Prompts;
+    let m;
+    if (/^list prompts$/i.test(text)) {
+        console.table(Prompts.list().map(t => ({ id: t.id, version: t.tag, vars: t.vars.join(", "), description: t.description })));
+        const overridden = Prompts.list().filter(t => t.overridden).length;
+        window.speak(`${Prompts.list().length} PROMPTS. ${overridden} OVERRIDDEN.`);
+    } else if (/^export prompts$/i.test(text)) {
+        const dump = {
+            format: "symbiosis-prompts",
+            exported_at: new Date().toISOString(),
+            templates: Prompts.list().map(t => ({ id: t.id, version: t.version, vars: t.vars, description: t.description, text: t.text }))
+        };
+        const blob = new Blob([JSON.stringify(dump, null, 2)], { type: "application/json" });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `symbiosis-prompts-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        window.speak(`EXPORTED ${dump.templates.length} PROMPTS.`);
+    } else if (/^import prompts$/i.test(text)) {
+        const picker = document.createElement('input');
+        picker.type = "file";
+        picker.accept = ".json";
+        picker.onchange = async () => {
+            const file = picker.files[0];
+            if (!file) return;
+            try {
+                const data = JSON.parse(await file.text());
+                // The export format, or a plain { id: text } map
+                const entries = Array.isArray(data.templates) ? data.templates.map(t => [t.id, t.text]) : Object.entries(data);
+                const failed = [];
+                entries.forEach(([id, body]) => {
+                    try { Prompts.setOverride(id, body); } catch (e) { failed.push({ id: id, error: e.message }); }
+                });
+                if (failed.length > 0) console.table(failed);
+                const overridden = Prompts.list().filter(t => t.overridden);
+                console.log("📝 Prompt Overrides:", overridden.map(t => t.tag));
+                window.speak(`${overridden.length} PROMPTS OVERRIDDEN. ${failed.length} REJECTED.`);
+            } catch (e) {
+                console.error("Prompt Import Failed", e);
+                window.speak("IMPORT FAILED. CHECK FILE FORMAT.");
+            }
+        };
+        picker.click();
+    } else if ((m = text.match(/^reset prompts?(?: (\w+))?$/i))) {
+        try {
+            if (m[1]) Prompts.get(m[1]);
+            Prompts.clearOverride(m[1]);
+            window.speak(m[1] ? `PROMPT ${m[1].toUpperCase()} RESTORED.` : "ALL PROMPTS RESTORED.");
+        } catch (e) {
+            window.speak(e.message.toUpperCase());
+        }
+    }
+};
+
+// --- USAGE & SPEND ---
+// "usage" toggles the usage panel, "usage cap 0.50" sets a daily spend cap in USD, "usage cap off" removes it
+window.runUsageCommand = function(text) {
+    const m = text.match(/^usage cap (off|\$?(\d+(?:\.\d+)?))$/i);
+    if (/^usage$/i.test(text)) {
+        window.toggleUsagePanel();
+        const today = window.Usage.today();
+        console.table(Object.entries(today.stages).map(([stage, s]) => ({ stage: stage, ...s })));
+        window.speak(`TODAY: ${today.calls} CALLS. $${today.cost.toFixed(2)}.`);
+    } else if (!m) {
+        window.speak("USAGE CAP TAKES DOLLARS OR OFF.");
+    } else if (m[1].toLowerCase() === "off" || Number(m[2]) === 0) {
+        window.Usage.setCap(null);
+        window.speak("DAILY CAP REMOVED.");
+    } else {
+        window.Usage.setCap(Number(m[2]));
+        window.speak(`DAILY CAP SET TO $${Number(m[2]).toFixed(2)}. OPTIONAL CHECKS STOP PAST IT.`);
+    }
+};
+
+// --- MEMORY CORPUS: EXPORT / IMPORT ---
+// Commands: "export memory [json|csv|md]" and "import memory"
+const CORPUS_MIME = { json: "application/json", csv: "text/csv", md: "text/markdown" };
+
+window.exportMemoryCorpus = async function(format = "json") {
+    const backend = window.getMemoryBackend();
+    if (!backend) { window.speak("NO MEMORY LINKED."); return; }
+
+    const exporter = window.SymbiosisCorpus.EXPORTERS[format];
+    if (!exporter) { window.speak("FORMATS: JSON, CSV, MD."); return; }
+
+    try {
+        const res = await backend.listFacts();
+        if (!Array.isArray(res.facts)) throw new Error(res.message || "list_facts unsupported");
+
+        const blob = new Blob([exporter(res.facts)], { type: CORPUS_MIME[format] });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `symbiosis-memory-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+        console.log(`📦 Exported ${res.facts.length} facts as ${format.toUpperCase()}`);
+        window.speak(`EXPORTED ${res.facts.length} MEMORIES.`);
+    } catch (e) {
+        // e.g. "Unknown action: list_facts" from a sheet deployed before the action existed
+        console.error("Export Failed", e);
+        window.speak(`EXPORT FAILED. ${e.message.toUpperCase()}.`);
+    }
+};
+
+window.importMemoryCorpus = function() {
+    const backend = window.getMemoryBackend();
+    if (!backend) { window.speak("NO MEMORY LINKED."); return; }
+
+    const picker = document.createElement('input');
+    picker.type = "file";
+    picker.accept = ".json,.csv,.md,.markdown";
+    picker.onchange = async () => {
+        const file = picker.files[0];
+        if (!file) return;
+        try {
+            const text = await file.text();
+            const Corpus = window.SymbiosisCorpus;
+            const records = Corpus.parse(text, Corpus.detectFormat(text, file.name));
+
+            // Validate + dedupe locally first so nothing bad reaches the backend
+            const existing = backend.supports("list_facts") ? await backend.listFacts().catch(() => ({})) : {};
+            const prepared = Corpus.prepareImport(records, Array.isArray(existing.facts) ? existing.facts : []);
+            if (prepared.invalid.length > 0) {
+                console.warn(`⚠️ ${prepared.invalid.length} invalid records skipped:`);
+                console.table(prepared.invalid.map(i => ({ fact: String(i.record.fact || ""), errors: i.errors.join("; ") })));
+            }
+
+            const res = await backend.importFacts({ facts: prepared.valid });
+            const dupes = prepared.duplicates + (res.duplicates || 0);
+            console.log(`📥 Import: ${res.imported} stored, ${dupes} duplicates, ${prepared.invalid.length} invalid`);
+            window.speak(`IMPORTED ${res.imported} MEMORIES. ${dupes} DUPLICATES SKIPPED.`);
+        } catch (e) {
+            console.error("Import Failed", e);
+            window.speak("IMPORT FAILED. CHECK FILE FORMAT.");
+        }
+    };
+    picker.click();
+};
+
+// --- ENTITY REGISTRY COMMANDS ---
+// "list entities" | "alias Cody as my brother" | "merge entity Bro into Cody" | "split entity Cody K. from Cody"
+// "relations Jemi" | "relate Cody as sibling of Arvin"
+window.runEntityCommand = async function(text) {
+    const backend = window.getMemoryBackend();
+    if (!backend) { window.speak("NO MEMORY LINKED."); return; }
+
+    const lookup = async (name) => {
+        const res = await backend.resolveEntities({ names: [name] });
+        const hit = res.entities[0];
+        if (!hit || !hit.id) throw new Error(`UNKNOWN ENTITY: ${name.toUpperCase()}`);
+        return hit;
+    };
+
+    try {
+        let res, m;
+        if (/^list entities$/i.test(text)) {
+            res = await backend.listEntities();
+            console.table(res.entities.map(e => ({ name: e.name, type: e.type, pronouns: e.pronouns, aliases: e.aliases.join(", ") })));
+            window.speak(`${res.entities.length} ENTITIES REGISTERED.`);
+            return;
+        } else if ((m = text.match(/^alias (.+?) as (.+)$/i))) {
+            res = await backend.upsertEntity({ id: (await lookup(m[1])).id, aliases: [m[2].trim()] });
+        } else if ((m = text.match(/^merge entity (.+?) into (.+)$/i))) {
+            const drop = await lookup(m[1]), keep = await lookup(m[2]);
+            res = await backend.mergeEntities({ keep_id: keep.id, merge_id: drop.id });
+        } else if ((m = text.match(/^split entity (.+?) from (.+)$/i))) {
+            res = await backend.splitEntity({ id: (await lookup(m[2])).id, name: m[1].trim() });
+        } else if ((m = text.match(/^relations (.+)$/i))) {
+            res = await backend.relatedEntities({ entity: m[1].trim(), depth: 2 });
+            if (res.status !== "success") throw new Error(`UNKNOWN ENTITY: ${m[1].toUpperCase()}`);
+            console.table(res.related);
+            if (window.buildKnowledgeGraph && window.globalBoidsArray) {
+                window.buildKnowledgeGraph(window.relationsToGraph(res.entity.name, res.related), window.globalBoidsArray);
+            }
+            window.speak(`${res.related.length} CONNECTIONS FOR ${res.entity.name.toUpperCase()}.`);
+            return;
+        } else if ((m = text.match(/^relate (.+?) as (\w+) of (.+)$/i))) {
+            res = await backend.upsertRelation({ from: m[1].trim(), type: m[2], to: m[3].trim() });
+            if (res.status !== "success") throw new Error(res.message);
+            console.log("🕸️ Relation Saved:", res.relation);
+            window.speak("RELATION SAVED.");
+            return;
+        }
+        if (res.status !== "success") throw new Error(res.message || "Entity update failed");
+
+        console.log("🪪 Entity Registry:", res.entity);
+        window.speak(`ENTITY ${res.entity.name.toUpperCase()} UPDATED.`);
+    } catch (e) {
+        console.error("Entity Command Failed", e);
+        window.speak(e.message.toUpperCase());
+    }
+};
+
+// --- REPLY DISPLAY ---
+function showReplyText(text) {
+    const textDisplay = document.getElementById('full-text-display');
+    const textContent = document.getElementById('text-content');
+    if (!textDisplay || !textContent) return;
+
+    // 1. Set the text
+    textContent.innerHTML = `<strong>SYMBIOSIS</strong>${text}`;
+    
+    // 2. Reveal
+    textDisplay.classList.remove('hidden');
+    window.viewingHistory = true; 
+    
+    // 3. Scroll Logic:
+    // Because of the bottom-fade mask, we want the text 
+    // to sit comfortably in the middle-bottom.
+    // We use a small timeout to let the DOM render the height first.
+    setTimeout(() => {
+        // Scroll to a position where the text is visible within the mask
+        // (Usually slightly offset from the very top)
+        textDisplay.scrollTop = textDisplay.scrollHeight; 
+    }, 50);
+}
+
+// --- STREAMED REPLIES ---
+// Whole words of the reply go out while mood and graph are still being generated.
+// Same routing as a finished reply: text display (fed to the swarm as food) when the
+// visuals are up, voice when they are hidden.
+function createReplyStream() {
+    const toDisplay = window.textMode || !window.visualsHidden;
+    let shown = "";
+    let voice = null;
+
+    return {
+        get started() { return shown.length > 0; },
+
+        update(text) {
+            // The last word may still be growing
+            const complete = text.slice(0, text.lastIndexOf(" ") + 1);
+            if (complete.length <= shown.length || !complete.startsWith(shown)) return;
+            const fresh = complete.slice(shown.length);
+            shown = complete;
+
+            if (toDisplay) {
+                if (!window.textMode) window.spawnFoodText(fresh.trim(), true);
+                showReplyText(shown);
+            } else {
+                voice = voice || window.speakStream();
+                voice.push(shown);
+            }
+        },
+
+        // The stream broke and another answer is coming: take back what went out
+        reset() {
+            if (!shown) return;
+            shown = "";
+            if (toDisplay) {
+                if (!window.textMode) window.spawnFoodText("");
+                showReplyText("");
+            } else if (voice) {
+                voice.cancel();
+                voice = null;
+            }
+        },
+
+        finish(text) {
+            if (toDisplay) showReplyText(text);
+            else if (voice) voice.end(text);
+            else window.speak(text);
+        }
+    };
+}
+
 async function handleChat(userText) {
-    if(!USER_API_KEY) return;
+    if(!window.hasLLMProvider()) return;
+    const llm = window.getLLMProvider();
     const btn = document.getElementById('sendBtn');
     btn.textContent = "SYNCING..."; btn.disabled = true;
 
     window.isThinking = true;
+    window.Usage.beginTurn();
+
+    // First message since the page loaded: pick up the last session (recent turns + rolling summary)
+    if (!window.hasRestoredSession) {
+        window.hasRestoredSession = true;
+        await window.initializeSymbiosisSession();
+        if (Array.isArray(window.chatHistory)) chatHistory = window.chatHistory.concat(chatHistory);
+    }
 
     chatHistory.push({ role: "user", content: userText });
     window.addToHistory("user", userText);
     
-    if (chatHistory.length > 10) chatHistory = chatHistory.slice(-10);
+    // Older turns leave the window in chunks and live on in the session summary (background)
+    const fold = window.SymbiosisContext.foldDue(chatHistory);
+    if (fold.length > 0) {
+        window.foldIntoSessionSummary(fold, window.getLLMProviderConfig().api_key, llm.model);
+        chatHistory = chatHistory.slice(fold.length);
+    }
 
     try {
-        // UPDATED: Now passing window.directorMode as the last argument
+        const reply = createReplyStream();
+        // UPDATED: Now passing window.directorMode (and the streamed-reply hook)
         const data = await window.processMemoryChat(
             userText, 
-            USER_API_KEY, 
-            OPENROUTER_MODEL, 
+            window.getLLMProviderConfig().api_key, 
+            llm.model, 
             chatHistory, 
             window.questionMode, 
-            window.directorMode 
+            window.directorMode,
+            { onResponseText: reply.update, onResponseReset: reply.reset }
         );
         
 		// === 🕵️ SPY LOG: WHAT DID THE SERVER SAY? ===
@@ -540,6 +917,12 @@ async function handleChat(userText) {
             json.response = JSON.stringify(json.response);
         }
 
+        // Relational questions ("friends of Jemi") draw the stored relation graph, not a guessed tree
+        if (window.relationGraph) {
+            json.roots = window.relationGraph.roots;
+            json.links = window.relationGraph.links;
+        }
+
         chatHistory.push({ role: "assistant", content: json.response });
         window.addToHistory("ai", json.response, json);
 
@@ -563,6 +946,12 @@ async function handleChat(userText) {
 
             window.updateKeywords(flatKeywords.filter(k => k).map(k => String(k).toUpperCase()));
 
+            // Same person under one label ("Cody K." / "my brother" -> "Cody")
+            if (window.resolveEntityNames) {
+                const labels = json.roots.map(r => r.label);
+                (await window.resolveEntityNames(labels)).forEach((name, i) => json.roots[i].label = name);
+            }
+
             if (window.buildKnowledgeGraph && window.globalBoidsArray) {
                 window.buildKnowledgeGraph(json, window.globalBoidsArray);
             }
@@ -624,6 +1013,12 @@ async function handleChat(userText) {
         // -------------------------------------------------
 
         // --- OUTPUT HANDLING ---
+        // A streamed reply is already on screen / being spoken: just settle the final text
+        if (reply.started) {
+            reply.finish(json.response);
+            return;
+        }
+
         // ... inside handleChat ...
         let watchdog = 0;
         const checkEating = setInterval(() => {
@@ -634,26 +1029,7 @@ async function handleChat(userText) {
                 
                 // [UPDATED] DISPLAY LOGIC
                 if (window.textMode || !window.visualsHidden) {  
-                    const textDisplay = document.getElementById('full-text-display');
-                    const textContent = document.getElementById('text-content');
-                    if (textDisplay && textContent) {
-                        // 1. Set the text
-                        textContent.innerHTML = `<strong>SYMBIOSIS</strong>${json.response}`;
-                        
-                        // 2. Reveal
-                        textDisplay.classList.remove('hidden');
-                        window.viewingHistory = true; 
-                        
-                        // 3. Scroll Logic:
-                        // Because of the bottom-fade mask, we want the text 
-                        // to sit comfortably in the middle-bottom.
-                        // We use a small timeout to let the DOM render the height first.
-                        setTimeout(() => {
-                            // Scroll to a position where the text is visible within the mask
-                            // (Usually slightly offset from the very top)
-                            textDisplay.scrollTop = textDisplay.scrollHeight; 
-                        }, 50);
-                    }
+                    showReplyText(json.response);
                 } else if (!window.textMode) {
                      // If visuals ARE hidden (Video playing), we usually rely on Audio
                      window.speak(json.response);      
@@ -688,14 +1064,9 @@ window.handleInput = function() {
         window.speak("SYNCING VIDEO LIBRARY. PLEASE WAIT.");
         input.value = ""; 
         
-        const appsScriptUrl = localStorage.getItem("symbiosis_apps_script_url");
-        if(appsScriptUrl) {
-            fetch(appsScriptUrl, {
-                method: "POST",
-                headers: { "Content-Type": "text/plain" },
-                body: JSON.stringify({ action: "update_video_library" })
-            })
-            .then(r => r.json())
+        const backend = window.getMemoryBackend();
+        if(backend) {
+            backend.updateVideoLibrary()
             .then(data => {
                 window.speak(data.message || "LIBRARY UPDATED.");
             })
@@ -711,8 +1082,32 @@ window.handleInput = function() {
 
     const authState = window.checkAuth();
     if (authState === "KEY") { window.saveConfig(text, "KEY"); input.value = ""; return; }
+    // --- PROFILES (available during onboarding too) ---
+    // "profiles" | "new profile <name>" | "switch profile <name>" | "delete profile <name>"
+    if (/^(profiles|(new|switch|delete) profile .+)$/i.test(text)) {
+        window.runProfilesCommand(text);
+        input.value = ""; input.blur();
+        return;
+    }
+
+    if (authState === "PROFILE") { window.saveConfig(text, "PROFILE"); input.value = ""; return; }
     if (authState === "SHEET") { window.saveConfig(text, "SHEET"); input.value = ""; return; }
 
+    // --- USER PROFILE ---
+    // "profile" shows it, "profile she/her, Europe/Berlin | ..." edits it
+    const profileMatch = text.match(/^profile(?:\s+(.+))?$/i);
+    if (profileMatch) {
+        if (profileMatch[1]) {
+            window.saveConfig(profileMatch[1], "PROFILE");
+        } else {
+            const profile = window.UserProfile.get();
+            console.log("🪞 User Profile:", profile);
+            window.speak(`${profile.name.toUpperCase()}. ${profile.pronouns.join("/").toUpperCase()}. ${profile.time_zone.toUpperCase()}.`);
+        }
+        input.value = ""; input.blur();
+        return;
+    }
+
     // --- INTEGRATED DIRECTOR MODE TOGGLE ---
     if (text.toLowerCase() === "director mode") {
         window.directorMode = true;
@@ -755,22 +1150,76 @@ window.handleInput = function() {
 	
 	// --- CLEAR CACHE / LOGOUT ---
     if (text.toLowerCase() === "clear cache") {
-        // 1. Wipe credentials
-        localStorage.removeItem("symbiosis_api_key");
-        localStorage.removeItem("symbiosis_apps_script_url");
+        // 1. Wipe credentials (LLM provider + memory backend)
+        window.clearLLMProviderConfig();
+        window.profileStorage.removeItem("symbiosis_apps_script_url");
+        window.profileStorage.removeItem("symbiosis_memory_backend");
         
-        // 2. Reset globals
-        USER_API_KEY = "";
-        
-        // 3. Feedback
+        // 2. Feedback
         window.speak("SYSTEM RESET. CREDENTIALS FLUSHED.");
         
-        // 4. Reset UI to 'Auth Mode'
+        // 3. Reset UI to 'Auth Mode'
         input.value = ""; 
         input.blur();
         window.checkAuth(); 
         return;
     }
+
+    // --- LLM PROVIDER ---
+    if (/^(provider .+|list models|use model \S+|json mode (on|off)|routes|route .+ (to .+|default))$/i.test(text)) {
+        window.runProviderCommand(text);
+        input.value = ""; input.blur();
+        return;
+    }
+
+    // --- PROMPT TEMPLATES ---
+    if (/^(list prompts|export prompts|import prompts|reset prompts|reset prompt \w+)$/i.test(text)) {
+        window.runPromptCommand(text);
+        input.value = ""; input.blur();
+        return;
+    }
+
+    // --- PIPELINE TRACES ---
+    if (/^(trace|traces)$/i.test(text)) {
+        window.toggleTracePanel();
+        input.value = ""; input.blur();
+        return;
+    }
+
+    if (/^export traces?$/i.test(text)) {
+        const count = window.Trace.export();
+        window.speak(`EXPORTED ${count} TRACES.`);
+        input.value = ""; input.blur();
+        return;
+    }
+
+    // --- USAGE & SPEND ---
+    if (/^usage( cap .+)?$/i.test(text)) {
+        window.runUsageCommand(text);
+        input.value = ""; input.blur();
+        return;
+    }
+
+    // --- MEMORY EXPORT / IMPORT ---
+    const exportMatch = text.toLowerCase().match(/^export memory\s*(json|csv|md)?$/);
+    if (exportMatch) {
+        window.exportMemoryCorpus(exportMatch[1] || "json");
+        input.value = ""; input.blur();
+        return;
+    }
+
+    if (text.toLowerCase() === "import memory") {
+        window.importMemoryCorpus();
+        input.value = ""; input.blur();
+        return;
+    }
+
+    // --- ENTITY REGISTRY ---
+    if (/^(list entities|alias .+ as .+|merge entity .+ into .+|split entity .+ from .+|relations .+|relate .+ as \w+ of .+)$/i.test(text)) {
+        window.runEntityCommand(text);
+        input.value = ""; input.blur();
+        return;
+    }
 	
     // Dismiss any open overlays when new input comes
     window.handleCanvasClick();
@@ -809,6 +1258,10 @@ window.handleInput = function() {
 window.onload = () => { 
     if(window.initSymbiosisAnimation) window.initSymbiosisAnimation(); 
     window.checkAuth(); 
+    const modeBtn = document.getElementById('modeBtn');
+    if (modeBtn) modeBtn.textContent = window.textMode ? "TEXT" : "AUDIO";
+    // More than one organism lives in this browser: ask whose it is
+    if (window.Profiles.list().length > 1) window.showProfilePicker();
     const input = document.getElementById('wordInput');
     if(input) input.addEventListener('keypress',e=>{if(e.key==='Enter')window.handleInput()});
 
@@ -869,6 +1322,8 @@ window.spawnEntityVisuals = async function(entityNames) {
     // 1. [FIX] FORCE UNIQUENESS IMMEDIATELY
     // This removes duplicates like ["Jemi", "Jemi"] -> ["Jemi"]
     if (!entityNames) return;
+    // One deck per entity, not per spelling ("Cody" / "Cody K.")
+    if (window.resolveEntityNames) entityNames = await window.resolveEntityNames(entityNames);
     entityNames = [...new Set(entityNames)]; 
 
     const textDisplay = document.getElementById('full-text-display');
@@ -884,7 +1339,7 @@ window.spawnEntityVisuals = async function(entityNames) {
     container.style.gap = "40px"; // Adds nice spacing between decks
 	
     if(entityNames.length === 0) return;
-    const appsScriptUrl = localStorage.getItem("symbiosis_apps_script_url");
+    const backend = window.getMemoryBackend();
 
     // 1. Create Layout Wrapper for each Entity
     function createEntityUnit(name) {
@@ -913,13 +1368,8 @@ window.spawnEntityVisuals = async function(entityNames) {
         container.appendChild(unit);
 
         // Fetch Data
-        if (appsScriptUrl) {
-            fetch(appsScriptUrl, {
-                method: "POST",
-                headers: { "Content-Type": "text/plain" },
-                body: JSON.stringify({ action: "search_entity_visuals", entityName: name })
-            })
-            .then(r => r.json())
+        if (backend) {
+            backend.searchEntityVisuals({ entityName: name })
             .then(data => {
                 if (data.found && data.images.length > 0) {
                     label.innerHTML = name; // Remove loading text
@@ -0,0 +1,594 @@
+// ============================================
+// MEMORY ENGINE (memory-engine.js) - ACTION PROTOCOL
+// Same actions & response shapes as the Apps Script backend.
+// Runs in the browser (IndexedDB adapter) and in Node.
+// ============================================
+
+(function(root) {
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const Retrieval = isNode ? require("./retrieval.js") : root.SymbiosisRetrieval;
+    const Corpus = isNode ? require("./corpus.js") : root.SymbiosisCorpus;
+    const Dates = isNode ? require("./dates.js") : root.SymbiosisDates;
+    const Entities = isNode ? require("./entities.js") : root.SymbiosisEntities;
+    const Relations = isNode ? require("./relations.js") : root.SymbiosisRelations;
+
+    const TABLES = ["facts", "chat", "director_facts", "media", "entities", "relations", "receipts", "sessions"];
+    const RECENT_CHAT_LIMIT = 10;
+    // Idempotency receipts kept for replay detection (outbox retries are minutes, not months, apart)
+    const RECEIPT_LIMIT = 500;
+    // Operations per "batch" request (a turn needs about a dozen at most)
+    const BATCH_LIMIT = 50;
+    // A memory shown every turn of one conversation only counts as one reinforcement
+    const REINFORCE_COOLDOWN_MS = 60 * 60 * 1000;
+    // Attention Audit: important facts that kept less than this share of their importance
+    const FADING_RATIO = 0.6;
+
+    function emptyState() {
+        const state = {};
+        TABLES.forEach(t => state[t] = []);
+        return state;
+    }
+
+    function makeId(prefix) {
+        return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    function toKeywordList(keywords) {
+        if (!keywords) return [];
+        if (typeof keywords === 'string') keywords = keywords.split(',');
+        return keywords.map(k => String(k).trim().toLowerCase()).filter(k => k.length > 0);
+    }
+
+    function matchesAny(haystack, keywords) {
+        const text = haystack.toLowerCase();
+        return keywords.some(k => text.includes(k));
+    }
+
+    // Same "[Date: ...] fact [Entities: ...]" shape the sheet returns (visuals.js strips the tags)
+    function formatFact(row) {
+        const date = (row.timestamp || "").slice(0, 10);
+        const when = row.date ? ` [When: ${Dates.describeDate(row.date)}]` : (row.date_unknown ? " [When: unknown]" : "");
+        const superseded = row.valid_to ? ` [Superseded: ${row.valid_to.slice(0, 10)}]` : "";
+        return `[Date: ${date}] ${row.fact} [Entities: ${row.entities || ""}] [Importance: ${row.importance}]${when}${superseded}`;
+    }
+
+    // When a fact happened: its structured date, else the day it was logged
+    // (an explicit "date unknown" never matches a date range)
+    function factWhen(row) {
+        if (row.date) return row.date;
+        if (row.date_unknown) return null;
+        const day = (row.timestamp || "").slice(0, 10);
+        return day ? { start: day, end: day } : null;
+    }
+
+    // --- SALIENCE ---
+    // Mentioned or retrieved again -> decay clock restarts and the half-life stretches
+    function reinforce(row, now) {
+        const last = Date.parse(row.last_reinforced || row.timestamp);
+        if (!isNaN(last) && Date.parse(now) - last < REINFORCE_COOLDOWN_MS) return false;
+        row.last_reinforced = now;
+        row.reinforcements = (Number(row.reinforcements) || 0) + 1;
+        return true;
+    }
+
+    // --- VERSIONING ---
+    // A fact is "current" until something supersedes it (valid_to set).
+    const isCurrent = (row) => !row.valid_to;
+
+    // Close the validity window of every row in `ids` and point it at its replacement
+    function supersedeRows(rows, ids, newId, when) {
+        const targets = new Set([].concat(ids || []));
+        let count = 0;
+        rows.forEach(row => {
+            if (targets.has(row.id) && isCurrent(row) && row.id !== newId) {
+                row.valid_to = when;
+                row.superseded_by = newId;
+                count++;
+            }
+        });
+        return count;
+    }
+
+    // createMemoryEngine(state, persist)
+    // - state: { facts: [], chat: [], director_facts: [], media: [], entities: [], relations: [], receipts: [] } (mutated in place)
+    // - persist(tableName): called after a table changes so the host can save it
+    function createMemoryEngine(state, persist) {
+        TABLES.forEach(t => { if (!Array.isArray(state[t])) state[t] = []; });
+        const save = async (table) => { if (persist) await persist(table); };
+        const registry = Entities.createEntityRegistry(state.entities);
+        const graph = Relations.createRelationStore(state.relations);
+
+        // "Cody K., my brother" -> canonical names + ids, registering new entities on the way
+        async function canonicalEntities(input, types) {
+            const res = registry.resolveList(input, { create: true, types: types || {} });
+            if (res.changed) await save("entities");
+            return { entities: res.names.join(", "), entity_ids: res.ids };
+        }
+
+        // Rewrite a fact's entity tags after the registry changed (merge / split / rename)
+        function relabelFact(row, fromId, toId) {
+            const ids = (row.entity_ids || []).map(id => id === fromId ? toId : id);
+            row.entity_ids = [...new Set(ids)];
+            row.entities = row.entity_ids.map(id => (registry.get(id) || {}).name).filter(Boolean).join(", ");
+        }
+
+        // Query + keywords, plus every alias of any entity they mention
+        const expandWithAliases = (terms) => terms.concat(registry.expandTerms(terms.join(" | ")));
+
+        // "Jemi from work" -> Jemi (longest prefix the registry knows)
+        function resolvePrefix(name) {
+            const words = String(name || "").split(" ");
+            for (let n = words.length; n > 0; n--) {
+                const entity = registry.resolve(words.slice(0, n).join(" "));
+                if (entity) return entity;
+            }
+            return null;
+        }
+
+        // Walk the graph from a name: [{ id, name, role, depth, via }]
+        function relatedTo(entity, types, depth) {
+            return graph.walk(entity.id, { types: types, depth: depth || 1 }).map(hit => {
+                const other = registry.get(hit.id);
+                const via = hit.via ? registry.get(hit.via) : null;
+                return { id: hit.id, name: other ? other.name : hit.id, role: hit.role, depth: hit.depth, via: via ? via.name : null };
+            });
+        }
+
+        // relations: [{ from, to, type }] by name, evidenced by the fact that mentioned them
+        async function recordRelations(relations, fact, types) {
+            let added = 0;
+            for (const rel of [].concat(relations || [])) {
+                if (!rel || !rel.from || !rel.to) continue;
+                const ends = registry.resolveList([rel.from, rel.to], { create: true, types: types || {} });
+                if (ends.ids.length === 2 && graph.add(ends.ids[0], ends.ids[1], rel.type, { fact_id: fact.id, text: fact.fact })) added++;
+            }
+            if (added > 0) {
+                await save("entities");
+                await save("relations");
+            }
+            return added;
+        }
+
+        const actions = {
+            // --- STANDARD MEMORY ---
+            // BM25-ranked, importance-boosted, top_k limited (see retrieval.js)
+            // Current truth only, unless include_history is set ("what did I used to think...")
+            // date_range { start, end } restricts to facts that happened in that window
+            async retrieve(body) {
+                const terms = expandWithAliases([...toKeywordList(body.keywords), body.query || ""]);
+                const topK = Number(body.top_k) || Retrieval.DEFAULT_TOP_K;
+                let pool = body.include_history ? state.facts : state.facts.filter(isCurrent);
+
+                const dateRange = Dates.normalizeDate(body.date_range);
+                if (dateRange) pool = pool.filter(row => Dates.overlaps(factWhen(row), dateRange));
+
+                // "Friends of Jemi" -> walk the relation graph and search for the people found
+                const relQuery = Relations.parseRelationQuery(body.query);
+                const anchor = relQuery ? resolvePrefix(relQuery.name) : null;
+                const related = anchor ? relatedTo(anchor, [relQuery.type], 1) : [];
+                related.forEach(r => terms.push(r.name));
+
+                let ranked = Retrieval.rankFacts(pool, terms, { topK: topK });
+
+                // "What did I do in January?" has no useful keywords -> most important facts in the window
+                if (ranked.length === 0 && dateRange) {
+                    ranked = pool
+                        .slice()
+                        .sort((a, b) => b.importance - a.importance || String(b.timestamp).localeCompare(String(a.timestamp)))
+                        .slice(0, topK)
+                        .map(row => ({ ref: row, score: 0 }));
+                }
+
+                // Salience as it was when recalled; being recalled then keeps the memory alive
+                // (internal lookups like dedup checks pass reinforce: false)
+                const salience = ranked.map(r => Number(Retrieval.salience(r.ref).toFixed(2)));
+                if (body.reinforce !== false) {
+                    const now = new Date().toISOString();
+                    const touched = ranked.filter(r => reinforce(r.ref, now)).length;
+                    if (touched > 0) await save("facts");
+                }
+
+                return {
+                    found: ranked.length > 0 || related.length > 0,
+                    relevant_memories: ranked.map(r => formatFact(r.ref)),
+                    ids: ranked.map(r => r.ref.id),
+                    scores: ranked.map(r => Number(r.score.toFixed(3))),
+                    salience: salience,
+                    related: anchor ? { entity: anchor.name, type: relQuery.type, entities: related } : null
+                };
+            },
+
+            // supersedes: [ids] -> those facts stop being current as of now
+            async store_atomic(body) {
+                if (!body.fact) return { status: "error", message: "Missing fact" };
+                const now = new Date().toISOString();
+                const tags = await canonicalEntities(body.entities, body.entity_types);
+                const row = {
+                    id: makeId("fact"),
+                    timestamp: now,
+                    fact: String(body.fact),
+                    entities: tags.entities,
+                    entity_ids: tags.entity_ids,
+                    topics: body.topics || "",
+                    importance: Number(body.importance) || 5,
+                    date: Dates.normalizeDate(body.date),
+                    // Event whose date was asked for and never given
+                    date_unknown: !!body.date_unknown && !body.date,
+                    last_reinforced: now,
+                    reinforcements: 0,
+                    valid_from: body.valid_from || now,
+                    valid_to: null,
+                    supersedes: [].concat(body.supersedes || []),
+                    // Which prompt templates produced it (prompts.js versionTag)
+                    prompt_version: body.prompt_version || ""
+                };
+                const superseded = supersedeRows(state.facts, row.supersedes, row.id, now);
+                state.facts.push(row);
+                await save("facts");
+                const relations = await recordRelations(body.relations, row, body.entity_types);
+                return { status: "success", id: row.id, superseded: superseded, relations: relations };
+            },
+
+            // The user said it again (a DUPLICATE of these ids)
+            async reinforce_facts(body) {
+                const ids = new Set([].concat(body.ids || []));
+                const now = new Date().toISOString();
+                const touched = state.facts.filter(f => ids.has(f.id) && reinforce(f, now)).length;
+                if (touched > 0) await save("facts");
+                return { status: "success", reinforced: touched };
+            },
+
+            // Attention Audit: important, still-true memories nobody has brought up in a while
+            async fading_facts(body) {
+                const limit = Number(body.limit) || 3;
+                const minImportance = Number(body.min_importance) || 6;
+                const fading = state.facts
+                    .filter(f => isCurrent(f) && f.importance >= minImportance)
+                    .map(f => ({ row: f, salience: Retrieval.salience(f) }))
+                    .filter(x => x.salience < x.row.importance * FADING_RATIO)
+                    .sort((a, b) => (b.row.importance - b.salience) - (a.row.importance - a.salience))
+                    .slice(0, limit);
+                return {
+                    found: fading.length > 0,
+                    memories: fading.map(x => formatFact(x.row)),
+                    ids: fading.map(x => x.row.id),
+                    salience: fading.map(x => Number(x.salience.toFixed(2))),
+                    last_reinforced: fading.map(x => x.row.last_reinforced || x.row.timestamp)
+                };
+            },
+
+            // Full version chain for one fact: oldest -> newest
+            async fact_history(body) {
+                const byId = new Map(state.facts.map(f => [f.id, f]));
+                let head = byId.get(body.id);
+                if (!head) return { status: "error", message: `No fact with id ${body.id}` };
+
+                while (head.superseded_by && byId.has(head.superseded_by)) head = byId.get(head.superseded_by);
+                const chain = [head];
+                const walkBack = (row) => (row.supersedes || []).forEach(id => {
+                    const prev = byId.get(id);
+                    if (prev && !chain.includes(prev)) { chain.unshift(prev); walkBack(prev); }
+                });
+                walkBack(head);
+                return { status: "success", versions: chain };
+            },
+
+            // --- EDITING (Memory Panel) ---
+            async update_fact(body) {
+                const row = state.facts.find(f => f.id === body.id);
+                if (!row) return { status: "error", message: `No fact with id ${body.id}` };
+
+                const changes = {};
+                ["fact", "entities", "topics", "importance"].forEach(k => {
+                    if (body[k] !== undefined) changes[k] = body[k];
+                });
+                const next = Corpus.normalizeRecord({ ...row, ...changes });
+                const errors = Corpus.validateRecord(next);
+                if (errors.length > 0) return { status: "error", message: errors.join("; ") };
+
+                row.fact = next.fact;
+                if (changes.entities !== undefined) Object.assign(row, await canonicalEntities(next.entities));
+                row.topics = next.topics;
+                row.importance = next.importance;
+                row.updated_at = new Date().toISOString();
+                await save("facts");
+                return { status: "success", fact: row };
+            },
+
+            async delete_fact(body) {
+                const idx = state.facts.findIndex(f => f.id === body.id);
+                if (idx === -1) return { status: "error", message: `No fact with id ${body.id}` };
+                const [removed] = state.facts.splice(idx, 1);
+                await save("facts");
+                if (graph.dropEvidence(removed.id) > 0) await save("relations");
+                return { status: "success" };
+            },
+
+            // --- CORPUS (EXPORT / IMPORT) ---
+            async list_facts() {
+                return { facts: state.facts.slice() };
+            },
+
+            // Validates + dedupes (against the batch itself and what's already stored)
+            async import_facts(body) {
+                const prepared = Corpus.prepareImport(body.facts || [], state.facts);
+                for (const rec of prepared.valid) {
+                    const tags = await canonicalEntities(rec.entities);
+                    state.facts.push({
+                        id: makeId("fact"),
+                        timestamp: rec.timestamp || new Date().toISOString(),
+                        fact: rec.fact,
+                        entities: tags.entities,
+                        entity_ids: tags.entity_ids,
+                        topics: rec.topics,
+                        importance: rec.importance,
+                        date: rec.date,
+                        date_unknown: rec.date_unknown,
+                        last_reinforced: rec.timestamp || new Date().toISOString(),
+                        reinforcements: 0,
+                        valid_from: rec.valid_from || rec.timestamp || new Date().toISOString(),
+                        valid_to: rec.valid_to || null
+                    });
+                }
+                if (prepared.valid.length > 0) await save("facts");
+                return {
+                    status: "success",
+                    imported: prepared.valid.length,
+                    duplicates: prepared.duplicates,
+                    invalid: prepared.invalid
+                };
+            },
+
+            // --- CHAT LOG ---
+            async log_chat(body) {
+                // [timestamp, role, content, prompt_version]
+                state.chat.push([new Date().toISOString(), body.role, body.content, body.prompt_version || ""]);
+                await save("chat");
+                return { status: "success" };
+            },
+
+            // The rolling summary comes along, so a restored session also knows what came before
+            async get_recent_chat(body) {
+                const limit = Number(body.limit) || RECENT_CHAT_LIMIT;
+                return { history: state.chat.slice(-limit), summary: state.sessions[state.sessions.length - 1] || null };
+            },
+
+            // --- SESSION SUMMARY ---
+            // Summary of the turns older than the recent chat. One row per session, rewritten as
+            // that conversation grows; the latest saved row is the one a restore picks up.
+            async save_session_summary(body) {
+                if (!body.summary) return { status: "error", message: "Missing summary" };
+                const sessionId = body.session_id || "default";
+                state.sessions = state.sessions.filter(s => s.session_id !== sessionId).concat([{
+                    session_id: sessionId,
+                    summary: String(body.summary),
+                    turns: Number(body.turns) || 0,
+                    through: body.through || null,
+                    prompt_version: body.prompt_version || "",
+                    updated_at: new Date().toISOString()
+                }]);
+                await save("sessions");
+                return { status: "success" };
+            },
+
+            async get_session_summary() {
+                return { summary: state.sessions[state.sessions.length - 1] || null };
+            },
+
+            // --- DIRECTOR ARCHIVE ---
+            async retrieve_director_memory(body) {
+                const keywords = toKeywordList(expandWithAliases(toKeywordList(body.keywords)));
+                if (keywords.length === 0) return { found: false, relevant_memories: [] };
+
+                const pool = body.include_history ? state.director_facts : state.director_facts.filter(isCurrent);
+                const hits = pool
+                    .filter(row => matchesAny(`${row.Entity} ${row.Fact} ${row.Tags}`, keywords))
+                    .map(row => ({ Id: row.id, Entity: row.Entity, Fact: row.Fact, Tags: row.Tags, ValidTo: row.valid_to || null }));
+                return { found: hits.length > 0, relevant_memories: hits };
+            },
+
+            async store_director_fact(body) {
+                if (!body.fact) return { status: "error", message: "Missing fact" };
+                const now = new Date().toISOString();
+                const tags = await canonicalEntities(body.entity);
+                const row = {
+                    id: makeId("dfact"),
+                    Timestamp: now,
+                    Entity: tags.entities || body.entity || "",
+                    entity_ids: tags.entity_ids,
+                    Fact: String(body.fact),
+                    Tags: body.tags || "",
+                    valid_from: now,
+                    valid_to: null,
+                    supersedes: [].concat(body.supersedes || []),
+                    prompt_version: body.prompt_version || ""
+                };
+                const superseded = supersedeRows(state.director_facts, row.supersedes, row.id, now);
+                state.director_facts.push(row);
+                await save("director_facts");
+                return { status: "success", id: row.id, superseded: superseded };
+            },
+
+            // Local backends have no Drive. The "media" table holds { name, url, mime, description, thumbnail }.
+            async director_search(body) {
+                const include = toKeywordList(body.constraints);
+                const exclude = toKeywordList(body.exclude_constraints);
+                const files = state.media.filter(f => {
+                    const meta = `${f.name} ${f.description || ""}`.toLowerCase();
+                    return include.every(k => meta.includes(k)) && !exclude.some(k => meta.includes(k));
+                });
+                return { found: files.length > 0, files: files, debug_query: { include, exclude } };
+            },
+
+            async search_entity_visuals(body) {
+                // Any name the entity goes by counts ("Cody K." finds files labelled "cody")
+                const entity = registry.resolve(body.entityName);
+                const names = (entity ? [entity.name, ...entity.aliases] : [body.entityName || ""]).map(n => String(n).toLowerCase());
+                const images = state.media.filter(f =>
+                    f.mime && f.mime.includes('image') && matchesAny(`${f.name} ${f.description || ""}`, names)
+                );
+                return { found: images.length > 0, images: images };
+            },
+
+            async update_video_library() {
+                return { status: "success", message: `LOCAL LIBRARY: ${state.media.length} FILES INDEXED.` };
+            },
+
+            // --- ENTITY REGISTRY ---
+            async list_entities() {
+                return { entities: registry.list() };
+            },
+
+            // names: "Cody K., my brother" -> [{ input, id, name, type, pronouns }] (id null if unknown)
+            async resolve_entities(body) {
+                const names = [].concat(body.names || []).flatMap(n => String(n).split(",")).map(n => n.trim()).filter(Boolean);
+                if (body.create) await canonicalEntities(names, body.types);
+                return {
+                    entities: names.map(input => {
+                        const e = registry.resolve(input);
+                        return { input, id: e ? e.id : null, name: e ? e.name : input, type: e ? e.type : null, pronouns: e ? e.pronouns : "" };
+                    })
+                };
+            },
+
+            // Free text -> entities it names ("how is my brother?" -> Cody)
+            async entity_mentions(body) {
+                return { entities: registry.findMentions(body.text || "") };
+            },
+
+            // Create ({ name, ... }) or edit ({ id, name?, type?, aliases?, pronouns? })
+            async upsert_entity(body) {
+                try {
+                    const entity = body.id
+                        ? registry.update(body.id, body)
+                        : registry.ensure(body.name, body).entity;
+                    if (!body.id && body.aliases) registry.update(entity.id, { aliases: body.aliases });
+                    // A rename changes the canonical tag on every fact
+                    state.facts.forEach(row => { if ((row.entity_ids || []).includes(entity.id)) relabelFact(row, entity.id, entity.id); });
+                    await save("entities");
+                    await save("facts");
+                    return { status: "success", entity: entity };
+                } catch (e) { return { status: "error", message: e.message }; }
+            },
+
+            // merge_id disappears; its aliases, facts and director facts move to keep_id
+            async merge_entities(body) {
+                try {
+                    const dropped = registry.get(body.merge_id);
+                    const keep = registry.merge(body.keep_id, body.merge_id);
+                    let moved = 0;
+                    state.facts.forEach(row => {
+                        if ((row.entity_ids || []).includes(body.merge_id)) { relabelFact(row, body.merge_id, keep.id); moved++; }
+                    });
+                    state.director_facts.forEach(row => {
+                        if ((row.entity_ids || []).includes(body.merge_id) || row.Entity === dropped.name) {
+                            row.entity_ids = [keep.id];
+                            row.Entity = keep.name;
+                        }
+                    });
+                    graph.reassign(body.merge_id, keep.id);
+                    await save("relations");
+                    await save("entities");
+                    await save("facts");
+                    await save("director_facts");
+                    return { status: "success", entity: keep, moved_facts: moved };
+                } catch (e) { return { status: "error", message: e.message }; }
+            },
+
+            // New entity { name, aliases, type } carved out of id; fact_ids are re-tagged to it
+            async split_entity(body) {
+                try {
+                    const created = registry.split(body.id, body);
+                    const factIds = new Set([].concat(body.fact_ids || []));
+                    let moved = 0;
+                    state.facts.forEach(row => {
+                        if (factIds.has(row.id) && (row.entity_ids || []).includes(body.id)) { relabelFact(row, body.id, created.id); moved++; }
+                    });
+                    await save("entities");
+                    await save("facts");
+                    return { status: "success", entity: created, moved_facts: moved };
+                } catch (e) { return { status: "error", message: e.message }; }
+            },
+
+            // --- RELATION GRAPH ---
+            // entity (optional name): only edges touching it
+            async list_relations(body) {
+                const entity = body.entity ? resolvePrefix(body.entity) : null;
+                if (body.entity && !entity) return { relations: [] };
+                const rows = graph.list().filter(r => !entity || r.from === entity.id || r.to === entity.id);
+                const nameOf = (id) => (registry.get(id) || {}).name || id;
+                return { relations: rows.map(r => ({ ...r, from_name: nameOf(r.from), to_name: nameOf(r.to) })) };
+            },
+
+            // { entity, types?, depth? } -> who is connected, and how
+            async related_entities(body) {
+                const entity = resolvePrefix(body.entity);
+                if (!entity) return { status: "error", message: `Unknown entity: ${body.entity}` };
+                const types = [].concat(body.types || []).map(Relations.normalizeType).filter(Boolean);
+                return { status: "success", entity: entity, related: relatedTo(entity, types, Number(body.depth) || 1) };
+            },
+
+            // Manual edge: { from, to, type, note } ("from is to's type")
+            async upsert_relation(body) {
+                const ends = registry.resolveList([body.from, body.to], { create: true });
+                const row = ends.ids.length === 2
+                    ? graph.add(ends.ids[0], ends.ids[1], body.type, { text: body.note || "Added manually" })
+                    : null;
+                if (!row) return { status: "error", message: `Cannot relate "${body.from}" and "${body.to}" as "${body.type}"` };
+                await save("entities");
+                await save("relations");
+                return { status: "success", relation: row };
+            },
+
+            async delete_relation(body) {
+                if (!graph.remove(body.id)) return { status: "error", message: `No relation with id ${body.id}` };
+                await save("relations");
+                return { status: "success" };
+            }
+        };
+
+        // --- BATCH ---
+        // { operations: [{ action, ...payload }] } -> { results: [...] } in the same order.
+        // Operations run one after another (a store sees the entities an earlier one created),
+        // each with its own idempotency key, and one failing doesn't stop the rest.
+        actions.batch = async function(body) {
+            const ops = Array.isArray(body.operations) ? body.operations : [];
+            if (ops.length > BATCH_LIMIT) return { status: "error", message: `A batch holds at most ${BATCH_LIMIT} operations` };
+            const results = [];
+            for (const op of ops) {
+                const { action, ...payload } = op || {};
+                results.push(action === "batch"
+                    ? { status: "error", message: "Batches cannot be nested" }
+                    : await handle(action, payload));
+            }
+            return { status: "success", results: results };
+        };
+
+        async function handle(action, body = {}) {
+            const fn = actions[action];
+            if (!fn) return { status: "error", message: `Unknown action: ${action}` };
+
+            // A replayed write (outbox retry after a lost response) gets the original answer
+            const key = body.idempotency_key;
+            const receipt = key ? state.receipts.find(r => r.key === key) : null;
+            if (receipt) return { ...receipt.response, replayed: true };
+
+            const res = await fn(body);
+            if (key) {
+                state.receipts.push({ key: key, action: action, at: new Date().toISOString(), response: res });
+                if (state.receipts.length > RECEIPT_LIMIT) state.receipts.splice(0, state.receipts.length - RECEIPT_LIMIT);
+                await save("receipts");
+            }
+            return res;
+        }
+
+        return { actions: Object.keys(actions), handle };
+    }
+
+    const MemoryEngine = { TABLES, emptyState, createMemoryEngine, formatFact };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = MemoryEngine;
+    else root.MemoryEngine = MemoryEngine;
+
+})(typeof window !== 'undefined' ? window : globalThis);
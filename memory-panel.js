@@ -0,0 +1,200 @@
+// ============================================
+// MEMORY PANEL (memory-panel.js) - BROWSE & EDIT STORED FACTS
+// Lists facts from the active backend. Edits go straight back through
+// the backend, so the next "retrieve" already sees them.
+// ============================================
+
+let memoryPanelFacts = [];
+
+window.toggleMemoryPanel = function() {
+    const panel = document.getElementById('memory-panel');
+    if (!panel) return;
+
+    // Only one full-screen panel at a time
+    const term = document.getElementById('terminal-history');
+    if (term && !term.classList.contains('hidden')) window.toggleHistory();
+
+    panel.classList.toggle('hidden');
+    const isOpen = !panel.classList.contains('hidden');
+    const btn = document.getElementById('memoryBtn');
+    if (btn) btn.textContent = isOpen ? "EXIT" : "MEM";
+
+    if (isOpen) window.loadMemoryPanel();
+};
+
+window.loadMemoryPanel = async function() {
+    const list = document.getElementById('memory-list');
+    const backend = window.getMemoryBackend();
+    if (!list) return;
+    if (window.renderPendingQuestions) window.renderPendingQuestions();
+
+    if (!backend) {
+        list.innerHTML = `<div class="mem-empty">NO MEMORY LINKED.</div>`;
+        return;
+    }
+
+    list.innerHTML = `<div class="mem-empty">LOADING...</div>`;
+    try {
+        const res = await backend.listFacts();
+        if (!Array.isArray(res.facts)) throw new Error(res.message || "list_facts unsupported");
+        memoryPanelFacts = res.facts;
+        renderMemoryPanel();
+    } catch (e) {
+        // The backend's own answer, e.g. "Unknown action: list_facts" from an older Apps Script
+        console.error("Memory Panel Load Failed", e);
+        memoryPanelFacts = [];
+        list.innerHTML = `<div class="mem-empty"></div>`;
+        list.firstChild.textContent = `CANNOT LIST MEMORIES: ${e.message}`.toUpperCase();
+    }
+};
+
+function renderMemoryPanel() {
+    const list = document.getElementById('memory-list');
+    const filter = (document.getElementById('memoryFilter')?.value || "").toLowerCase().trim();
+    const sort = document.getElementById('memorySort')?.value || "importance";
+    const showHistory = !!document.getElementById('memoryHistory')?.checked;
+
+    // Superseded versions are hidden unless HISTORY is ticked
+    let rows = memoryPanelFacts.filter(f =>
+        (showHistory || !f.valid_to) &&
+        (!filter || `${f.fact} ${f.entities} ${f.topics}`.toLowerCase().includes(filter))
+    );
+    const salience = (f) => window.SymbiosisRetrieval.salience(f);
+    rows.sort((a, b) => {
+        if (sort === "recent") return String(b.timestamp).localeCompare(String(a.timestamp));
+        if (sort === "salience") return salience(b) - salience(a);
+        return b.importance - a.importance;
+    });
+
+    const count = document.getElementById('memory-count');
+    if (count) count.textContent = `${rows.length} / ${memoryPanelFacts.length}`;
+
+    list.innerHTML = "";
+    if (rows.length === 0) {
+        list.innerHTML = `<div class="mem-empty">NO MATCHING MEMORIES.</div>`;
+        return;
+    }
+    rows.forEach(f => list.appendChild(createMemoryRow(f)));
+}
+
+function createMemoryRow(fact) {
+    const row = document.createElement('div');
+    row.className = fact.valid_to ? 'mem-row superseded' : 'mem-row';
+
+    // 1. Fact text (inline editable)
+    const text = document.createElement('div');
+    text.className = 'mem-fact';
+    text.contentEditable = "true";
+    text.textContent = fact.fact;
+    text.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); text.blur(); }
+    });
+    text.addEventListener('blur', () => {
+        const value = text.textContent.trim();
+        if (value !== fact.fact) saveMemoryEdit(fact, { fact: value }, row);
+    });
+
+    // 2. Metadata
+    const meta = document.createElement('div');
+    meta.className = 'mem-meta';
+
+    const makeField = (key, label) => {
+        const input = document.createElement('input');
+        input.className = 'mem-field';
+        input.value = fact[key] || "";
+        input.placeholder = label;
+        input.title = label;
+        input.addEventListener('change', () => saveMemoryEdit(fact, { [key]: input.value.trim() }, row));
+        return input;
+    };
+
+    // 3. Re-scoring
+    const score = document.createElement('span');
+    score.className = 'mem-importance';
+    score.textContent = fact.importance;
+
+    // Current salience: how much of that importance is left after decay
+    const live = document.createElement('span');
+    live.className = 'mem-salience';
+    live.textContent = `~${window.SymbiosisRetrieval.salience(fact).toFixed(1)}`;
+    live.title = "SALIENCE (DECAYS UNLESS RECALLED)";
+
+    const makeScoreBtn = (label, delta) => {
+        const btn = document.createElement('button');
+        btn.className = 'mem-btn';
+        btn.textContent = label;
+        btn.onclick = () => {
+            const next = Math.min(10, Math.max(1, Number(fact.importance) + delta));
+            if (next !== fact.importance) saveMemoryEdit(fact, { importance: next }, row);
+        };
+        return btn;
+    };
+
+    const del = document.createElement('button');
+    del.className = 'mem-btn mem-delete';
+    del.textContent = "DEL";
+    del.onclick = () => deleteMemory(fact, row);
+
+    const date = document.createElement('span');
+    date.className = 'mem-date';
+    date.textContent = window.UserProfile.day(fact.timestamp);
+    if (fact.date) date.textContent += ` · WHEN ${window.SymbiosisDates.describeDate(fact.date)}`;
+    else if (fact.date_unknown) date.textContent += " · WHEN UNKNOWN";
+    if (fact.valid_to) date.textContent += ` → SUPERSEDED ${fact.valid_to.slice(0, 10)}`;
+
+    meta.append(makeField("entities", "ENTITIES"), makeField("topics", "TOPICS"),
+        makeScoreBtn("-", -1), score, makeScoreBtn("+", 1), live, date, del);
+
+    row.append(text, meta);
+    return row;
+}
+
+async function saveMemoryEdit(fact, changes, row) {
+    const backend = window.getMemoryBackend();
+    if (!backend) return;
+
+    row.classList.add('saving');
+    try {
+        const res = await backend.updateFact({ id: fact.id, ...changes });
+        if (res.status !== "success") throw new Error(res.message || "update_fact failed");
+
+        Object.assign(fact, res.fact || changes);
+        console.log("✏️ Memory Updated:", fact.fact);
+        row.replaceWith(createMemoryRow(fact));
+    } catch (e) {
+        console.error("Memory Update Failed", e);
+        row.classList.remove('saving');
+        row.classList.add('error');
+        row.title = e.message;
+        window.speak("UPDATE REJECTED.");
+    }
+}
+
+async function deleteMemory(fact, row) {
+    if (!confirm(`Delete this memory?\n\n"${fact.fact}"`)) return;
+    const backend = window.getMemoryBackend();
+    if (!backend) return;
+
+    try {
+        const res = await backend.deleteFact({ id: fact.id });
+        if (res.status !== "success") throw new Error(res.message || "delete_fact failed");
+
+        memoryPanelFacts = memoryPanelFacts.filter(f => f !== fact);
+        row.classList.add('dissolving');
+        setTimeout(() => renderMemoryPanel(), 300);
+        console.log("🗑️ Memory Deleted:", fact.fact);
+    } catch (e) {
+        console.error("Memory Delete Failed", e);
+        window.speak("DELETE FAILED.");
+    }
+}
+
+// Toolbar wiring (scripts load at the end of <body>, so the DOM is ready)
+(function initMemoryPanel() {
+    const filter = document.getElementById('memoryFilter');
+    const sort = document.getElementById('memorySort');
+    const history = document.getElementById('memoryHistory');
+    if (filter) filter.addEventListener('input', renderMemoryPanel);
+    if (sort) sort.addEventListener('change', renderMemoryPanel);
+    if (history) history.addEventListener('change', renderMemoryPanel);
+})();
@@ -5,21 +5,38 @@
 
 window.hasRestoredSession = false;
 const MAX_RETRIES = 3;
+const RETRIEVAL_TOP_K = 8;       // Global retrieval (DATABASE RESULTS)
+const CHECK_TOP_K = 5;           // Interceptor / redundancy / dedup lookups
+
+// Prompt templates (prompts.js),
+// with this browser's overrides and the user profile (profile.js) in every prompt
+const Prompts = window.SymbiosisPrompts.createPromptRegistry(window.SymbiosisPrompts.TEMPLATES, window.profileStorage, () => window.UserProfile.promptVars());
+window.Prompts = Prompts;
+// The prompts a stored fact has passed through (stored as its prompt_version)
+const FACT_PROMPTS = ["analysis", "timekeeper", "dedup_refine"];
+
+// Conversation context on a token budget (context.js)
+const Context = window.SymbiosisContext;
+// Rolling summary of the turns older than the recent chat:
+// { session_id, summary, turns, through, prompt_version } (null until the first fold).
+// Each page load is a session with its own summary row; a restored summary carries over into it.
+const SESSION_ID = `session_${Date.now().toString(36)}`;
+let sessionSummary = null;
+let summaryChain = Promise.resolve();
 
 // --- 1. INITIALIZE SESSION (V2 Feature) ---
 window.initializeSymbiosisSession = async function() {
-    const appsScriptUrl = localStorage.getItem("symbiosis_apps_script_url");
-    if (!appsScriptUrl) return;
+    const backend = window.getMemoryBackend();
+    if (!backend) return;
 
     try {
         console.log("🔄 Restoring Short-term Memory...");
-        const req = await fetch(appsScriptUrl, {
-            method: "POST",
-            mode: "cors",            
-            headers: { "Content-Type": "text/plain" },
-            body: JSON.stringify({ action: "get_recent_chat" })
-        });
-        const res = await req.json();
+        const res = await backend.getRecentChat();
+
+        if (res.summary && res.summary.summary) {
+            sessionSummary = res.summary;
+            console.log(`📜 Session Summary Restored (${sessionSummary.turns} older turns)`);
+        }
         
         if (res.history && Array.isArray(res.history)) {
             window.chatHistory = res.history.map(row => ({ 
@@ -48,43 +65,162 @@ window.initializeSymbiosisSession = async function() {
     } catch (e) { console.error("Session Restore Failed", e); }
 };
 
+// --- ROLLING SESSION SUMMARY ---
+// Turns that drop out of the recent window (main.js) are folded into the summary in the
+// background, one fold at a time, and saved with the session for the next restore.
+window.getSessionSummary = () => sessionSummary;
+
+window.foldIntoSessionSummary = function(messages, apiKey, model) {
+    const turns = messages.filter(m => m.role !== "system" && m.content);
+    // Over the daily cap these turns simply age out without a summary
+    if (turns.length === 0 || window.Usage.skips("SessionSummary")) return summaryChain;
+
+    summaryChain = summaryChain.then(async () => {
+        const prompt = Prompts.render("session_summary", {
+            summary: sessionSummary ? sessionSummary.summary : "(nothing yet)",
+            turns: Context.formatTurns(turns),
+            max_words: Context.SUMMARY_WORDS
+        });
+        const res = await fetchWithCognitiveRetry([{ "role": "system", "content": prompt }], model, apiKey, "SessionSummary");
+        // Every attempt failed: keep the old summary rather than lose it
+        if (!res.parsed.summary) return;
+
+        sessionSummary = {
+            session_id: SESSION_ID,
+            summary: res.parsed.summary,
+            turns: (sessionSummary ? sessionSummary.turns : 0) + turns.length,
+            through: turns[turns.length - 1].timestamp || new Date().toISOString(),
+            prompt_version: Prompts.versionTag(["session_summary"])
+        };
+        console.log(`📜 Session Summary (${sessionSummary.turns} older turns):`, sessionSummary.summary);
+
+        const backend = window.getMemoryBackend();
+        if (backend) await backend.saveSessionSummary(sessionSummary);
+    }).catch(e => console.error("Session Summary Failed", e));
+    return summaryChain;
+};
+
+// --- FACT HISTORY DETECTOR ---
+// "What did I used to think about X?" -> retrieve superseded versions as well
+function wantsFactHistory(text) {
+    return /\b(used to|use to|previously|formerly|originally|no longer|anymore|back then|changed my mind|did i (once|ever) (think|say|believe))\b/i.test(text);
+}
+
+// --- DATE RECALL DETECTOR ---
+// "What did I do in January 2025?" / "Tell me about last summer" -> date-range retrieval.
+// Statements ("I went hiking last summer") are new facts, not recall, so they don't filter.
+function findRecallDateRange(text, isQuestionMode) {
+    const isRecall = isQuestionMode || /\?|^\s*(what|when|where|who|did|do|how|tell me|remind me|show me|list)\b/i.test(text);
+    return isRecall ? window.SymbiosisDates.findDateExpression(text, new Date()) : null;
+}
+
+// --- ENTITY REGISTRY CONTEXT ---
+// Tells the extractor which canonical names exist, so "my brother" is tagged "Cody"
+// instead of becoming a new entity. Mentioned entities first, then the most recent ones.
+const KNOWN_ENTITY_LIMIT = 25;
+
+async function describeKnownEntities(backend, text) {
+    try {
+        const [mentioned, all] = await Promise.all([backend.entityMentions({ text: text }), backend.listEntities()]);
+        const seen = new Set();
+        const rows = [...(mentioned.entities || []), ...(all.entities || []).sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)))]
+            .filter(e => !seen.has(e.id) && seen.add(e.id))
+            .slice(0, KNOWN_ENTITY_LIMIT);
+        return rows.map(e => {
+            const aka = e.aliases.length > 0 ? ` aka ${e.aliases.join(" / ")}` : "";
+            const pronouns = e.pronouns ? `, ${e.pronouns}` : "";
+            return `- ${e.name} (${e.type}${pronouns})${aka}`;
+        }).join("\n");
+    } catch (e) {
+        console.warn("Entity registry unavailable", e);
+        return "";
+    }
+}
+
+// Canonical names for graph labels / decks ("Cody K." and "my brother" -> one "Cody")
+window.resolveEntityNames = async function(names) {
+    const backend = window.getMemoryBackend();
+    if (!backend || names.length === 0) return names;
+    try {
+        const res = await backend.resolveEntities({ names: names });
+        return names.map((n, i) => (res.entities[i] && res.entities[i].id) ? res.entities[i].name : n);
+    } catch (e) { return names; }
+};
+
+// --- BATCHED WRITES ---
+// The standard pipeline collects its writes and sends them as one batch per phase
+function storeOperation(entry, supersedes = []) {
+    return {
+        action: "store_atomic",
+        fact: entry.fact,
+        entities: entry.entities,
+        topics: entry.topics,
+        importance: entry.importance,
+        entity_types: entry.entity_types || {},
+        relations: Array.isArray(entry.relations) ? entry.relations : [],
+        date: entry.date || undefined,
+        supersedes: supersedes,
+        prompt_version: Prompts.versionTag(FACT_PROMPTS)
+    };
+}
+
+// Keywords for the per-fact dedup lookup (words > 4 chars)
+function dedupKeywords(fact) {
+    return String(fact || "").split(" ").filter(w => w.length > 4).slice(0, 3);
+}
+
+// --- COMPLETION REQUEST ---
+// Goes through the active LLM provider (providers.js), which owns the URL, auth and flags.
+// stream: true asks for Server-Sent Events instead of one JSON body
+function requestCompletion(messages, model, apiKey, { signal, stream = false } = {}) {
+    return window.getLLMProvider().request(messages, { model: model, api_key: apiKey, signal: signal, stream: stream });
+}
+
+// Models without a JSON mode tend to wrap the object in prose or ```json fences
+function parseModelJson(content) {
+    try {
+        return JSON.parse(content);
+    } catch (e) {
+        const text = String(content || "");
+        const first = text.indexOf("{"), last = text.lastIndexOf("}");
+        if (first === -1 || last <= first) throw e;
+        return JSON.parse(text.slice(first, last + 1));
+    }
+}
+
+// Stage output -> { value, errors, repairs } against its declared schema (schemas.js)
+function checkStageOutput(label, parsed) {
+    const checked = window.SymbiosisSchemas.check(label, parsed);
+    if (checked.repairs.length > 0) console.log(`🩹 ${label} repaired: ${checked.repairs.join("; ")}`);
+    return checked;
+}
+
 // --- SYNAPTIC RETRY ENGINE (V2 Reliability) ---
 // [FIX] Added Exponential Backoff & Strict Status Checks
-async function fetchWithCognitiveRetry(messages, model, apiKey, validatorFn, label) {
+// trace: the turn the call belongs to (trace.js), default the active one
+async function fetchWithCognitiveRetry(messages, model, apiKey, label, { trace } = {}) {
     let attempts = 0;
     let delay = 1000; // Start waiting 1 second
 
+    // Routed model first, then its fallbacks (the last one takes any remaining attempts)
+    const models = window.resolveModelRoute(label, model);
+    const call = window.Trace.llmCall(label, messages, { trace });
+
     while (attempts < MAX_RETRIES) {
+        const attemptModel = models[Math.min(attempts, models.length - 1)];
+        const attemptLog = { attempt: attempts + 1, model: attemptModel, status: null, raw: null, parsed: null, errors: [], repairs: [], error: null, ms: null };
+        const started = Date.now();
+        call.attempts.push(attemptLog);
         try {
-            console.log(`🧠 ${label} (Attempt ${attempts + 1})...`);
+            console.log(`🧠 ${label} [${attemptModel}] (Attempt ${attempts + 1})...`);
             
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), 15000); // 15s Hard Timeout
 
-            // ... inside fetchWithCognitiveRetry ...
-            const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-                method: "POST",
-                headers: {
-                    "Authorization": `Bearer ${apiKey}`,
-                    "Content-Type": "application/json",
-                    "HTTP-Referer": window.location.href, 
-                    "X-Title": "Symbiosis"
-                },
-                // [FIX] Added parameters to DISABLE reasoning for speed
-                body: JSON.stringify({
-                    "model": model,
-                    "messages": messages,
-                    "response_format": { type: "json_object" },
-                    
-                    // 1. OpenRouter standard flag to hide/skip reasoning
-                    "include_reasoning": false, 
-                    
-                    // 2. Specific xAI/Grok parameter (if passed through)
-                    "reasoning": { "enabled": false } 
-                }),
-                signal: controller.signal
-            });
-            clearTimeout(timeoutId);
+            // Cleared on failure too, so a dead request leaves no timer behind
+            const response = await requestCompletion(messages, attemptModel, apiKey, { signal: controller.signal })
+                .finally(() => clearTimeout(timeoutId));
+            attemptLog.status = response.status;
 
             // [FAILSAFE 1] Check HTTP Status explicitly
             if (!response.ok) {
@@ -97,34 +233,46 @@ async function fetchWithCognitiveRetry(messages, model, apiKey, validatorFn, lab
             }
 
             const data = await response.json();
+            attemptLog.raw = data.choices?.[0]?.message?.content ?? null;
+            // Booked before validation: a rejected answer was still paid for
+            window.Usage.record(label, attemptModel, data.usage, messages, attemptLog.raw || "");
             
             // [FAILSAFE 2] JSON Validation
             let parsedContent;
             try {
-                parsedContent = JSON.parse(data.choices[0].message.content);
+                parsedContent = parseModelJson(data.choices[0].message.content);
             } catch (jsonErr) {
                 console.warn(`${label}: JSON Parse failed.`, data.choices[0].message.content);
                 throw new Error("Invalid JSON structure received");
             }
 
-            // [FAILSAFE 3] Schema Validation (using the validator function passed in)
-            if (validatorFn(parsedContent)) {
-                return { raw: data, parsed: parsedContent, cleaned: data.choices[0].message.content };
+            // [FAILSAFE 3] Schema Validation (schemas.js), after repairing near-misses for free
+            const checked = checkStageOutput(label, parsedContent);
+            Object.assign(attemptLog, { parsed: checked.value, errors: checked.errors, repairs: checked.repairs });
+            if (checked.errors.length === 0) {
+                const cleaned = checked.repairs.length > 0 ? JSON.stringify(checked.value) : data.choices[0].message.content;
+                attemptLog.ms = Date.now() - started;
+                window.Trace.endCall(call, "ok", checked.value);
+                return { raw: data, parsed: checked.value, cleaned: cleaned };
             } else {
-                console.warn(`${label}: Content failed schema validation.`);
+                console.warn(`${label}: Content failed schema validation.`, checked.errors);
                 throw new Error("Validation Failed"); // Trigger retry
             }
 
         } catch (error) {
             console.error(`⚠️ ${label} Failed: ${error.message}`);
+            attemptLog.error = error.message;
+            attemptLog.ms = Date.now() - started;
             attempts++;
             
             if (attempts >= MAX_RETRIES) {
                 console.error(`💀 ${label} DIED after ${MAX_RETRIES} attempts.`);
-                // Return a "Safe Mode" dummy object to keep the app running
+                // Return the stage's "Safe Mode" object to keep the app running
+                const safe = window.SymbiosisSchemas.fallback(label) || { mood: "NEUTRAL", response: "..." };
+                window.Trace.endCall(call, "fallback", safe);
                 return { 
-                    parsed: { mood: "NEUTRAL", response: "..." }, 
-                    cleaned: '{"mood":"NEUTRAL","response":"..."}' 
+                    parsed: safe, 
+                    cleaned: JSON.stringify(safe) 
                 }; 
             }
 
@@ -135,21 +283,135 @@ async function fetchWithCognitiveRetry(messages, model, apiKey, validatorFn, lab
     }
 }
 
+// --- STREAMING COMPLETION (final response only) ---
+// '{"response": "Hey, how was the hi' -> 'Hey, how was the hi' (null until the key shows up)
+function partialJsonString(json, key) {
+    const start = new RegExp(`"${key}"\\s*:\\s*"`).exec(json);
+    if (!start) return null;
+    let out = "";
+    for (let i = start.index + start[0].length; i < json.length; i++) {
+        const ch = json[i];
+        if (ch === '"') break;
+        if (ch !== '\\') { out += ch; continue; }
+        const next = json[i + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+            const hex = json.substr(i + 2, 4);
+            if (hex.length < 4) break;
+            out += String.fromCharCode(parseInt(hex, 16));
+            i += 5;
+        } else {
+            out += ({ n: "\n", t: "\t", r: "", b: "", f: "" })[next] ?? next;
+            i++;
+        }
+    }
+    return out;
+}
+
+// Same contract as fetchWithCognitiveRetry, but the completion arrives as SSE and
+// onText(responseSoFar) fires while the "response" field grows (mood/roots come after).
+// Streams down the same model route; a stream that dies after showing text calls onReset()
+// first, since the next answer won't be the same words. When every model has failed,
+// it falls back to the normal request with its retries.
+async function streamWithCognitiveRetry(messages, model, apiKey, label, onText, { trace, onReset } = {}) {
+    if (!window.getLLMProvider().capabilities.streaming) {
+        return fetchWithCognitiveRetry(messages, model, apiKey, label, { trace });
+    }
+    const models = window.resolveModelRoute(label, model);
+    const call = window.Trace.llmCall(label, messages, { streamed: true, trace });
+
+    for (const attemptModel of models) {
+        const controller = new AbortController();
+        let idleTimer = null;
+        // No bytes for 15s -> give up (the whole reply may take longer than that)
+        const keepAlive = () => { clearTimeout(idleTimer); idleTimer = setTimeout(() => controller.abort(), 15000); };
+
+        const attemptLog = { attempt: call.attempts.length + 1, model: attemptModel, status: null, raw: null, parsed: null, errors: [], repairs: [], error: null, ms: null };
+        const started = Date.now();
+        call.attempts.push(attemptLog);
+        let content = "", shown = "", usage = null, booked = false;
+
+        try {
+            console.log(`🌊 ${label} [${attemptModel}] (Streaming)...`);
+            keepAlive();
+            const response = await requestCompletion(messages, attemptModel, apiKey, { signal: controller.signal, stream: true });
+            attemptLog.status = response.status;
+            if (!response.ok || !response.body) throw new Error(`API Error ${response.status}`);
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = "";
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                keepAlive();
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split("\n");
+                buffer = lines.pop();
+
+                lines.forEach(line => {
+                    // SSE: "data: {...}" chunks, ": comments" as keep-alives, "data: [DONE]" at the end
+                    if (!line.startsWith("data:")) return;
+                    const data = line.slice(5).trim();
+                    if (!data || data === "[DONE]") return;
+                    let chunk;
+                    try { chunk = JSON.parse(data); } catch (e) { return; }
+                    // The usage report rides on the last chunk, often with no choices
+                    if (chunk.usage) usage = chunk.usage;
+                    const delta = chunk.choices?.[0]?.delta?.content || "";
+                    content += delta;
+                    const partial = partialJsonString(content, "response");
+                    if (partial && partial !== shown) {
+                        shown = partial;
+                        onText(partial);
+                    }
+                });
+            }
+            clearTimeout(idleTimer);
+            attemptLog.raw = content;
+            window.Usage.record(label, attemptModel, usage, messages, content);
+            booked = true;
+
+            const checked = checkStageOutput(label, parseModelJson(content));
+            Object.assign(attemptLog, { parsed: checked.value, errors: checked.errors, repairs: checked.repairs, ms: Date.now() - started });
+            if (checked.errors.length > 0) throw new Error(`Validation Failed (${checked.errors.join("; ")})`);
+            window.Trace.endCall(call, "ok", checked.value);
+            return { parsed: checked.value, cleaned: checked.repairs.length > 0 ? JSON.stringify(checked.value) : content };
+        } catch (error) {
+            clearTimeout(idleTimer);
+            attemptLog.error = error.message;
+            attemptLog.raw = content || null;
+            attemptLog.ms = Date.now() - started;
+            // A stream cut off halfway was still paid for, up to where it stopped
+            if (!booked && attemptLog.status !== null) window.Usage.record(label, attemptModel, usage, messages, content);
+            if (shown && onReset) onReset();
+            console.warn(`⚠️ ${label} Stream Failed [${attemptModel}]: ${error.message}`);
+        }
+    }
+
+    window.Trace.endCall(call, "stream_failed", null);
+    console.warn(`⚠️ ${label}: every streamed attempt failed. Retrying without streaming.`);
+    return fetchWithCognitiveRetry(messages, model, apiKey, label, { trace });
+}
+
 // --- MAIN PROCESS ---
-window.processMemoryChat = async function(userText, apiKey, modelHigh, history = [], isQuestionMode = false, isDirectorMode = false) {
-    const appsScriptUrl = localStorage.getItem("symbiosis_apps_script_url");
+// stream.onResponseText(textSoFar): optional, receives the reply while it is generated (standard mode)
+// stream.onResponseReset(): optional, the text sent so far is void (the stream broke, a new answer follows)
+// trace: this turn's trace. Calls are booked to it even when they finish after the next turn began.
+async function runMemoryChat(userText, apiKey, modelHigh, history = [], isQuestionMode = false, isDirectorMode = false, stream = {}, trace = null) {
+    const memoryBackend = window.getMemoryBackend();
+    const backend = memoryBackend && memoryBackend.withTrace(trace);
+    window.relationGraph = null;
     
-    // Log User Input
-    if (appsScriptUrl) {
-        fetch(appsScriptUrl, { 
-            method: "POST", 
-            headers: { "Content-Type": "text/plain" },
-            body: JSON.stringify({ action: "log_chat", role: "user", content: userText }) 
-        }).catch(e => console.error("Log failed", e));
+    // Log User Input first, so it is kept even when a later stage fails
+    if (backend) {
+        backend.logChat({ role: "user", content: userText, prompt_version: Prompts.versionTag([isDirectorMode ? "director_intent" : "analysis"]) })
+            .catch(e => console.error("Log failed", e));
     }
 
-    const historyText = history.map(msg => `${msg.role.toUpperCase()}: ${msg.content}`).join("\n");
-    const today = new Date().toLocaleDateString('en-US', { weekday: 'short', year: 'numeric', month: 'long', day: 'numeric' });
+    // Summary + recent turns, sized for the prompt it goes into
+    const historyFor = (stage) => Context.buildContext(history, sessionSummary ? sessionSummary.summary : "", Context.budgetFor(stage));
+    const today = window.UserProfile.today();
 
     // ============================================
     // 🎬 DIRECTOR MODE BRANCH (FIXED: DEMOGRAPHIC KEYWORDS & SAFETY)
@@ -165,7 +427,11 @@ window.processMemoryChat = async function(userText, apiKey, modelHigh, history =
         if (isShortQuery || hasPronouns) {
             const lastAssistantMsg = history.filter(h => h.role === "assistant").pop();
             if (lastAssistantMsg) {
-                const possibleEntities = lastAssistantMsg.content.match(/[A-Z][a-zA-Z]+/g);
+                // Registered entities first; capitalised words only when the registry knows nobody here
+                const known = backend ? await backend.entityMentions({ text: lastAssistantMsg.content }).catch(() => ({ entities: [] })) : { entities: [] };
+                const possibleEntities = known.entities.length > 0
+                    ? known.entities.map(e => e.name)
+                    : lastAssistantMsg.content.match(/[A-Z][a-zA-Z]+/g);
                 if (possibleEntities) {
                     const cleanEntities = possibleEntities.filter(w => !["The", "A", "An", "I", "He", "She", "It", "They", "We", "Who", "What", "Where", "When"].includes(w));
                     if (cleanEntities.length > 0) {
@@ -176,48 +442,11 @@ window.processMemoryChat = async function(userText, apiKey, modelHigh, history =
             }
         }
 
-        const directorSystemPrompt = `
-        YOU ARE THE ARCHIVIST. 
-        User is the Director. You have access to a video archive (Google Sheets/Drive).
-        
-        CONTEXT (RECENT CHAT):
-        ${historyText.slice(-800)}
-        ${bridgeContext}
-        
-        CURRENT INPUT: "${userText}"
-        
-        TASK 1: ANALYZE INTENT
-        - Is the user defining a fact? (e.g. "Cody is the tall guy") -> STORE
-        - Is the user asking for footage? (e.g. "Show me...", "Play...", "Pull up...") -> SEARCH
-        - Is the user asking for a RECOMMENDATION, LIST, RANKING, or COMPARISON? -> CHAT
-        - Is the user asking for an OPINION/DESCRIPTION? (e.g. "Who is Brent?") -> CHAT 
-        
-        TASK 2: RESOLVE ENTITIES & CLEAN KEYWORDS (CRITICAL)
-        - "positive_constraints": Extract ALL names, entities, OR DEMOGRAPHICS mentioned. 
-          > Example: "Any Asian guys?" -> ["Asian", "guys"]
-          
-          *** CONTEXT EXPANSION RULE (CRITICAL) ***
-          If the user asks for a RANKING ("Top 3"), A LIST ("Who do you have?"), or a COMPARISON/SIMILARITY ("Who is like Colby?"), you MUST add generic broad terms (["Actor", "Entity", "Person"]) to 'positive_constraints'.
-          - Query: "Who is like Colby?" -> positive_constraints: ["Colby Keller", "Actor", "Entity"]
-          - Query: "Top 3 guys" -> positive_constraints: ["Actor", "Entity", "Guy"]
-          - REASONING: This ensures the database retrieves the full roster to compare against, not just the single subject mentioned.
-
-        - "negative_constraints": Extract names/traits the user wants to EXCLUDE.
-        
-        RETURN JSON ONLY:
-        {
-            "intent": "STORE" or "SEARCH" or "CHAT",
-            "facts": ["Fact 1", "Fact 2"], 
-            "entity_name": "...", 
-            "positive_constraints": ["..."], 
-            "negative_constraints": ["..."], 
-            "response": "..." 
-        }
-        `;
+        const directorSystemPrompt = Prompts.render("director_intent", { history: historyFor("director_intent"), bridge_context: bridgeContext, user_text: userText });
 
         let aiRes = await fetchWithCognitiveRetry(
              [{ "role": "system", "content": directorSystemPrompt }],
-             modelHigh, apiKey, (d) => d.intent, "DirectorAI"
+             modelHigh, apiKey, "DirectorAI", { trace }
         );
         aiRes = aiRes.parsed;
         
@@ -229,20 +458,14 @@ window.processMemoryChat = async function(userText, apiKey, modelHigh, history =
         // === CASE 1: CHAT/OPINION (FIXED: FALLBACK RESPONSE ENABLED) ===
         if (aiRes.intent === "CHAT") {
 		
-             if (aiRes.positive_constraints && aiRes.positive_constraints.length > 0 && appsScriptUrl) {
+             if (aiRes.positive_constraints && aiRes.positive_constraints.length > 0 && backend) {
                  console.group("💬 CHAT CONTEXT RETRIEVAL (RAG)");
                  console.log(`   ➤ Primary Search: ${aiRes.positive_constraints}`);
                  
                  try {
-                     const contextReq = await fetch(appsScriptUrl, {
-                        method: "POST", 
-                        headers: { "Content-Type": "text/plain" },
-                        body: JSON.stringify({ 
-                            action: "retrieve_director_memory", 
-                            keywords: aiRes.positive_constraints 
-                        })
+                     const contextRes = await backend.retrieveDirectorMemory({ 
+                        keywords: aiRes.positive_constraints 
                     });
-                    const contextRes = await contextReq.json();
                     
                     let allMemories = [];
                     let foundEntities = new Set();
@@ -273,15 +496,9 @@ window.processMemoryChat = async function(userText, apiKey, modelHigh, history =
 
                         if (drillDownTargets.length > 0) {
                             console.log(`   ➤ 🔍 DRILL-DOWN Triggered for: ${drillDownTargets}`);
-                            const drillReq = await fetch(appsScriptUrl, {
-                                method: "POST", 
-                                headers: { "Content-Type": "text/plain" },
-                                body: JSON.stringify({ 
-                                    action: "retrieve_director_memory", 
-                                    keywords: drillDownTargets 
-                                })
+                            const drillRes = await backend.retrieveDirectorMemory({ 
+                                keywords: drillDownTargets 
                             });
-                            const drillRes = await drillReq.json();
                             if (drillRes.found && drillRes.relevant_memories.length > 0) {
                                 console.log(`   ➤ Drill-Down Results: ${drillRes.relevant_memories.length} new facts.`);
                                 const existingIds = new Set(allMemories.map(m => m.Fact));
@@ -297,76 +514,22 @@ window.processMemoryChat = async function(userText, apiKey, modelHigh, history =
                         const facts = allMemories.map(m => `[${m.Entity}]: ${m.Fact}`).join("\n");
                         console.log("   ➤ Filtering for Relevance (with Context)...");
                         
-                        const filterPrompt = `
-                        CONTEXT (PREVIOUS CHAT):
-                        ${historyText.slice(-600)}
-
-                        CURRENT USER REQUEST: "${userText}"
-                        
-                        ARCHIVE DATA (CANDIDATES):
-                        ${facts}
-                        
-                        TASK: Select the Entities that answer the request.
-                        
-                        *** FILTERING RULES ***
-                        1. AGGREGATE EVIDENCE (CRITICAL):
-                           - You must COMBINE all facts for a specific Entity to see if they meet the criteria.
-                           - Example: If Fact 1 says "Brent is White" and Fact 2 says "Brent shows off his pits", then Brent matches "White guys with pits".
-                           - Do NOT reject a candidate just because the traits are in separate database entries.
-                        
-                        2. SEMANTIC MATCHING:
-                           - "White" matches: Caucasian, Pale, Euro, etc.
-                           - "Armpits" matches: Pits, Underarms, Musk, Hair, Sweat.
-                           - "Hot" matches: Sexy, Nice, Worship, Hairy, Smooth, Great.
-                        
-                        3. STRICT INTERSECTION:
-                           - The entity must possess ALL requested traits (Demographic AND Feature) across their aggregated facts.
-                           - If an entity matches the demographic (e.g. White) but has NO evidence of the feature (e.g. Armpits) in ANY of their facts, REJECT them.
-                        
-                        RETURN JSON: 
-                        { 
-                            "matches": ["Name1", "Name2"], 
-                            "reasoning": "Brief explanation." 
-                        }
-                        `;
+                        const filterPrompt = Prompts.render("director_filter", { history: historyFor("director_filter"), user_text: userText, facts: facts });
 
                         const filterCheck = await fetchWithCognitiveRetry(
                             [{ "role": "system", "content": filterPrompt }],
-                            modelHigh, apiKey, (d) => Array.isArray(d.matches), "DirectorFilter"
+                            modelHigh, apiKey, "DirectorFilter", { trace }
                         );
 
                         const validMatches = filterCheck.parsed.matches || [];
                         console.log(`   ➤ 🎯 Filtered Matches: ${validMatches.join(", ")}`);
 
                         // GENERATE ANSWER
-                        const contextPrompt = `
-                        You are the Archivist.
-                        CONTEXT (PREVIOUS CHAT):
-                        ${historyText.slice(-300)}
-                        
-                        USER ASKED: "${userText}"
-                        VALID MATCHES: ${validMatches.join(", ")}
-                        
-                        ARCHIVE DATA (FACTS):
-                        ${facts}
-                        
-						*** STRICT GROUNDING RULES ***
-                        1. NO OUTSIDE KNOWLEDGE: You are a database interface. You do NOT know famous people unless they are in "ARCHIVE DATA".
-                        2. MISSING DATA: If the user asks about "Brent" but "Brent" is not in ARCHIVE DATA, you must say: "I have no records for Brent."
-                        3. COMPARISONS: If comparing two people (e.g. Colby vs Brent) and one is missing, describe the one you have and explicitly state the other is missing.
-						
-                        TASK: Answer the user naturally.
-                        - IF VALID MATCHES ARE EMPTY: Say "I couldn't find anyone matching that description in the archive." DO NOT HALLUCINATE NAMES.
-                        - IF DIRECT QUESTION (e.g. "Who is Brent?"): Just describe Brent.
-                        - IF COMPARISON (e.g. "What about white?"): List the matches and briefly mention the traits they share with the *previous subject*. 
-                        - NO META-TALK: Never explain "I selected these because...".
-                        
-                        RETURN JSON: { "response": "...", "mood": "CRYPTIC" }
-                        `;
+                        const contextPrompt = Prompts.render("director_answer", { history: historyFor("director_answer"), user_text: userText, matches: validMatches.join(", "), facts: facts });
                         
                         const secondPass = await fetchWithCognitiveRetry(
                              [{ "role": "system", "content": contextPrompt }],
-                             modelHigh, apiKey, (d) => d.response, "DirectorContextChat"
+                             modelHigh, apiKey, "DirectorContextChat", { trace }
                         );
                         
                         console.log("   ➤ Response:", secondPass.parsed.response);
@@ -448,7 +611,7 @@ window.processMemoryChat = async function(userText, apiKey, modelHigh, history =
         }
 
         // === CASE 2: STORE (FIXED: MULTI-FACT SPLITTING) ===
-        if (aiRes.intent === "STORE" && appsScriptUrl) {
+        if (aiRes.intent === "STORE" && backend) {
             console.group("💾 STORING FACT(S)");
             
             // 1. Normalize Input: specific "facts" array OR legacy "fact_to_store" string
@@ -465,6 +628,7 @@ window.processMemoryChat = async function(userText, apiKey, modelHigh, history =
                 let isDuplicate = false;
                 let isContradiction = false;
                 let contradictionWarning = "";
+                let supersededIds = [];
                 
                 // --- DEDUPLICATION CHECK (Per Fact) ---
                 try {
@@ -473,35 +637,25 @@ window.processMemoryChat = async function(userText, apiKey, modelHigh, history =
                     const factKeywords = singleFact.match(/[A-Z][a-z]+/g) || [];
                     lookupKeys = [...new Set([...lookupKeys, ...factKeywords])].filter(k => k && k.length > 1);
 
-                    const checkReq = await fetch(appsScriptUrl, {
-                        method: "POST", 
-                        headers: { "Content-Type": "text/plain" },
-                        body: JSON.stringify({ action: "retrieve_director_memory", keywords: lookupKeys })
-                    });
-                    const checkRes = await checkReq.json();
+                    const checkRes = await backend.retrieveDirectorMemory({ keywords: lookupKeys });
 
                     if (checkRes.found && checkRes.relevant_memories.length > 0) {
-                         const existingFacts = checkRes.relevant_memories.map(m => `[${m.Entity || 'Unknown'}] ${m.Fact}`).join("\n");
-                         
-                         const dedupPrompt = `
-                         EXISTING LOGS:
-                         ${existingFacts}
-                         
-                         NEW FACT: "${singleFact}" (Entity: ${aiRes.entity_name})
+                         const knownIds = checkRes.relevant_memories.map(m => m.Id).filter(Boolean);
+                         const existingFacts = checkRes.relevant_memories.map(m => `${m.Id ? `(#${m.Id}) ` : ""}[${m.Entity || 'Unknown'}] ${m.Fact}`).join("\n");
                          
-                         TASK: Check for DUPLICATES and CONTRADICTIONS.
-                         RETURN JSON: { "is_duplicate": boolean, "is_contradiction": boolean, "warning_message": "..." }
-                         `;
+                         const dedupPrompt = Prompts.render("director_dedup", { existing_facts: existingFacts, fact: singleFact, entity: aiRes.entity_name });
                          
                          const dedupCheck = await fetchWithCognitiveRetry(
                             [{ "role": "system", "content": dedupPrompt }],
-                            modelHigh, apiKey, (d) => typeof d.is_duplicate === 'boolean', "DirectorDedup"
+                            modelHigh, apiKey, "DirectorDedup", { trace }
                          );
                          
                          if (dedupCheck.parsed.is_duplicate) isDuplicate = true;
                          if (dedupCheck.parsed.is_contradiction) {
                              isContradiction = true;
                              contradictionWarning = dedupCheck.parsed.warning_message;
+                             // Only trust ids we actually showed the model
+                             supersededIds = (dedupCheck.parsed.contradicted_ids || []).map(id => String(id).replace(/^#/, "")).filter(id => knownIds.includes(id));
                          }
                     }
                 } catch(e) { console.warn("Dedup check failed for:", singleFact, e); }
@@ -512,19 +666,27 @@ window.processMemoryChat = async function(userText, apiKey, modelHigh, history =
                     continue; // Skip this fact, move to next
                 }
 
-                if (isContradiction) {
-                    // For contradictions in a batch, we usually just warn and stop, 
-                    // or you can choose to store it anyway.
+                if (isContradiction && supersededIds.length > 0) {
+                    // VERSIONING: new fact becomes current truth, old record is kept as history
+                    console.log(`🕰️ Superseding [${supersededIds}] with: ${singleFact}`);
+                    await backend.storeDirectorFact({ 
+                        fact: singleFact,
+                        entity: aiRes.entity_name,
+                        tags: "Metadata",
+                        supersedes: supersededIds,
+                        prompt_version: Prompts.versionTag(["director_intent", "director_dedup"])
+                    });
+                    responses.push("Updated.");
+                } else if (isContradiction) {
+                    // Backend gave us no ids (e.g. older sheet) -> can't version, just warn
                     responses.push(`⚠️ Conflict: ${contradictionWarning}`);
                 } else {
                     // Store the individual fact
-                    await fetch(appsScriptUrl, { 
-                        method: "POST", body: JSON.stringify({ 
-                            action: "store_director_fact", 
-                            fact: singleFact, // Storing the split fact
-                            entity: aiRes.entity_name,
-                            tags: "Metadata"
-                        }) 
+                    await backend.storeDirectorFact({ 
+                        fact: singleFact, // Storing the split fact
+                        entity: aiRes.entity_name,
+                        tags: "Metadata",
+                        prompt_version: Prompts.versionTag(["director_intent", "director_dedup"])
                     });
                     responses.push("Saved.");
                 }
@@ -535,13 +697,15 @@ window.processMemoryChat = async function(userText, apiKey, modelHigh, history =
             // Summarize the batch operation for the user
             const finalResponse = responses.some(r => r.includes("Conflict")) 
                 ? "Some facts conflicted with existing records. Check console." 
-                : (aiRes.response || "Database Updated.");
+                : responses.includes("Updated.")
+                    ? "Records updated. The old versions are kept as history."
+                    : (aiRes.response || "Database Updated.");
 
             return { choices: [{ message: { content: JSON.stringify({ response: finalResponse }) } }] };
         }
         
         // === CASE 3: SEARCH (FIX 1 & 4: COOPERATIVE FALLBACK & EXCLUSIONS) ===
-        else if (aiRes.intent === "SEARCH" && appsScriptUrl) {
+        else if (aiRes.intent === "SEARCH" && backend) {
             console.group("🔎 SEARCH SEQUENCE");
             
             let finalKeywords = aiRes.positive_constraints || [];
@@ -549,24 +713,14 @@ window.processMemoryChat = async function(userText, apiKey, modelHigh, history =
 
             // 1. Ambiguity Check (Standard)
             if (finalKeywords.length > 0) {
-                const identityReq = await fetch(appsScriptUrl, {
-                    method: "POST", headers: { "Content-Type": "text/plain" },
-                    body: JSON.stringify({ action: "retrieve_director_memory", keywords: finalKeywords })
-                });
-                const identityRes = await identityReq.json();
+                const identityRes = await backend.retrieveDirectorMemory({ keywords: finalKeywords });
 
                 if (identityRes.found && identityRes.relevant_memories.length > 0) {
                     const memories = identityRes.relevant_memories.map(m => typeof m === 'object' ? `${m.Entity}: ${m.Fact}` : m).join("\n");
-                    const ambiguityPrompt = `
-                    USER REQUEST: "${userText}"
-                    TARGETS: ${finalKeywords.join(", ")}
-                    DATABASE: ${memories}
-                    TASK: Check for Ambiguity (Multiple people same name) or Resolution.
-                    RETURN JSON: { "status": "RESOLVED"|"AMBIGUOUS", "clarification_question": "...", "resolved_names": [], "resolved_excludes": [] }
-                    `;
+                    const ambiguityPrompt = Prompts.render("director_ambiguity", { user_text: userText, targets: finalKeywords.join(", "), memories: memories });
                     const ambiguityCheck = await fetchWithCognitiveRetry(
                         [{ "role": "system", "content": ambiguityPrompt }],
-                        modelHigh, apiKey, (d) => d.status, "DirectorAmbiguity"
+                        modelHigh, apiKey, "DirectorAmbiguity", { trace }
                     );
 
                     if (ambiguityCheck.parsed.status === "AMBIGUOUS") {
@@ -582,15 +736,11 @@ window.processMemoryChat = async function(userText, apiKey, modelHigh, history =
             console.log(`   🚀 EXECUTING SEARCH: INCLUDE[${finalKeywords}] EXCLUDE[${excludeKeywords}]`);
 
             // 2. Execute Drive Search
-            const searchReq = await fetch(appsScriptUrl, {
-                method: "POST", body: JSON.stringify({ 
-                    action: "director_search", 
-                    query: userText,
-                    constraints: finalKeywords, 
-                    exclude_constraints: excludeKeywords 
-                })
+            let searchRes = await backend.directorSearch({ 
+                query: userText,
+                constraints: finalKeywords, 
+                exclude_constraints: excludeKeywords 
             });
-            let searchRes = await searchReq.json();
             
             // --- FIX 4: CLIENT-SIDE NEGATIVE CONSTRAINT ENFORCEMENT ---
             if (searchRes.found && excludeKeywords.length > 0) {
@@ -646,663 +796,517 @@ window.processMemoryChat = async function(userText, apiKey, modelHigh, history =
         return { choices: [{ message: { content: JSON.stringify({ response: aiRes.response, mood: "CRYPTIC" }) } }] };
     }
 
+    // --- STANDARD MODE: STAGE GRAPH ---
+    // The steps below are stages of one DAG (pipeline.js). A stage starts as soon as the
+    // stages it needs are done: pending facts, the entity list and the deep anchor load
+    // together, every Timekeeper check runs at once, and dedup overlaps with generation.
+    const pipeline = window.SymbiosisPipeline.createPipeline("Standard Turn");
+    const triggerAudit = Math.random() < 0.05; // 5% chance (Step 3 + Protocol D)
+    // Everything after Step 2 only runs when the Interceptor didn't take the turn
+    const notIntercepted = (r) => r.timekeeper.undatedEntries.length === 0;
+    // Stored with the reply, so it can be traced to the prompts that wrote it
+    const replyPrompts = ["analysis", "generation", isQuestionMode ? "rules_interrogation" : "rules_good_life"];
+
     // --- STEP 1: HYBRID SENSORY ANALYSIS (STANDARD MODE) ---
     
     // 1. CHECK FOR PENDING "TIMEKEEPER" FACTS (Fix for Conversation Drop)
-    const pendingFact = localStorage.getItem("symbiosis_pending_fact");
-    let pendingContext = "";
-    if (pendingFact) {
-        console.log("⏳ Found Pending Fact:", pendingFact);
-        pendingContext = `\n*** PENDING UNRESOLVED MEMORY ***\nUser previously stated: "${pendingFact}" but was interrupted to ask for a time/date.\nIF the "CURRENT INPUT" provides that context (even vaguely), MERGE them.`;
-    }
+    // Expired questions are stored as "date unknown" first, the rest are offered for merging.
+    pipeline.stage("pending", [], async () => {
+        await window.PendingFacts.expire();
+        const pendingFacts = window.PendingFacts.list();
+        let pendingContext = "";
+        if (pendingFacts.length > 0) {
+            console.log("⏳ Open Pending Facts:", pendingFacts.map(p => p.fact));
+            const lines = pendingFacts.map(p => `(#${p.id}) "${p.fact}"`).join("\n");
+            pendingContext = `\n*** PENDING UNRESOLVED MEMORIES ***\nUser previously stated these but was interrupted to ask for a time/date:\n${lines}\nIF the "CURRENT INPUT" provides that context (even vaguely), MERGE them.`;
+        }
+        return { facts: pendingFacts, context: pendingContext };
+    });
 
-    const synthPrompt = `
-    USER_IDENTITY: Arvin, (pronoun: he, him, his) unless said otherwise
-    CURRENT_DATE: ${today}
-    CONTEXT:
-    ${historyText.slice(-800)}
-    ${pendingContext}
-    
-    CURRENT INPUT: "${userText}"
-    
-    TASK:
-    0. RETROACTIVE MERGE (CRITICAL): 
-       - IF "PENDING UNRESOLVED MEMORY" is present, prioritize merging it with CURRENT INPUT.
-       - IF "CURRENT INPUT" is just a date (e.g. "2024"), attach it to the pending fact.
-       - IF "CURRENT INPUT" is conversational (e.g. "It was cold"), merge that detail with the pending fact and mark as a NEW entry.
-       - IF "CURRENT INPUT" is a date/time (e.g., "Yesterday", "In 2026", "27-29 Jan") AND the previous User message in "CONTEXT" was a detailed event that wasn't saved: COMBINE THEM.
-    
-    1. KEYWORDS: Extract 3-5 specific search terms. 
-       - CRITICAL: Appended categories MUST choose from: [Identity, Preference, Location, Relationship, History, Work, Generativity, SocialFitness].
-       - "Generativity" Trigger: Mentoring, teaching, leaving a legacy, helping others grow.
-
-    2. MEMORY ENTRIES (ADAPTIVE SPLITTING): 
-       - Continuous stories = ONE entry. Unrelated facts = SPLIT entries.
-       - *** "DEAD END" PROTOCOL (Fix for Recursive Loop) ***: 
-         IF User says "I don't know", "Not sure", or "No idea" in response to a question:
-         CREATE AN ENTRY: "User does not know [Topic/Detail]." (Importance: 2).
-         REASON: This prevents the system from asking the same question again later.
-
-    3. FACT FORMATTING & METADATA:
-       - Write in third person (Arvin...).
-       - Entities: Comma-separated list.
-       - Topics: Choose from [Identity, Preference, Location, Relationship, History, Work, Generativity].
-       - You must evaluate the **emotional nutritional value** of this interaction:
-         > "Energizing": Uplifting, supportive, fun, "Side-by-Side" bonding (doing things together).
-         > "Depleting": Conflict, draining, neglectful, stressful, vague anxiety.
-         > "Neutral": Routine, transactional.
-         *Append this to the "topics" string (e.g., "Relationship, Energizing, SocialFitness").*
-
-    4. METADATA & IMPORTANCE GUIDE:
-       - IMPORTANCE (1-10):
-         > 1-3: Trivial.
-         > 4-6: Routine.
-         > 7-8: Significant (Relationship changes, "Side-by-Side" Bonding activities).
-         > 9-10: Life-Defining.
-       
-       - *** "SIDE-BY-SIDE" RULE ***: 
-         Men often build intimacy through **shared activities** (gaming, hiking, sports) rather than face-to-face talk. 
-         IF user describes a shared activity with a Close Entity, MARK AS SIGNIFICANT (7-8) and tag [BONDING].
-    
-    If QUESTION/CHIT-CHAT/KNOWN INFO/COMMANDS, return empty array [].
-    
-    Return JSON only: { 
-        "search_keywords": ["..."],  
-        "entries": [
-            {
-                "fact": "...", 
-                "entities": "...", 
-                "topics": "...", 
-                "importance": 5
-            }
-        ]
-    }
-    `;
+    pipeline.stage("entities", [], async () => {
+        const knownEntities = backend ? await describeKnownEntities(backend, `${historyFor("entities")} ${userText}`) : "";
+        return knownEntities ? `\nKNOWN ENTITIES (canonical name first, then aliases):\n${knownEntities}\n` : "";
+    });
 
-    console.log("🧠 1. Analyzing (Hybrid V1/V2)..."); 
-    let analysis = { search_keywords: [], entries: [] };
+    pipeline.stage("analysis", ["pending", "entities"], async ({ pending, entities }) => {
+        const { facts: pendingFacts, context: pendingContext } = pending;
+        const entityContext = entities;
+
+        const synthPrompt = Prompts.render("analysis", { today: today, history: historyFor("analysis"), pending_context: pendingContext, entity_context: entityContext, user_text: userText });
+
+        console.log("🧠 1. Analyzing (Hybrid V1/V2)..."); 
+        let analysis = { search_keywords: [], entries: [] };
     
-    try {
-        const synthResult = await fetchWithCognitiveRetry(
-            [{ "role": "system", "content": synthPrompt }],
-            modelHigh, 
-            apiKey,
-            (data) => Array.isArray(data.search_keywords) || typeof data.search_keywords === 'string', 
-            "Hybrid Analysis"
-        );
-        analysis = synthResult.parsed;
+        try {
+            const synthResult = await fetchWithCognitiveRetry(
+                [{ "role": "system", "content": synthPrompt }],
+                modelHigh, 
+                apiKey,
+                "Hybrid Analysis",
+                { trace }
+            );
+            analysis = synthResult.parsed;
         
-        if (typeof analysis.search_keywords === 'string') {
-            analysis.search_keywords = analysis.search_keywords.split(',').map(s => s.trim());
-        }
+            if (typeof analysis.search_keywords === 'string') {
+                analysis.search_keywords = analysis.search_keywords.split(',').map(s => s.trim());
+            }
         
-        // [FIX] CLEANUP PENDING FACT
-        // If analysis succeeded, we assume the AI handled the pending merge or created a new fact.
-        if (pendingFact) {
-            localStorage.removeItem("symbiosis_pending_fact");
-        }
+            // [FIX] CLEANUP PENDING FACTS
+            // Only the ones the analysis actually merged (or the user can't date) leave the queue.
+            const cleanIds = (ids) => [].concat(ids || []).map(id => String(id).replace(/^#/, ""));
+            if (pendingFacts.length > 0) {
+                const merged = window.PendingFacts.remove(cleanIds(analysis.resolved_pending));
+                const unknown = await window.PendingFacts.markUnknown(cleanIds(analysis.unknown_pending));
+                if (merged + unknown > 0) console.log(`✅ Pending Facts Resolved: ${merged} merged, ${unknown} stored as date unknown`);
+            }
         
-        console.log("📊 Analysis:", analysis);
-    } catch (e) { console.error("Analysis Failed", e); }
+            console.log("📊 Analysis:", analysis);
+        } catch (e) { console.error("Analysis Failed", e); }
+        return analysis;
+    });
 
     // --- STEP 2: THE TIMEKEEPER & INTERCEPTOR ---
-    if (analysis.entries && analysis.entries.length > 0) {
-        
-        const validEntries = [];
-
-        for (let entry of analysis.entries) {
-            
+    // Every entry is checked at once; the verdicts are applied in entry order.
+    pipeline.stage("timekeeper", ["analysis"], async ({ analysis }) => {
+        const checkTimeframe = async (entry) => {
             // 1. Threshold Check: Catch Routine (4) and above. 
             // Only let Trivial (1-3) pass without dates.
             if (entry.importance < 4) {
-                validEntries.push(entry);
-                continue;
+                entry.date = window.SymbiosisDates.findDateExpression(entry.fact, new Date());
+                return true;
             }
 
             console.log(`⏳ Validating Timeframe for: "${entry.fact}" (Imp: ${entry.importance})`);
 
-            const timePrompt = `
-            FACT: "${entry.fact}"
-            CURRENT_DATE: ${today}
-            TASK: Determine if this fact requires a specific date.
-            
-            RULES:
-            1. EPISODIC EVENTS (Priority):
-               - If the fact mentions a specific temporary event (e.g. "trip", "visit", "meeting", "incident").
-               - AND it lacks a specific date/year.
-               - RETURN "valid": false.
-               - CRITICAL: This applies even if the user is describing a "feeling" or "opinion" that happened *during* the event.
-
-            2. "SIDE-BY-SIDE" EXCEPTION (Social Fitness):
-               - If the fact describes a **shared activity/bonding moment** (e.g. "Gaming with Cody", "Playing tennis with Dad"), this is "Relational Maintenance".
-               - RETURN "valid": true (even if date is missing).
-            
-            3. GENERAL STATES (Lower Priority):
-               - If it is a general trait, preference, or history (e.g. "was fat", "likes sushi", "is rich") WITHOUT a specific event attached -> return "valid": true.
-
-            4. DATED:
-               - If it already has a date -> return "valid": true.
-
-            Return JSON: { "valid": boolean, "rewritten_fact": "..." }
-            `;
+            const timePrompt = Prompts.render("timekeeper", { fact: entry.fact, today: today });
 
             try {
                 const timeResult = await fetchWithCognitiveRetry(
                     [{ "role": "system", "content": timePrompt }],
-                    modelHigh, apiKey, (d) => typeof d.valid === 'boolean', "Timekeeper"
+                    modelHigh, apiKey, "Timekeeper", { trace }
                 );
 
                 if (timeResult.parsed.valid) {
                     // It is valid. Update and keep.
                     entry.fact = timeResult.parsed.rewritten_fact || entry.fact;
-                    validEntries.push(entry);
-                } else {
-                    // === INTERCEPTOR FIRES (SMART CONTEXT AWARE) ===
-                    console.warn(`⚠️ Interceptor Triggered: Event Missing Date ("${entry.fact}")`);
-                    
-                    // [FIX] PERSIST FACT FOR NEXT TURN
-                    // We save this so Step 1 (Retroactive Merge) can pick it up next time.
-                    localStorage.setItem("symbiosis_pending_fact", entry.fact);
-
-                    // 1. Quick Context Search: Do we have similar events?
-                    let potentialMatches = "No related records found.";
-                    if (appsScriptUrl && analysis.search_keywords && analysis.search_keywords.length > 0) {
-                        try {
-                            const matchReq = await fetch(appsScriptUrl, {
-                                method: "POST", 
-                                headers: { "Content-Type": "text/plain" },
-                                body: JSON.stringify({ action: "retrieve", keywords: analysis.search_keywords }) 
-                            });
-                            const matchRes = await matchReq.json();
-                            if (matchRes.found && matchRes.relevant_memories.length > 0) {
-                                potentialMatches = matchRes.relevant_memories.join("\n");
-                            }
-                        } catch(e) { console.warn("Interceptor Search Failed", e); }
-                    }
-
-                    const interceptPrompt = `
-                    User said: "${userText}"
-                    Fact detected: "${entry.fact}"
-                    
-                    EXISTING DATABASE RECORDS:
-                    ${potentialMatches}
-
-                    ISSUE: User mentioned an event but didn't specify WHEN (Date/Year).
-                    
-                    INSTRUCTIONS:
-                    1. CHECK "EXISTING DATABASE RECORDS" for similar events (matching location, people, or topic).
-                    2. IF MATCHES FOUND: Ask the user to clarify if they mean one of those specific instances.
-                       - Example: "Do you mean the Shanghai trip in Jan 2025, or the biz trip in July?"
-                    3. IF NO MATCHES: Just ask "When did this happen?" naturally.
-                    
-                    Return JSON: { "response": "..." }
-                    `;
-
-                    const intercept = await fetchWithCognitiveRetry(
-                        [{ "role": "system", "content": interceptPrompt }],
-                        modelHigh, apiKey, (d) => d.response, "Interceptor"
-                    );
-
-                    const safePayload = {
-                        response: intercept.parsed.response,
-                        mood: "CURIOUS", 
-                        roots: []        
-                    };
-
-                    return { choices: [{ message: { content: JSON.stringify(safePayload) } }] };
+                    // Structured date, resolved here against today (not at read time)
+                    entry.date = window.SymbiosisDates.findDateExpression(timeResult.parsed.date_expression, new Date())
+                        || window.SymbiosisDates.findDateExpression(entry.fact, new Date());
+                    if (entry.date) console.log(`📅 Dated: ${entry.date.text} -> ${window.SymbiosisDates.describeDate(entry.date)}`);
+                    return true;
                 }
+                console.warn(`⚠️ Interceptor Triggered: Event Missing Date ("${entry.fact}")`);
+                return false;
 
             } catch (e) { 
                 console.error("Timekeeper Check Failed", e);
-                validEntries.push(entry); 
+                return true;
             }
-        }
-        
-        analysis.entries = validEntries;
-    }
+        };
 
+        const entries = analysis.entries || [];
+        const verdicts = await Promise.all(entries.map(checkTimeframe));
+        const validEntries = [];
+        const undatedEntries = [];
+        entries.forEach((entry, i) => {
+            if (verdicts[i]) validEntries.push(entry);
+            // [FIX] PERSIST FACT FOR A LATER TURN
+            // Every undated event is queued (not just the last one), so Step 1 can merge
+            // it with a later answer or the open-questions panel can date it.
+            else undatedEntries.push(window.PendingFacts.add(entry));
+        });
+        return { validEntries, undatedEntries };
+    });
 
-   // --- STEP 3: GLOBAL RETRIEVAL (Deep Subject Anchor + Ghost Audit) ---
-    let retrievedContext = "";
-    const triggerAudit = Math.random() < 0.05; // 5% chance
+    // === INTERCEPTOR FIRES (SMART CONTEXT AWARE) ===
+    pipeline.stage("intercept", ["analysis", "timekeeper"], async ({ analysis, timekeeper }) => {
+        // Dated facts from the same message are not held hostage by the question: Step 5 stores them
+        const entry = timekeeper.undatedEntries[0];
 
-    if (appsScriptUrl) {
-        let searchKeys = analysis.search_keywords || [];
-        
-        // 1. RAW INPUT INJECTION (Force Capitalized Input)
-        if (userText.length < 50) {
-            const stopWords = ["no", "yes", "nope", "yeah", "dont", "know", "what", "when", "where", "who", "why", "i"];
-            const cleanText = userText.toLowerCase().replace(/[^a-z ]/g, "").trim();
-            if (!stopWords.includes(cleanText) && cleanText.length > 0) {
-                const titleCase = userText.toLowerCase().split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
-                searchKeys.unshift(titleCase); 
-            }
+        // 1. Quick Context Search: Do we have similar events?
+        let potentialMatches = "No related records found.";
+        if (backend && analysis.search_keywords && analysis.search_keywords.length > 0) {
+            try {
+                const matchRes = await backend.retrieve({ keywords: analysis.search_keywords, query: entry.fact, top_k: CHECK_TOP_K, reinforce: false });
+                if (matchRes.found && matchRes.relevant_memories.length > 0) {
+                    potentialMatches = matchRes.relevant_memories.join("\n");
+                }
+            } catch(e) { console.warn("Interceptor Search Failed", e); }
         }
 
-        if (history.length > 0) {
-            // 2. EXISTING: Sticky words from AI
-            const lastAi = history.filter(h => h.role === "assistant").pop();
-            if (lastAi) {
-                const stickyWords = lastAi.content.split(" ")
-                    .filter(w => w.length > 5 && /^[a-zA-Z]+$/.test(w))
-                    .slice(0, 2); 
-                searchKeys = searchKeys.concat(stickyWords);
-            }
+        const otherOpen = window.PendingFacts.list().length - 1;
+        const interceptPrompt = Prompts.render("intercept", {
+            user_text: userText,
+            fact: entry.fact,
+            matches: potentialMatches,
+            other_open_note: otherOpen > 0 ? `4. ${otherOpen} other undated event(s) are waiting. Do NOT ask about them now.` : ""
+        });
 
-            // 3. DEEP ANCHOR SEARCH
-            if (isQuestionMode || userText.length < 30) {
-                const userMsgs = history.filter(h => h.role === "user");
-                let limit = Math.max(0, userMsgs.length - 5);
-                
-                for (let i = userMsgs.length - 1; i >= limit; i--) {
-                    const msg = userMsgs[i].content;
-                    const caps = msg.match(/[A-Z][a-zA-Z]+/g);
-                    if (caps) {
-                        const validCaps = caps.filter(w => !["Who", "What", "Where", "When", "Why", "How", "I", "No", "Yes", "I'm"].includes(w));
-                        if (validCaps.length > 0) {
-                            searchKeys = searchKeys.concat(validCaps);
-                            console.log(`⚓ Deep Anchor Found (depth ${userMsgs.length - i}):`, validCaps);
-                            break; 
-                        }
-                    }
+        const intercept = await fetchWithCognitiveRetry(
+            [{ "role": "system", "content": interceptPrompt }],
+            modelHigh, apiKey, "Interceptor", { trace }
+        );
+
+        const safePayload = {
+            response: intercept.parsed.response,
+            mood: "CURIOUS", 
+            roots: []        
+        };
+
+        return { choices: [{ message: { content: JSON.stringify(safePayload) } }] };
+    }, { when: (r) => !notIntercepted(r) });
+
+
+   // --- STEP 3: GLOBAL RETRIEVAL (Ranked BM25 + Deep Subject Anchor + Ghost Audit) ---
+    // Every read the rest of the turn needs (global search, audit, per-fact dedup lookups)
+    // goes out as ONE batch here, so slow backends cost a single round trip.
+    // When the Interceptor takes the turn, only the dedup lookups are needed (dated facts
+    // from the same message are still checked and stored in Step 5).
+
+    // 2. DEEP ANCHOR SEARCH (only needs the history, so it runs alongside Step 1)
+    pipeline.stage("anchor", [], async () => {
+        if (!backend || history.length === 0 || !(isQuestionMode || userText.length < 30)) return [];
+        const recentMsgs = history.filter(h => h.role === "user").slice(-5).reverse().map(h => h.content);
+        // Registry first ("my brother" -> Cody), capitalised words as a fallback
+        const mentions = await backend.batch(recentMsgs.map(msg => ({ action: "entity_mentions", text: msg }))).catch(() => []);
+
+        for (const [i, msg] of recentMsgs.entries()) {
+            const known = (mentions[i] && mentions[i].entities) || [];
+            const caps = known.length > 0 ? known.map(e => e.name) : msg.match(/[A-Z][a-zA-Z]+/g);
+            if (caps) {
+                const validCaps = caps.filter(w => !["Who", "What", "Where", "When", "Why", "How", "I", "No", "Yes", "I'm"].includes(w));
+                if (validCaps.length > 0) {
+                    console.log(`⚓ Deep Anchor Found (depth ${i + 1}):`, validCaps);
+                    return validCaps;
                 }
             }
         }
-        
+        return [];
+    });
+
+    pipeline.stage("retrieval", ["analysis", "timekeeper", "anchor"], async ({ analysis, timekeeper, anchor }) => {
+        let retrievedContext = "";
+        let records = [];
+        const dedupHits = new Map(); // entry -> [{ id, text }] for Step 5
+        if (!backend) return { context: retrievedContext, records, dedupHits };
+
+        // 1. RAW INPUT: sent as "query" below. The ranker tokenizes it and ignores
+        //    stop words, so no title-casing or sticky words from the AI are needed.
+        const searchKeys = [...new Set((analysis.search_keywords || []).concat(anchor))].filter(w => w && w.length > 2);
+
+        // Current truth by default. Past versions only when the user asks about the past.
+        const includeHistory = wantsFactHistory(userText);
+        // "What did I do last summer?" -> filter by when facts happened, not by the word "summer"
+        const dateRange = findRecallDateRange(userText, isQuestionMode);
+        const globalQuery = {
+            action: "retrieve",
+            keywords: searchKeys,
+            query: dateRange ? userText.replace(dateRange.text, " ") : userText,
+            top_k: RETRIEVAL_TOP_K,
+            include_history: includeHistory,
+            date_range: dateRange ? { start: dateRange.start, end: dateRange.end } : undefined
+        };
+        const answering = notIntercepted({ timekeeper });
+        const reads = answering ? [globalQuery] : [];
+
         // [FIX] GHOST AUDIT INJECTION
-        // If Audit triggers, force "Relationship" keys into search to find neglected entities
-        if (triggerAudit && !isQuestionMode) {
-            console.log("🕵️ ATTENTION AUDIT TRIGGERED: Injecting Relationship Keys");
-            searchKeys.push("Relationship", "BONDING", "SocialFitness");
+        // If Audit triggers, surface important memories whose salience has decayed (nobody brought
+        // them up lately). Backends without salience data fall back to forcing "Relationship" keys,
+        // so that variant of the search rides along in the same batch.
+        // (a backend that said it has no fading_facts isn't asked again)
+        const runAudit = answering && triggerAudit && !isQuestionMode;
+        let fadingAt = -1, bondingAt = -1;
+        if (runAudit) {
+            if (backend.supports("fading_facts")) fadingAt = reads.push({ action: "fading_facts", limit: 3 }) - 1;
+            bondingAt = reads.push({ ...globalQuery, keywords: [...new Set(searchKeys.concat("Relationship", "BONDING", "SocialFitness"))] }) - 1;
         }
 
-        searchKeys = [...new Set(searchKeys)].filter(w => w && w.length > 2);
-
-        // Fallback
-        if (!searchKeys || searchKeys.length === 0) {
-             searchKeys = userText.split(" ")
-                .filter(w => w.length > 3 && !["what", "when", "where", "dont", "know"].includes(w));
-        }
+        // [FIX] TARGETED SEMANTIC CHECK (The Context Gap Fix)
+        // Context specific to each new fact, so Step 5 can find semantic duplicates.
+        const dedupEntries = timekeeper.validEntries.filter(e => e.fact && e.fact !== "null" && dedupKeywords(e.fact).length > 0);
+        dedupEntries.forEach(e => reads.push({ action: "retrieve", keywords: dedupKeywords(e.fact), query: e.fact, top_k: CHECK_TOP_K, reinforce: false }));
+        if (reads.length === 0) return { context: retrievedContext, records, dedupHits };
 
         try {
-            console.log(`🔍 Searching Global DB: [${searchKeys}]`);
-            const memReq = await fetch(appsScriptUrl, {
-                method: "POST", mode: "cors", redirect: "follow", 
-                headers: { "Content-Type": "text/plain" },
-                body: JSON.stringify({ action: "retrieve", keywords: searchKeys })
+            if (answering) console.log(`🔍 Searching Global DB: [${searchKeys}] + "${userText}"${includeHistory ? " (WITH HISTORY)" : ""}`);
+            if (answering && dateRange) console.log(`📅 Date-Range Recall: "${dateRange.text}" -> ${dateRange.start}..${dateRange.end}`);
+            const results = await backend.batch(reads);
+            let memRes = answering ? results[0] : { found: false };
+
+            let auditContext = "";
+            if (runAudit) {
+                const fading = results[fadingAt] || {};
+                if (Array.isArray(fading.memories) && fading.memories.length > 0) {
+                    console.log("🕵️ ATTENTION AUDIT TRIGGERED: Fading Memories", fading.memories);
+                    const lines = fading.memories.map((m, i) => `${m} [Last Touched: ${String(fading.last_reinforced[i]).slice(0, 10)}]`);
+                    auditContext = `\n=== FADING MEMORIES (ATTENTION AUDIT) ===\n${lines.join("\n")}`;
+                } else {
+                    console.log("🕵️ ATTENTION AUDIT TRIGGERED: Injecting Relationship Keys");
+                    memRes = results[bondingAt];
+                }
+            }
+
+            const dedupStart = reads.length - dedupEntries.length;
+            dedupEntries.forEach((entry, i) => {
+                const targetRes = results[dedupStart + i];
+                if (targetRes && targetRes.found) {
+                    dedupHits.set(entry, targetRes.relevant_memories.map((text, j) => ({ id: (targetRes.ids || [])[j], text: text })));
+                }
             });
-            const memRes = await memReq.json();
+
             if (memRes.found) {
-                retrievedContext = `=== DATABASE SEARCH RESULTS ===\n${memRes.relevant_memories.join("\n")}`;
+                const historyNote = includeHistory ? "\n(Entries tagged [Superseded: date] are OUTDATED beliefs. Present them as the past, not as current truth.)" : "";
+                const dateNote = dateRange ? `\n(Filtered to things that happened ${dateRange.text}: ${dateRange.start} to ${dateRange.end}.)` : "";
+                const related = memRes.related;
+                const relationNote = related
+                    ? `\n(KNOWN RELATIONS: ${related.entity}'s ${related.type}: ${related.entities.map(r => r.name).join(", ") || "none recorded"})`
+                    : "";
+                retrievedContext = `=== DATABASE SEARCH RESULTS ===${historyNote}${dateNote}${relationNote}\n${memRes.relevant_memories.join("\n")}`;
                 window.lastRetrievedMemories = retrievedContext; 
                 window.rawMemories = memRes.relevant_memories;
+                records = memRes.relevant_memories.map((text, i) => ({ id: (memRes.ids || [])[i], text: text }));
+                window.lastRetrievedRecords = records;
+                if (related && related.entities.length > 0) {
+                    console.log(`🕸️ Relation Walk: ${related.entity} -> ${related.type}:`, related.entities.map(r => r.name));
+                    window.relationGraph = window.relationsToGraph(related.entity, related.entities);
+                }
             }
+            retrievedContext += auditContext;
         } catch (e) { console.error("Retrieval Error", e); }
-    }
+        return { context: retrievedContext, records, dedupHits };
+    });
 
     // --- STEP 4: GENERATION (Hybrid Prompt) ---
-    // 1. DEFINE SWAPPABLE PERSONA LOGIC
-    let responseRules = "";
+    pipeline.stage("generation", ["retrieval"], async ({ retrieval }) => {
+        const retrievedContext = retrieval.context;
+
+        // 1. DEFINE SWAPPABLE PERSONA LOGIC
+        let responseRules = "";
 		
-    if (isQuestionMode) {
-        // === INTERROGATION MODE (Strict Anti-Nagging + Context Locking) ===
-        responseRules = `
-        2. RESPOND to the User according to these STRICT rules:
-           - **MODE: INTERROGATION**. You are a guarded auditor building a dossier.
-           - **STYLE**: Minimalist. Casual.
-           
-           - **CRITICAL RULES**:
-             1. **NO "WHAT ABOUT"**: NEVER ask "What about..." or "And his..."? Ask SPECIFIC, standalone questions.
-             
-             2. **THE ANTI-NAG RULE**: If the User answers "I don't know", "No idea", or "Not sure":
-                - **STOP** asking about that specific detail. 
-                - **PIVOT** to a general topic (Work, Food, Hobbies) OR a different aspect of the *SAME* subject (e.g. if talking about Jemi, ask about Jemi's job, not his brother).
-                
-             3. **ABSOLUTE REDUNDANCY BAN**: 
-                - CHECK "DATABASE RESULTS". If the fact exists (even as a negative like "No sister"), asking is **FORBIDDEN**.
-                
-             4. **CLARIFY ON CONFUSION**: If User says "What?", rephrase with specific nouns.
-             
-             5. **NO GHOSTS (CRITICAL)**: 
-                - Do NOT ask questions about people/names found in "DATABASE RESULTS" unless they specifically appear in the "HISTORY" or the User's immediate input.
-                - If you see a memory about "Clarissa" but the user is talking about "Jemi", IGNORE CLARISSA.
-
-           - **EXECUTION**: 
-             1. **SANITY CHECK**: Is the answer to my question already in "DATABASE RESULTS"? 
-                - YES -> STOP. Ask something else.
-             2. Did the user just say "I don't know"? 
-                - YES -> PIVOT to the Main Subject's other traits (e.g. Work) or the User's life.
-             3. Ask ONE specific question.
-        `;
-    } else {
-        // === THE GOOD LIFE PROTOCOLS (Dynamic Social Coaching) ===
-        // We do not use hardcoded keywords. The AI must assess the Emotional Context.
+        if (isQuestionMode) {
+            // === INTERROGATION MODE (Strict Anti-Nagging + Context Locking) ===
+            responseRules = Prompts.render("rules_interrogation");
+        } else {
+            // === THE GOOD LIFE PROTOCOLS (Dynamic Social Coaching) ===
+            // We do not use hardcoded keywords. The AI must assess the Emotional Context.
         
-        responseRules = `
-        2. RESPOND by dynamically selecting ONE of the following "Social Fitness" Protocols based on User Input:
-
-           --- PROTOCOL A: W.I.S.E.R. (For Conflict/Friction) ---
-           IF User expresses **EXTREME** ANGER or **DIRECT CONFLICT** with another person (Ignore self-reflection or simple questions):
-           - DO NOT just agree/validate.
-           - APPLY W.I.S.E.R.:
-             1. **WATCH**: Ask user to separate what happened (facts) from what they felt.
-             2. **INTERPRET**: Gently ask if there's a generous interpretation of the other person's intent.
-             3. **SELECT**: Ask "What is your goal for this connection right now?"
-           - TONE: "DETECTING SOCIAL FRICTION. INITIATING W.I.S.E.R. PROTOCOL."
-
-           --- PROTOCOL B: SAVORING (For Connection/Joy) ---
-           IF User expresses JOY, a WIN, or a "SIDE-BY-SIDE" BONDING moment (gaming, sports, hanging out):
-           - "Attention is the currency of love."
-           - DEEPEN the moment. Ask a specific question to help them "relive" the best part.
-           - Do not move on quickly. Stay in the pocket of that good feeling.
-           
-           --- PROTOCOL C: GENERATIVITY (For Stagnation/Sadness) ---
-           IF User feels STUCK, OLD, or VALUELESS:
-           - Scan "DATABASE RESULTS" for instances of them helping/mentoring others.
-           - Remind them: "ACCESSING LEGACY FILES. YOU HELPED [Name]. GENERATIVITY SCORE: HIGH."
-
-           --- PROTOCOL D: ATTENTION AUDIT (For Neglect) ---
-           IF (Random trigger: ${triggerAudit}) AND User is casual:
-           - CHECK "DATABASE RESULTS". Is there a High-Importance entity not mentioned in "HISTORY" (recent logs)?
-           - OUTPUT: "SYSTEM ALERT: SOCIAL ATROPHY DETECTED. SUBJECT [Name] UNTOUCHED FOR [X] CYCLES. INITIATE CONTACT?"
-
-           --- PROTOCOL E: COMPANION (Standard) ---
-           IF none of the above apply: RESPOND to the User according to these STRICT rules: 
-           - **MODE: COMPANION**. Minimalist. Casual. Guarded.
-           - **THE "NEED TO KNOW" RULE**: Do NOT volunteer specific data points (jobs, specific locations, specific foods) unless the user explicitly asks to elaborate.
-           - **GENERAL QUERY RESPONSE**: If the user asks "Who is [Name]?", return ONE sentence describing the relationship and a vague vibe. STOP THERE unless the user explicitly asks to elaborate..
-           - **NO BIOGRAPHIES**: Never list facts, unless the user explicitly asks to elaborate. Conversational ping-pong only.
-        `;
-    }
+            responseRules = Prompts.render("rules_good_life", { trigger_audit: triggerAudit });
+        }
 
-    // 2. CONSTRUCT FINAL PROMPT
-    const finalSystemPrompt = `
-    DATABASE RESULTS: 
-    ${retrievedContext}
-    
-    HISTORY: 
-    ${historyText.slice(-800)}
-    
-    User: "${userText}"
-    
-    ### TASK ###
-    1. ANALYZE the Database Results and History.
-    
-    ${responseRules}
-    
-    3. After responding, CONSTRUCT a Knowledge Graph structure for the UI. STRUCTURE:
-        - ROOTS: Array of MAX 3 objects (decide if the user needs more than 1). If there are specific subject(s) or object(s) mention, make them into objects.
-        - ROOT LABEL: MUST be exactly 1 word. UPPERCASE. (e.g. "MUSIC", not "THE MUSIC I LIKE").
-        - BRANCHES: Max 5 branches. Label MUST be exactly 1 word.
-        - LEAVES: Max 5 leaves per branch. Text MUST be exactly 1 word.
-        
-        - EXACT MATCH ONLY: Every 'label' and 'text' in the graph MUST be an EXACT word found in the DATABASE RESULTS or HISTORY provided above. 
-           - DO NOT use synonyms (e.g. if text says "School", DO NOT use "Education").
-        - NO VERBS: Do not use actions (e.g. "went", "saw", "eating", "is").
-        - NO NUMBERS/YEARS: Do not use years (e.g. "2024") or numbers.
-        - FOCUS: Select only NAMES, NOUNS, PROPER NOUNS, or distinct ADJECTIVES.
-    
-    CRITICAL: EACH ROOT, BRANCH, AND LEAF NEEDS TO HAVE AN INDEPENDENT, CONTEXT-DERIVED MOOD
-    MOODS: AFFECTIONATE, CRYPTIC, DISLIKE, JOYFUL, CURIOUS, SAD, QUESTION.
-    
-    Return JSON: { 
-        "response": "...", 
-        "mood": "GLOBAL_MOOD", 
-        "roots": [
-            { 
-                "label": "TOPIC", 
-                "mood": "SPECIFIC_MOOD", 
-                "branches": [
-                    { 
-                        "label": "SUBTOPIC", 
-                        "mood": "MOOD", 
-                        "leaves": [
-                            { "text": "DETAIL", "mood": "MOOD" }
-                        ]
-                    }
-                ] 
-            }
-        ] 
-    }
-`;
+        // 2. CONSTRUCT FINAL PROMPT
+        const finalSystemPrompt = Prompts.render("generation", { retrieved_context: retrievedContext, history: historyFor("generation"), user_text: userText, response_rules: responseRules });
 
-    const generationResult = await fetchWithCognitiveRetry(
-        [{ "role": "user", "content": finalSystemPrompt }],
-        modelHigh, 
-        apiKey,
-        (data) => data.response && data.mood, 
-        "Generation"
-    );
+        // Question mode can still throw the reply away in the sanity check, so only
+        // companion replies are streamed to the screen / voice
+        if (stream.onResponseText && !isQuestionMode) {
+            return streamWithCognitiveRetry(
+                [{ "role": "user", "content": finalSystemPrompt }],
+                modelHigh, apiKey, "Generation", stream.onResponseText, { trace, onReset: stream.onResponseReset }
+            );
+        }
+        return fetchWithCognitiveRetry(
+            [{ "role": "user", "content": finalSystemPrompt }],
+            modelHigh, 
+            apiKey,
+            "Generation",
+            { trace }
+        );
+    }, { when: notIntercepted });
 
-    if (isQuestionMode && appsScriptUrl && generationResult.parsed.response) {
+    // Question mode: make sure the question isn't already answered by memory
+    // Over the daily spend cap (usage.js) the candidate question goes out unchecked
+    pipeline.stage("sanity", ["generation"], async ({ generation: generationResult }) => {
+        if (isQuestionMode && backend && generationResult.parsed.response && !window.Usage.skips("RedundancyCheck")) {
         
-        const candidateResponse = generationResult.parsed.response;
+            const candidateResponse = generationResult.parsed.response;
         
-        // 1. Extract the "Subject" of the AI's proposed question
-        // We look for nouns/capitalized words in the AI's OWN response.
-        const responseKeywords = candidateResponse
-            .split(" ")
-            .filter(w => w.length > 3 && /^[a-zA-Z]+$/.test(w))
-            .filter(w => !["what", "when", "where", "who", "why", "does", "this", "that", "have"].includes(w.toLowerCase()));
+            // 1. Extract the "Subject" of the AI's proposed question
+            // We look for nouns/capitalized words in the AI's OWN response.
+            const responseKeywords = candidateResponse
+                .split(" ")
+                .filter(w => w.length > 3 && /^[a-zA-Z]+$/.test(w))
+                .filter(w => !["what", "when", "where", "who", "why", "does", "this", "that", "have"].includes(w.toLowerCase()));
 
-        if (responseKeywords.length > 0) {
-            console.log(`🛡️ Verifying candidate question: "${candidateResponse}" against keywords: [${responseKeywords}]`);
+            if (responseKeywords.length > 0) {
+                console.log(`🛡️ Verifying candidate question: "${candidateResponse}" against keywords: [${responseKeywords}]`);
 
-            // 2. Perform a "Reflexive Search" (Check DB for the AI's topic)
-            try {
-                const checkReq = await fetch(appsScriptUrl, {
-                    method: "POST", 
-                    headers: { "Content-Type": "text/plain" },
-                    body: JSON.stringify({ action: "retrieve", keywords: responseKeywords })
-                });
-                const checkRes = await checkReq.json();
+                // 2. Perform a "Reflexive Search" (Check DB for the AI's topic)
+                try {
+                    const checkRes = await backend.retrieve({ keywords: responseKeywords, top_k: CHECK_TOP_K, reinforce: false });
 
-                // 3. If we find specific memories about this new topic, we might be redundant.
-                if (checkRes.found && checkRes.relevant_memories.length > 0) {
+                    // 3. If we find specific memories about this new topic, we might be redundant.
+                    if (checkRes.found && checkRes.relevant_memories.length > 0) {
                     
-                    const newContext = checkRes.relevant_memories.join("\n");
-                    console.warn("🚨 Redundancy Detected! We found info on this topic:", newContext);
+                        const newContext = checkRes.relevant_memories.join("\n");
+                        console.warn("🚨 Redundancy Detected! We found info on this topic:", newContext);
 
-                    // 4. ASK THE AI: "Does this memory answer the question you just asked?"
-                    const sanityPrompt = `
-                    CANDIDATE QUESTION: "${candidateResponse}"
-                    FOUND MEMORY: "${newContext}"
-                    
-                    TASK: Does the Found Memory already answer the Candidate Question?
-                    - If "What is his girlfriend's name?" and memory says "Girlfriend is Michelle" -> RETURN TRUE.
-                    - If "How did they meet?" and memory only says "Girlfriend is Michelle" -> RETURN FALSE.
-                    
-                    Return JSON: { "is_redundant": boolean }
-                    `;
+                        // 4. ASK THE AI: "Does this memory answer the question you just asked?"
+                        const sanityPrompt = Prompts.render("redundancy_check", { candidate: candidateResponse, memory: newContext });
 
-                    const sanityCheck = await fetchWithCognitiveRetry(
-                        [{ "role": "system", "content": sanityPrompt }],
-                        modelHigh, apiKey, (d) => typeof d.is_redundant === 'boolean', "RedundancyCheck"
-                    );
+                        const sanityCheck = await fetchWithCognitiveRetry(
+                            [{ "role": "system", "content": sanityPrompt }],
+                            modelHigh, apiKey, "RedundancyCheck", { trace }
+                        );
 
-                    // 5. RE-GENERATE IF GUILTY
-                    if (sanityCheck.parsed.is_redundant) {
-                        console.log("♻️ RE-GENERATING RESPONSE (Avoiding Topic)...");
-                        
-                        // FIX: Added "Return JSON" instructions so the parser doesn't crash
-                        const correctionPrompt = `
-                        CRITICAL ERROR: You just asked "${candidateResponse}", but you ALREADY KNOW:
-                        ${newContext}
+                        // 5. RE-GENERATE IF GUILTY
+                        if (sanityCheck.parsed.is_redundant) {
+                            console.log("♻️ RE-GENERATING RESPONSE (Avoiding Topic)...");
                         
-                        TASK: Ask a DIFFERENT question about a completely NEW topic.
-                        - Do not ask about the previous topic.
-                        - Keep it casual.
+                            // FIX: Added "Return JSON" instructions so the parser doesn't crash
+                            const correctionPrompt = Prompts.render("correction", { candidate: candidateResponse, memory: newContext });
+
+                            // Overwrite the generationResult with the corrected one
+                            const retryResult = await fetchWithCognitiveRetry(
+                                [{ "role": "system", "content": correctionPrompt }],
+                                modelHigh, apiKey, "CorrectionGeneration", { trace }
+                            );
                         
-                        RETURN JSON ONLY: { 
-                            "response": "Your new question here...", 
-                            "mood": "CURIOUS" 
+                            // Apply the fix
+                            generationResult.parsed = retryResult.parsed;
+                            generationResult.cleaned = retryResult.cleaned;
                         }
-                        `;
-
-                        // Overwrite the generationResult with the corrected one
-                        const retryResult = await fetchWithCognitiveRetry(
-                            [{ "role": "system", "content": correctionPrompt }],
-                            modelHigh, apiKey, (d) => d.response, "CorrectionGeneration"
-                        );
-                        
-                        // Apply the fix
-                        generationResult.parsed = retryResult.parsed;
-                        generationResult.cleaned = retryResult.cleaned;
                     }
+                } catch (e) {
+                    console.error("Reflexive Check Failed", e);
                 }
-            } catch (e) {
-                console.error("Reflexive Check Failed", e);
             }
         }
-    }
-    
-    // === MOOD SANITIZER ===
-    if (generationResult.parsed) {
-        const sanitizeMood = (m) => {
-            if (!m) return "NEUTRAL";
-            return m.toString().toUpperCase().trim();
-        };
+        return generationResult;
+    });
+
+    pipeline.stage("render", ["sanity"], async ({ sanity: generationResult }) => {
+        // === MOOD SANITIZER ===
+        if (generationResult.parsed) {
+            const sanitizeMood = (m) => {
+                if (!m) return "NEUTRAL";
+                return m.toString().toUpperCase().trim();
+            };
 
-        if (generationResult.parsed.mood) {
-            window.currentMood = sanitizeMood(generationResult.parsed.mood);
-            console.log("🎭 Mood Set To:", window.currentMood);
-        }
+            if (generationResult.parsed.mood) {
+                window.currentMood = sanitizeMood(generationResult.parsed.mood);
+                console.log("🎭 Mood Set To:", window.currentMood);
+            }
 
-        if (generationResult.parsed.roots && window.updateGraphData) {
-            const cleanRoots = generationResult.parsed.roots.map(root => {
-                root.mood = sanitizeMood(root.mood);
-                if (root.branches) {
-                    root.branches = root.branches.map(branch => {
-                        branch.mood = sanitizeMood(branch.mood);
-                        return branch;
-                    });
-                }
-                return root;
-            });
-            window.updateGraphData(cleanRoots);
+            if (generationResult.parsed.roots && window.updateGraphData) {
+                const cleanRoots = generationResult.parsed.roots.map(root => {
+                    root.mood = sanitizeMood(root.mood);
+                    if (root.branches) {
+                        root.branches = root.branches.map(branch => {
+                            branch.mood = sanitizeMood(branch.mood);
+                            return branch;
+                        });
+                    }
+                    return root;
+                });
+                window.updateGraphData(cleanRoots);
+            }
         }
-    }
-    
-    // Log AI Response
-    if(appsScriptUrl) {
-        fetch(appsScriptUrl, { 
-            method: "POST", 
-            headers: { "Content-Type": "text/plain" },
-            body: JSON.stringify({ action: "log_chat", role: "assistant", content: generationResult.parsed.response }) 
-        }).catch(e=>{});
-    }
+        
+        // The user's line went out when the turn started
+        if(backend) {
+            backend.logChat({ role: "assistant", content: generationResult.parsed.response, prompt_version: Prompts.versionTag(replyPrompts) })
+                .catch(e => console.error("Log failed", e));
+        }
+        return generationResult;
+    });
 
     // --- STEP 5: STORE (Hybrid V1 Data + V2 Score + Deduplication Check) ---
-    if (appsScriptUrl && analysis.entries && analysis.entries.length > 0) {
-        (async () => {
-            for (const entry of analysis.entries) {
-                if (!entry.fact || entry.fact === "null") continue;
+    // Runs in the background as soon as retrieval is done: the reply doesn't wait for it.
+    pipeline.stage("dedup", ["timekeeper", "retrieval"], async ({ timekeeper, retrieval }) => {
+        const accepted = []; // Facts this turn already decided to store: { text }
+        const checkEntry = async (entry) => {
+            if (!entry.fact || entry.fact === "null") return [];
+
+            // Fetched with the Step 3 batch (targeted semantic check)
+            const specificRecords = retrieval.dedupHits.get(entry) || [];
+
+            // Combine Global Context + Specific Context + this turn's earlier facts for the Dedup Prompt.
+            // Ids are shown as (#id) so the model can name the memories a new fact supersedes.
+            const dedupRecords = [];
+            [...retrieval.records, ...specificRecords, ...accepted].forEach(rec => {
+                if (!dedupRecords.some(r => r.text === rec.text)) dedupRecords.push(rec);
+            });
+            const knownIds = dedupRecords.map(r => r.id).filter(Boolean);
+            const dedupContext = dedupRecords.map(r => `${r.id ? `(#${r.id}) ` : ""}${r.text}`).join("\n");
+            let supersedes = [];
+            
+            // === DEDUPLICATION & REFINEMENT LOGIC ===
+            if (dedupContext.length > 20) {
+                
+                const dedupPrompt = Prompts.render("dedup_refine", { existing: dedupContext, fact: entry.fact, entities: entry.entities });
                 
-                // [FIX] TARGETED SEMANTIC CHECK (The Context Gap Fix)
-                // Fetch context specific to THIS fact to find semantic duplicates.
-                let specificContext = "";
                 try {
-                    // Extract keywords just for this fact (Words > 4 chars)
-                    const factKeywords = entry.fact.split(" ")
-                        .filter(w => w.length > 4)
-                        .slice(0, 3);
-                    
-                    if (factKeywords.length > 0) {
-                        const targetReq = await fetch(appsScriptUrl, {
-                            method: "POST", 
-                            headers: { "Content-Type": "text/plain" },
-                            body: JSON.stringify({ action: "retrieve", keywords: factKeywords })
-                        });
-                        const targetRes = await targetReq.json();
-                        if (targetRes.found) {
-                            specificContext = targetRes.relevant_memories.join("\n");
-                        }
-                    }
-                } catch(e) { console.warn("Targeted dedup fetch failed", e); }
+                    console.log(`🧐 Checking dupes & refining: "${entry.fact}"...`);
+                    const check = await fetchWithCognitiveRetry(
+                        [{ "role": "system", "content": dedupPrompt }],
+                        modelHigh, apiKey, "DedupRefine", { trace }
+                    );
 
-                // Combine Global Context + Specific Context for the Dedup Prompt
-                const dedupContext = (window.lastRetrievedMemories || "") + "\n" + specificContext;
-                
-                // === DEDUPLICATION & REFINEMENT LOGIC ===
-                if (dedupContext.length > 20) {
-                    
-                    const dedupPrompt = `
-                    EXISTING MEMORIES:
-                    ${dedupContext}
-                    
-                    NEW CANDIDATE FACT: "${entry.fact}"
-                    CURRENT ENTITIES: "${entry.entities}"
-                    
-                    TASK: 
-                    1. DUPLICATE CHECK: Is this event (or its semantic equivalent) already logged?
-                       - Example: "Hate kale" == "Detests leafy greens" -> DUPLICATE.
-                    2. ENTITY RESOLUTION: Replace generic names with specific ones (e.g. "Mom" -> "Liliani").
-                    3. CLEANUP (CRITICAL): Remove "Arvin stated/mentioned/said" prefixes. Just state the absolute fact.
-                       - BAD: "Arvin stated that Casey is tall."
-                       - GOOD: "Casey is tall."
-                    4. TAG HYGIENE: Remove "Arvin" from entities UNLESS the fact is about him.
-                       - Fact: "Casey is tall" -> Remove "Arvin" from tags.
-                       - Fact: "Arvin kissed Casey" -> Keep "Arvin" in tags.
-                    5. TRANSIENCE CHECK (CRITICAL):
-                       - If the fact describes a TEMPORARY feeling/mood (afraid, angry, sad, nervous) about a specific moment, APPEND this note: "(Note: This is a momentary reaction to this specific event)".
-                       - BAD: "Arvin is afraid of the price."
-                       - GOOD: "Arvin is afraid of the price (Note: This is a momentary reaction to this specific event)."
-                    
-                    Return JSON: 
-                    { 
-                      "status": "DUPLICATE" or "NEW",
-                      "better_fact": "The refined fact (clean, no 'Arvin said')",
-                      "better_entities": "The updated comma-separated list"
+                    if (check.parsed.status === "DUPLICATE") {
+                        console.log("🚫 Skipped Duplicate:", entry.fact);
+                        // Said again -> the existing memory is reinforced instead of stored twice
+                        const same = [].concat(check.parsed.duplicate_of || []).map(id => String(id).replace(/^#/, "")).filter(id => knownIds.includes(id));
+                        return same.length > 0 && backend.supports("reinforce_facts") ? [{ action: "reinforce_facts", ids: same }] : [];
                     }
-                    `;
-                    
-                    try {
-                        console.log(`🧐 Checking dupes & refining: "${entry.fact}"...`);
-                        const check = await fetchWithCognitiveRetry(
-                            [{ "role": "system", "content": dedupPrompt }],
-                            modelHigh, apiKey, (d) => d.status, "DedupRefine"
-                        );
 
-                        if (check.parsed.status === "DUPLICATE") {
-                            console.log("🚫 Skipped Duplicate:", entry.fact);
-                            continue; 
-                        }
+                    // Update FACT
+                    if (check.parsed.better_fact && check.parsed.better_fact.length > 5) {
+                         console.log(`✨ Refined Fact: "${entry.fact}" -> "${check.parsed.better_fact}"`);
+                         entry.fact = check.parsed.better_fact;
+                    }
 
-                        // Update FACT
-                        if (check.parsed.better_fact && check.parsed.better_fact.length > 5) {
-                             console.log(`✨ Refined Fact: "${entry.fact}" -> "${check.parsed.better_fact}"`);
-                             entry.fact = check.parsed.better_fact;
-                        }
+                    // Update ENTITIES
+                    if (check.parsed.better_entities && check.parsed.better_entities.length > 2) {
+                         console.log(`🏷️ Refined Tags: [${entry.entities}] -> [${check.parsed.better_entities}]`);
+                         entry.entities = check.parsed.better_entities;
+                    }
 
-                        // Update ENTITIES
-                        if (check.parsed.better_entities && check.parsed.better_entities.length > 2) {
-                             console.log(`🏷️ Refined Tags: [${entry.entities}] -> [${check.parsed.better_entities}]`);
-                             entry.entities = check.parsed.better_entities;
-                        }
+                    // Supersession: only ids we actually showed the model
+                    if (check.parsed.status === "UPDATE" && Array.isArray(check.parsed.supersedes)) {
+                        supersedes = check.parsed.supersedes.map(id => String(id).replace(/^#/, "")).filter(id => knownIds.includes(id));
+                        if (supersedes.length > 0) console.log(`🕰️ Superseding [${supersedes}] with: "${entry.fact}"`);
+                    }
 
-                    } catch(e) { console.warn("Dedup check failed, saving original."); }
-                }
-                
-                // === EXECUTE STORE ===
-                console.log("💾 Saving Memory:", entry.fact);
-                
-                await fetch(appsScriptUrl, { 
-                    method: "POST", 
-                    headers: { "Content-Type": "text/plain" },
-                    body: JSON.stringify({ 
-                        action: "store_atomic", 
-                        fact: entry.fact, 
-                        entities: entry.entities, 
-                        topics: entry.topics, 
-                        importance: entry.importance 
-                    })
-                }).catch(e => console.error("Store Failed", e));
+                } catch(e) { console.warn("Dedup check failed, saving original."); }
             }
-        })();
-    }
 
-    return { choices: [{ message: { content: generationResult.cleaned } }] };
+            // === QUEUE STORE ===
+            console.log("💾 Saving Memory:", entry.fact);
+            accepted.push({ text: entry.fact });
+            return [storeOperation(entry, supersedes)];
+        };
+
+        // One entry at a time, so a fact said twice in one message is checked against the first
+        // and stored once; stores and reinforcements go out together afterwards
+        const writes = [];
+        for (const entry of timekeeper.validEntries) writes.push(...await checkEntry(entry));
+
+        // === EXECUTE STORE ===
+        if (writes.length > 0) await backend.batch(writes).catch(e => console.error("Store Failed", e));
+    }, { when: (r) => !!backend && r.timekeeper.validEntries.length > 0, background: true });
 
+    const { results, timings, settled } = await pipeline.run();
+    window.lastPipelineTimings = timings;
+    window.Trace.stages(timings, trace);
+    // The trace stays open until the background stages (storing) are done too
+    window.Trace.waitFor(settled, trace);
+    if (results.intercept) return results.intercept;
+    return { choices: [{ message: { content: results.render.cleaned } }] };
+
+}
+
+// Every run is recorded as a trace (trace.js)
+window.processMemoryChat = async function(userText, apiKey, modelHigh, history = [], isQuestionMode = false, isDirectorMode = false, stream = {}) {
+    const mode = isDirectorMode ? "director" : isQuestionMode ? "question" : "standard";
+    const trace = window.Trace.begin({ input: userText, mode: mode });
+    try {
+        const reply = await runMemoryChat(userText, apiKey, modelHigh, history, isQuestionMode, isDirectorMode, stream, trace);
+        window.Trace.finish(trace, { reply: reply });
+        return reply;
+    } catch (e) {
+        window.Trace.finish(trace, { error: e });
+        throw e;
+    }
 };
 
 
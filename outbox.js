@@ -0,0 +1,191 @@
+// ============================================
+// OUTBOX (outbox.js) - WRITE-AHEAD QUEUE FOR MEMORY WRITES
+// Chat logs and fact writes are saved to IndexedDB *before* they are sent,
+// each with an idempotency key. Whatever is due goes out as one batch request.
+// Failed sends retry with backoff (and as soon as the browser comes back
+// online); the backend skips keys it already applied.
+// ============================================
+
+const OUTBOX_DB_NAME = "symbiosis_outbox";
+const OUTBOX_STORE = "writes";
+const OUTBOX_ACTIONS = ["log_chat", "store_atomic", "store_director_fact"];
+const OUTBOX_BASE_DELAY_MS = 2000;
+const OUTBOX_MAX_DELAY_MS = 5 * 60 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_BATCH_SIZE = 20;
+
+function makeIdempotencyKey() {
+    return `ik_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// createOutbox(send, onChange)
+// - send(operations): the real network call for [{ action, ...payload }], resolving with one
+//   response per operation. Throws when the request never made it.
+// - onChange({ pending, failed }): called whenever the queue changes (UI counters)
+function createOutbox(send, onChange) {
+    let dbPromise = null;
+    let chain = Promise.resolve();
+    let timer = null;
+
+    // --- 1. STORAGE ---
+    const openDb = () => dbPromise || (dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(window.profileNamespace(OUTBOX_DB_NAME), 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(OUTBOX_STORE, { keyPath: "key" });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    }));
+
+    const run = async (mode, fn) => {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(OUTBOX_STORE, mode);
+            const req = fn(tx.objectStore(OUTBOX_STORE));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    };
+    const putRecord = (record) => run("readwrite", store => store.put(record));
+    const putRecords = (records) => run("readwrite", store => { records.forEach(r => store.put(r)); });
+    const deleteRecord = (key) => run("readwrite", store => store.delete(key));
+    const allRecords = () => run("readonly", store => store.getAll());
+
+    async function counts() {
+        const records = await allRecords().catch(() => []);
+        return {
+            pending: records.filter(r => r.status === "pending").length,
+            failed: records.filter(r => r.status === "failed").length
+        };
+    }
+    const notify = () => { if (onChange) counts().then(onChange); };
+
+    // --- 2. SENDING ---
+    // Oldest first, in batches. Nothing overtakes a write that is waiting out its backoff,
+    // so the chat log keeps its order.
+    async function runFlush() {
+        const results = new Map();
+        try {
+            while (true) {
+                const now = Date.now();
+                const pending = (await allRecords())
+                    .filter(r => r.status === "pending")
+                    .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.seq - b.seq);
+                const waiting = pending.findIndex(r => r.next_attempt_at > now);
+                const due = (waiting === -1 ? pending : pending.slice(0, waiting)).slice(0, OUTBOX_BATCH_SIZE);
+                if (due.length === 0) break;
+
+                let responses;
+                try {
+                    responses = await send(due.map(r => ({ action: r.action, ...r.payload, idempotency_key: r.key })));
+                } catch (e) {
+                    // Nothing arrived: the whole batch backs off together
+                    for (const record of due) {
+                        record.attempts++;
+                        record.last_error = e.message;
+                        if (record.attempts >= OUTBOX_MAX_ATTEMPTS) {
+                            record.status = "failed";
+                        } else {
+                            record.next_attempt_at = Date.now() + Math.min(OUTBOX_MAX_DELAY_MS, OUTBOX_BASE_DELAY_MS * Math.pow(2, record.attempts - 1));
+                        }
+                        await putRecord(record);
+                    }
+                    console.warn(`📮 Outbox: ${due.length} write(s) failed (attempt ${due[0].attempts}), will retry.`, e.message);
+                    break;
+                }
+
+                for (const [i, record] of due.entries()) {
+                    const res = responses[i];
+                    if (res && res.status === "error") {
+                        // The backend refused it: retrying the same payload won't help
+                        record.status = "failed";
+                        record.last_error = res.message || "Rejected by backend";
+                        await putRecord(record);
+                    } else {
+                        await deleteRecord(record.key);
+                    }
+                    results.set(record.key, res);
+                }
+            }
+        } catch (e) { console.error("Outbox Flush Failed", e); }
+
+        scheduleRetry();
+        notify();
+        return results;
+    }
+
+    const flush = () => (chain = chain.then(runFlush, runFlush));
+
+    async function scheduleRetry() {
+        clearTimeout(timer);
+        const records = await allRecords().catch(() => []);
+        const next = Math.min(...records.filter(r => r.status === "pending").map(r => r.next_attempt_at));
+        if (isFinite(next)) timer = setTimeout(flush, Math.max(0, next - Date.now()));
+    }
+
+    // --- 3. PUBLIC ---
+    // Persist first, then try to send. Resolves with one backend response per operation,
+    // or { status: "queued" } for the ones that will be retried later.
+    async function enqueueMany(operations) {
+        const createdAt = new Date().toISOString();
+        const records = operations.map(({ action, idempotency_key, ...payload }, i) => ({
+            key: idempotency_key || makeIdempotencyKey(),
+            action: action,
+            payload: payload,
+            created_at: createdAt,
+            seq: i,
+            attempts: 0,
+            next_attempt_at: Date.now(),
+            status: "pending",
+            last_error: null
+        }));
+        try {
+            await putRecords(records);
+        } catch (e) {
+            // No IndexedDB (private mode etc.): send directly, still with keys
+            console.warn("Outbox unavailable, sending directly", e);
+            return send(records.map(r => ({ action: r.action, ...r.payload, idempotency_key: r.key })));
+        }
+        notify();
+        const results = await flush();
+        return records.map(r => results.get(r.key) || { status: "queued", idempotency_key: r.key });
+    }
+
+    const enqueue = async (action, payload = {}) => (await enqueueMany([{ action: action, ...payload }]))[0];
+
+    // Give failed writes another full round of attempts
+    async function retryFailed() {
+        const failed = (await allRecords()).filter(r => r.status === "failed");
+        for (const record of failed) {
+            Object.assign(record, { status: "pending", attempts: 0, next_attempt_at: Date.now() });
+            await putRecord(record);
+        }
+        return flush();
+    }
+
+    // Back online: no point waiting out the backoff
+    window.addEventListener("online", async () => {
+        const waiting = (await allRecords().catch(() => [])).filter(r => r.status === "pending");
+        waiting.forEach(r => r.next_attempt_at = Date.now());
+        if (waiting.length > 0) await putRecords(waiting).catch(() => {});
+        flush();
+    });
+    flush();
+
+    return { enqueue, enqueueMany, flush, retryFailed, counts };
+}
+
+// --- 4. STATUS INDICATOR ---
+window.renderOutboxStatus = function({ pending, failed }) {
+    const el = document.getElementById('outbox-status');
+    if (!el) return;
+    el.classList.toggle('hidden', pending === 0 && failed === 0);
+    el.classList.toggle('failed', failed > 0);
+    el.textContent = failed > 0 ? `SYNC: ${pending} PENDING · ${failed} FAILED (TAP TO RETRY)` : `SYNC: ${pending} PENDING`;
+};
+
+window.retryOutbox = function() {
+    const backend = window.getMemoryBackend();
+    if (backend && backend.outbox) backend.outbox.retryFailed();
+};
+
+window.createOutbox = createOutbox;
+window.OUTBOX_ACTIONS = OUTBOX_ACTIONS;
@@ -0,0 +1,188 @@
+// ============================================
+// PENDING FACTS (pending.js) - OPEN QUESTIONS QUEUE
+// Events the Timekeeper held back because they had no date.
+// They wait in localStorage until a later answer dates them, the user answers
+// in the memory panel, or they expire and are stored as "date unknown".
+// ============================================
+
+const PENDING_KEY = "symbiosis_pending_facts";
+const LEGACY_PENDING_KEY = "symbiosis_pending_fact";
+const PENDING_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+const PENDING_MAX = 8;
+
+// --- 1. QUEUE STORAGE ---
+function loadPendingFacts() {
+    let list = [];
+    try { list = JSON.parse(window.profileStorage.getItem(PENDING_KEY) || "[]"); } catch (e) { list = []; }
+
+    // Older builds kept a single fact string in its own slot
+    const legacy = window.profileStorage.getItem(LEGACY_PENDING_KEY);
+    if (legacy) {
+        list.push(makePendingItem({ fact: legacy, importance: 5 }));
+        window.profileStorage.removeItem(LEGACY_PENDING_KEY);
+        window.profileStorage.setItem(PENDING_KEY, JSON.stringify(list));
+    }
+    return list;
+}
+
+function savePendingFacts(list) {
+    window.profileStorage.setItem(PENDING_KEY, JSON.stringify(list));
+    updatePendingBadge(list.length);
+}
+
+function makePendingItem(entry) {
+    const now = Date.now();
+    return {
+        id: `p${now.toString(36)}${Math.random().toString(36).slice(2, 5)}`,
+        fact: entry.fact,
+        entities: entry.entities || "",
+        topics: entry.topics || "",
+        importance: entry.importance || 5,
+        entity_types: entry.entity_types || {},
+        relations: entry.relations || [],
+        asked_at: new Date(now).toISOString(),
+        expires_at: new Date(now + PENDING_TTL_MS).toISOString()
+    };
+}
+
+// Stores a queued fact for real. extra: { date } or { date_unknown: true }
+async function storePendingFact(item, extra) {
+    const backend = window.getMemoryBackend();
+    if (!backend) return;
+    await backend.storeAtomic({
+        fact: extra.fact || item.fact,
+        entities: item.entities,
+        topics: item.topics,
+        importance: item.importance,
+        entity_types: item.entity_types,
+        relations: item.relations,
+        date: extra.date,
+        date_unknown: !!extra.date_unknown
+    }).catch(e => console.error("Pending Store Failed", e));
+}
+
+// --- 2. QUEUE API ---
+window.PendingFacts = {
+    list: () => loadPendingFacts(),
+
+    // Same fact twice is one question. A full queue gives up on its oldest item (stored undated).
+    add(entry) {
+        const list = loadPendingFacts().filter(p => p.fact !== entry.fact);
+        const item = makePendingItem(entry);
+        list.push(item);
+        while (list.length > PENDING_MAX) {
+            const oldest = list.shift();
+            storePendingFact(oldest, { date_unknown: true });
+        }
+        savePendingFacts(list);
+        console.log(`⏳ Pending Fact Queued (${list.length} open):`, item.fact);
+        return item;
+    },
+
+    // Merged into a new entry by the analysis step: nothing left to store
+    remove(ids) {
+        const drop = new Set([].concat(ids || []));
+        const list = loadPendingFacts();
+        const keep = list.filter(p => !drop.has(p.id));
+        if (keep.length !== list.length) savePendingFacts(keep);
+        return list.length - keep.length;
+    },
+
+    // Answered from the open-questions UI ("last summer", "2019"...)
+    async resolve(id, answer) {
+        const item = loadPendingFacts().find(p => p.id === id);
+        if (!item) return false;
+        const date = window.SymbiosisDates.findDateExpression(answer, new Date());
+        if (!date) return false;
+        await storePendingFact(item, { fact: `${item.fact} (${answer.trim()})`, date: date });
+        this.remove([id]);
+        console.log(`📅 Pending Fact Dated: "${item.fact}" -> ${window.SymbiosisDates.describeDate(date)}`);
+        return true;
+    },
+
+    // "I don't know" / expired: keep the memory, flag the missing date
+    async markUnknown(ids) {
+        const drop = new Set([].concat(ids || []));
+        const items = loadPendingFacts().filter(p => drop.has(p.id));
+        for (const item of items) await storePendingFact(item, { date_unknown: true });
+        this.remove(items.map(p => p.id));
+        return items.length;
+    },
+
+    async expire() {
+        const now = new Date().toISOString();
+        const expired = loadPendingFacts().filter(p => p.expires_at < now);
+        if (expired.length === 0) return 0;
+        console.log(`⌛ ${expired.length} Pending Fact(s) Expired -> Stored As Date Unknown`);
+        return this.markUnknown(expired.map(p => p.id));
+    }
+};
+
+// --- 3. OPEN QUESTIONS UI (top of the memory panel) ---
+function updatePendingBadge(count) {
+    const btn = document.getElementById('memoryBtn');
+    if (!btn) return;
+    if (count > 0) btn.dataset.pending = count;
+    else delete btn.dataset.pending;
+}
+
+window.renderPendingQuestions = function() {
+    const box = document.getElementById('pending-questions');
+    if (!box) return;
+    const list = loadPendingFacts();
+    box.innerHTML = "";
+    box.classList.toggle('hidden', list.length === 0);
+    if (list.length === 0) return;
+
+    const title = document.createElement('div');
+    title.className = 'pending-title';
+    title.textContent = `OPEN QUESTIONS (${list.length}) - WHEN DID THESE HAPPEN?`;
+    box.appendChild(title);
+
+    list.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'mem-row pending-row';
+
+        const text = document.createElement('div');
+        text.className = 'mem-fact';
+        text.textContent = item.fact;
+
+        const meta = document.createElement('div');
+        meta.className = 'mem-meta';
+
+        const input = document.createElement('input');
+        input.className = 'mem-field';
+        input.placeholder = "WHEN? (2019, LAST SUMMER, 27-29 JAN...)";
+
+        const save = document.createElement('button');
+        save.className = 'mem-btn';
+        save.textContent = "SAVE";
+        save.onclick = async () => {
+            if (await window.PendingFacts.resolve(item.id, input.value)) finishPendingRow();
+            else { row.classList.add('error'); window.speak("DATE NOT RECOGNIZED."); }
+        };
+        input.addEventListener('keydown', (e) => { if (e.key === 'Enter') save.click(); });
+
+        const unknown = document.createElement('button');
+        unknown.className = 'mem-btn';
+        unknown.textContent = "UNKNOWN";
+        unknown.onclick = async () => { await window.PendingFacts.markUnknown([item.id]); finishPendingRow(); };
+
+        const del = document.createElement('button');
+        del.className = 'mem-btn mem-delete';
+        del.textContent = "DEL";
+        del.onclick = () => { window.PendingFacts.remove([item.id]); window.renderPendingQuestions(); };
+
+        meta.append(input, save, unknown, del);
+        row.append(text, meta);
+        box.appendChild(row);
+    });
+};
+
+// A stored answer changes both lists
+function finishPendingRow() {
+    window.renderPendingQuestions();
+    if (window.loadMemoryPanel) window.loadMemoryPanel();
+}
+
+updatePendingBadge(loadPendingFacts().length);
@@ -0,0 +1,95 @@
+// ============================================
+// PIPELINE (pipeline.js) - STAGE GRAPH RUNNER
+// A turn is a small DAG of named stages. Each stage starts as soon as the
+// stages it needs are done, so independent work overlaps, and every stage
+// is timed. Pure functions, usable in the browser and in Node.
+// ============================================
+
+(function(root) {
+
+    const clock = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+    // "analysis 1840ms · timekeeper 912ms · intercept (skipped)"
+    function formatTimings(timings) {
+        return timings
+            .slice()
+            .sort((a, b) => a.start_ms - b.start_ms)
+            .map(t => t.status === "done" ? `${t.stage} ${t.ms}ms` : `${t.stage} (${t.status})`)
+            .join(" · ");
+    }
+
+    // createPipeline(label)
+    // - stage(name, needs, fn, { when, background })
+    //     needs: names of stages declared earlier (so the graph can't have cycles)
+    //     fn(results): results holds the return value of every finished stage, by name
+    //     when(results): false -> the stage is "skipped", and so is everything that needs it
+    //     background: run() doesn't wait for it (storing after the reply is out)
+    // - run() -> { results, timings, settled }
+    //     Resolves when every foreground stage is done. settled resolves after the background
+    //     ones too. A failed foreground stage rejects run(); stages that needed it are skipped.
+    function createPipeline(label) {
+        const stages = [];
+
+        function stage(name, needs, fn, options = {}) {
+            if (stages.some(s => s.name === name)) throw new Error(`Duplicate stage: ${name}`);
+            needs.forEach(n => {
+                if (!stages.some(s => s.name === n)) throw new Error(`Stage ${name} needs unknown stage ${n}`);
+            });
+            stages.push({ name, needs, fn, when: options.when, background: !!options.background });
+            return api;
+        }
+
+        async function run() {
+            const results = {};
+            const timings = [];
+            const failures = {};
+            const outcomes = {};
+            const started = clock();
+
+            stages.forEach(s => {
+                outcomes[s.name] = Promise.all(s.needs.map(n => outcomes[n])).then(async (needed) => {
+                    const t0 = clock();
+                    const record = (status) => timings.push({
+                        stage: s.name, status: status, start_ms: Math.round(t0 - started), ms: Math.round(clock() - t0)
+                    });
+                    if (needed.some(o => o !== "done") || (s.when && !s.when(results))) {
+                        record("skipped");
+                        return "skipped";
+                    }
+                    try {
+                        results[s.name] = await s.fn(results);
+                        record("done");
+                        return "done";
+                    } catch (e) {
+                        record("failed");
+                        failures[s.name] = e;
+                        console.error(`💀 Stage "${s.name}" Failed`, e);
+                        return "failed";
+                    }
+                });
+            });
+
+            const foreground = stages.filter(s => !s.background);
+            const background = stages.filter(s => s.background);
+            const settled = Promise.all(stages.map(s => outcomes[s.name])).then(() => {
+                if (background.length > 0) console.log(`⏱️ ${label} (background): ${formatTimings(timings.filter(t => background.some(s => s.name === t.stage)))}`);
+                return { results, timings };
+            });
+
+            await Promise.all(foreground.map(s => outcomes[s.name]));
+            console.log(`⏱️ ${label}: ${Math.round(clock() - started)}ms | ${formatTimings(timings)}`);
+            const failed = foreground.find(s => failures[s.name]);
+            if (failed) throw failures[failed.name];
+            return { results, timings, settled };
+        }
+
+        const api = { stage, run };
+        return api;
+    }
+
+    const SymbiosisPipeline = { createPipeline, formatTimings };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = SymbiosisPipeline;
+    else root.SymbiosisPipeline = SymbiosisPipeline;
+
+})(typeof window !== 'undefined' ? window : globalThis);
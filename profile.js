@@ -0,0 +1,251 @@
+// ============================================
+// USER PROFILE (profile.js) - WHO THE ORGANISM IS TALKING TO
+// Name, pronouns, locale, time zone and an optional bio. Set during
+// onboarding (checkAuth), injected into every prompt and used to show
+// stored dates in the user's own calendar.
+// Several profiles can share one browser: each gets its own namespace for
+// credentials, memory, pending facts and preferences (profileStorage).
+// ============================================
+
+const PROFILE_KEY = "symbiosis_profile";
+const PROFILES_KEY = "symbiosis_profiles";
+const DEFAULT_PROFILE_ID = "default";
+const PRONOUN_SETS = {
+    he: ["he", "him", "his"],
+    she: ["she", "her", "her"],
+    they: ["they", "them", "their"]
+};
+
+// --- 1. PARSING ---
+const browserLocale = () => (typeof navigator !== 'undefined' && navigator.language) || "en-US";
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+function isTimeZone(tz) {
+    if (!tz) return false;
+    try { new Intl.DateTimeFormat("en-US", { timeZone: tz }); return true; } catch (e) { return false; }
+}
+
+function isLocale(tag) {
+    if (!tag) return false;
+    try { return Intl.getCanonicalLocales(tag).length === 1; } catch (e) { return false; }
+}
+
+// "she/her" -> ["she", "her", "her"]. Anything else is taken as subject/object/possessive.
+function parsePronouns(text) {
+    const parts = String(text || "").toLowerCase().split("/").map(p => p.trim()).filter(Boolean);
+    if (parts.length === 0) return PRONOUN_SETS.they.slice();
+    if (PRONOUN_SETS[parts[0]] && parts.length < 3) return PRONOUN_SETS[parts[0]].slice();
+    return [parts[0], parts[1] || parts[0], parts[2] || parts[1] || parts[0]];
+}
+
+function normalizeProfile(raw = {}) {
+    return {
+        name: String(raw.name || "").trim(),
+        pronouns: parsePronouns(Array.isArray(raw.pronouns) ? raw.pronouns.join("/") : raw.pronouns),
+        locale: isLocale(raw.locale) ? Intl.getCanonicalLocales(raw.locale)[0] : browserLocale(),
+        time_zone: isTimeZone(raw.time_zone) ? raw.time_zone : browserTimeZone(),
+        bio: String(raw.bio || "").trim()
+    };
+}
+
+// "Sam, she/her, en-GB, Europe/London | Nurse, two cats"
+// Only the name is needed. Pronouns, locale and time zone are recognised by their shape;
+// an unrecognised first part is the name. base: the profile being edited.
+function parseProfileInput(text, base = {}) {
+    const [main, ...bio] = String(text || "").split("|");
+    const profile = { ...base };
+    if (bio.length > 0) profile.bio = bio.join("|").trim();
+
+    main.split(",").map(p => p.trim()).filter(Boolean).forEach((part, i) => {
+        if ((part.includes("/") || part.toUpperCase() === "UTC") && isTimeZone(part)) profile.time_zone = part;
+        else if (/^[a-z]+(\/[a-z]+){1,2}$/i.test(part)) profile.pronouns = part;
+        else if ((i > 0 || part.includes("-")) && /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(part) && isLocale(part)) profile.locale = part;
+        else if (i === 0) profile.name = part;
+    });
+    return normalizeProfile(profile);
+}
+
+// --- 2. RENDERING ---
+// The block every prompt starts with
+function profileIdentity(profile) {
+    const lines = [
+        `USER_IDENTITY: ${profile.name || "Unknown"}, (pronoun: ${profile.pronouns.join(", ")}) unless said otherwise`,
+        `USER_LOCALE: ${profile.locale} · TIME_ZONE: ${profile.time_zone}`
+    ];
+    if (profile.bio) lines.push(`USER_BIO: ${profile.bio}`);
+    return lines.join("\n");
+}
+
+// "Mon, January 27, 2025" in the user's language and zone
+function profileToday(profile, now = new Date()) {
+    return now.toLocaleDateString(profile.locale, { weekday: 'short', year: 'numeric', month: 'long', day: 'numeric', timeZone: profile.time_zone });
+}
+
+// Stored timestamps are UTC; "2025-01-27T23:30Z" is already the 28th in Tokyo
+function profileDay(iso, profile) {
+    const d = new Date(iso);
+    if (!iso || isNaN(d.getTime())) return String(iso || "").slice(0, 10);
+    return new Intl.DateTimeFormat("en-CA", { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: profile.time_zone }).format(d);
+}
+
+function profileTime(date, profile) {
+    return date.toLocaleTimeString(profile.locale, { timeZone: profile.time_zone });
+}
+
+// --- 3. STORAGE ---
+function loadProfile() {
+    let raw = null;
+    try { raw = JSON.parse(window.profileStorage.getItem(PROFILE_KEY) || "null"); } catch (e) { raw = null; }
+    return normalizeProfile(raw || {});
+}
+
+window.UserProfile = {
+    parse: parseProfileInput,
+    normalize: normalizeProfile,
+    identity: profileIdentity,
+
+    get: loadProfile,
+    // Onboarding is done once there is a name
+    has: () => !!loadProfile().name,
+    save(profile) {
+        const clean = normalizeProfile(profile);
+        window.profileStorage.setItem(PROFILE_KEY, JSON.stringify(clean));
+        window.Profiles.rename(window.Profiles.active().id, clean.name);
+        console.log("🪞 User Profile:", clean);
+        return clean;
+    },
+
+    // Shared variables for every prompt (prompts.js)
+    promptVars() {
+        const profile = loadProfile();
+        return { user_identity: profileIdentity(profile), user_name: profile.name || "the user" };
+    },
+    today: (now) => profileToday(loadProfile(), now),
+    day: (iso) => profileDay(iso, loadProfile()),
+    time: (date) => profileTime(date, loadProfile())
+};
+
+// --- 4. PROFILE NAMESPACES ---
+// symbiosis_profiles (shared by all profiles): { active, profiles: [{ id, name, created_at }] }
+// Every other key is per profile. The first profile keeps the plain keys, so an existing
+// install simply becomes the "default" profile; the others get "<key>@<id>".
+function loadProfileRegistry() {
+    let registry = null;
+    try { registry = JSON.parse(localStorage.getItem(PROFILES_KEY) || "null"); } catch (e) { registry = null; }
+    if (!registry || !Array.isArray(registry.profiles) || registry.profiles.length === 0) {
+        registry = { active: DEFAULT_PROFILE_ID, profiles: [{ id: DEFAULT_PROFILE_ID, name: "", created_at: new Date().toISOString() }] };
+    }
+    if (!registry.profiles.some(p => p.id === registry.active)) registry.active = registry.profiles[0].id;
+    return registry;
+}
+
+const saveProfileRegistry = (registry) => localStorage.setItem(PROFILES_KEY, JSON.stringify(registry));
+
+// Read once: the active profile only changes through switchTo, which reloads the page
+const ACTIVE_PROFILE_ID = loadProfileRegistry().active;
+
+// "symbiosis_memory" -> "symbiosis_memory@p1x2" (storage keys and IndexedDB names alike)
+window.profileNamespace = function(name, id = ACTIVE_PROFILE_ID) {
+    return id === DEFAULT_PROFILE_ID ? name : `${name}@${id}`;
+};
+
+// Drop-in for localStorage, scoped to the active profile
+window.profileStorage = {
+    getItem: (key) => localStorage.getItem(window.profileNamespace(key)),
+    setItem: (key, value) => localStorage.setItem(window.profileNamespace(key), value),
+    removeItem: (key) => localStorage.removeItem(window.profileNamespace(key))
+};
+
+// Switching reloads the page: chat history, backend and outbox all start over in the new namespace
+window.Profiles = {
+    list: () => loadProfileRegistry().profiles,
+    active: () => loadProfileRegistry().profiles.find(p => p.id === ACTIVE_PROFILE_ID),
+    // Case-insensitive, by name or id
+    find(nameOrId) {
+        const key = String(nameOrId || "").trim().toLowerCase();
+        return loadProfileRegistry().profiles.find(p => p.id === key || (p.name || "").toLowerCase() === key);
+    },
+    create(name) {
+        const registry = loadProfileRegistry();
+        const clean = String(name || "").trim();
+        if (!clean) throw new Error("NAME REQUIRED");
+        if (window.Profiles.find(clean)) throw new Error(`PROFILE ${clean.toUpperCase()} EXISTS`);
+        const profile = { id: `p${Date.now().toString(36)}`, name: clean, created_at: new Date().toISOString() };
+        registry.profiles.push(profile);
+        saveProfileRegistry(registry);
+        // The new organism already knows who it belongs to; onboarding only asks for credentials
+        localStorage.setItem(window.profileNamespace(PROFILE_KEY, profile.id), JSON.stringify(normalizeProfile({ name: clean })));
+        return profile;
+    },
+    rename(id, name) {
+        const registry = loadProfileRegistry();
+        const profile = registry.profiles.find(p => p.id === id);
+        if (!profile || !name || profile.name === name) return;
+        profile.name = name;
+        saveProfileRegistry(registry);
+    },
+    switchTo(id) {
+        const registry = loadProfileRegistry();
+        if (!registry.profiles.some(p => p.id === id)) throw new Error(`UNKNOWN PROFILE ${String(id).toUpperCase()}`);
+        registry.active = id;
+        saveProfileRegistry(registry);
+        console.log(`🪞 Switching Profile: ${id}`);
+        location.reload();
+    },
+    // Forgets the profile's local keys and databases. Its Apps Script sheet is left alone.
+    remove(id) {
+        const registry = loadProfileRegistry();
+        if (id === ACTIVE_PROFILE_ID) throw new Error("CANNOT DELETE THE ACTIVE PROFILE");
+        if (!registry.profiles.some(p => p.id === id)) throw new Error(`UNKNOWN PROFILE ${String(id).toUpperCase()}`);
+        registry.profiles = registry.profiles.filter(p => p.id !== id);
+        saveProfileRegistry(registry);
+        const suffix = id === DEFAULT_PROFILE_ID ? null : `@${id}`;
+        Object.keys(localStorage)
+            .filter(k => k.startsWith("symbiosis_") && k !== PROFILES_KEY && (suffix ? k.endsWith(suffix) : !k.includes("@")))
+            .forEach(k => localStorage.removeItem(k));
+        if (window.indexedDB) {
+            ["symbiosis_memory", "symbiosis_outbox"].forEach(db => indexedDB.deleteDatabase(window.profileNamespace(db, id)));
+        }
+    }
+};
+
+// --- 5. PROFILE PICKER ---
+// Shown at startup when the browser holds more than one profile, and by the "profiles" command
+window.showProfilePicker = function() {
+    const picker = document.getElementById('profile-picker');
+    const list = document.getElementById('profile-list');
+    if (!picker || !list) return;
+
+    const active = window.Profiles.active();
+    list.innerHTML = "";
+    window.Profiles.list().forEach(profile => {
+        const btn = document.createElement('button');
+        btn.className = "profile-option" + (profile.id === active.id ? " active" : "");
+        btn.textContent = (profile.name || "UNNAMED").toUpperCase();
+        btn.onclick = () => {
+            if (profile.id === active.id) window.hideProfilePicker();
+            else window.Profiles.switchTo(profile.id);
+        };
+        list.appendChild(btn);
+    });
+    picker.classList.remove('hidden');
+};
+
+window.hideProfilePicker = function() {
+    const picker = document.getElementById('profile-picker');
+    if (picker) picker.classList.add('hidden');
+};
+
+// --- 6. PREFERENCES ---
+// How this profile last chose to talk: text or voice replies.
+// Read at startup (main.js) and saved whenever it is switched.
+const PREFERENCE_KEYS = { textMode: "symbiosis_text_mode" };
+const PREFERENCE_DEFAULTS = { textMode: true };
+
+window.ProfilePreferences = {
+    get(name) {
+        const stored = window.profileStorage.getItem(PREFERENCE_KEYS[name]);
+        return stored === null ? PREFERENCE_DEFAULTS[name] : stored !== "false";
+    },
+    set: (name, value) => window.profileStorage.setItem(PREFERENCE_KEYS[name], String(!!value))
+};
@@ -0,0 +1,659 @@
+// ============================================
+// PROMPTS (prompts.js) - VERSIONED PROMPT TEMPLATES
+// Every big prompt is a named template with a version and the variables it
+// declares ({{name}}). Templates can be overridden locally, and the version tag
+// of the prompts behind a fact or chat line is stored with it.
+// Pure functions, usable in the browser and in Node.
+// ============================================
+
+(function(root) {
+
+    const PROMPT_OVERRIDES_KEY = "symbiosis_prompt_overrides";
+    const VAR_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+    // Bump "version" whenever the wording of a template changes
+    const TEMPLATES = [
+        // --- DIRECTOR MODE ---
+        {
+            id: "director_intent",
+            version: 2,
+            description: "Director mode: intent (STORE / SEARCH / CHAT) and search constraints",
+            vars: ["user_identity", "history", "bridge_context", "user_text"],
+            text: `
+                {{user_identity}}
+
+                YOU ARE THE ARCHIVIST.
+                User is the Director. You have access to a video archive (Google Sheets/Drive).
+
+                CONTEXT (RECENT CHAT):
+                {{history}}
+                {{bridge_context}}
+
+                CURRENT INPUT: "{{user_text}}"
+
+                TASK 1: ANALYZE INTENT
+                - Is the user defining a fact? (e.g. "Cody is the tall guy") -> STORE
+                - Is the user asking for footage? (e.g. "Show me...", "Play...", "Pull up...") -> SEARCH
+                - Is the user asking for a RECOMMENDATION, LIST, RANKING, or COMPARISON? -> CHAT
+                - Is the user asking for an OPINION/DESCRIPTION? (e.g. "Who is Brent?") -> CHAT
+
+                TASK 2: RESOLVE ENTITIES & CLEAN KEYWORDS (CRITICAL)
+                - "positive_constraints": Extract ALL names, entities, OR DEMOGRAPHICS mentioned.
+                  > Example: "Any Asian guys?" -> ["Asian", "guys"]
+
+                  *** CONTEXT EXPANSION RULE (CRITICAL) ***
+                  If the user asks for a RANKING ("Top 3"), A LIST ("Who do you have?"), or a COMPARISON/SIMILARITY ("Who is like Colby?"), you MUST add generic broad terms (["Actor", "Entity", "Person"]) to 'positive_constraints'.
+                  - Query: "Who is like Colby?" -> positive_constraints: ["Colby Keller", "Actor", "Entity"]
+                  - Query: "Top 3 guys" -> positive_constraints: ["Actor", "Entity", "Guy"]
+                  - REASONING: This ensures the database retrieves the full roster to compare against, not just the single subject mentioned.
+
+                - "negative_constraints": Extract names/traits the user wants to EXCLUDE.
+
+                RETURN JSON ONLY:
+                {
+                    "intent": "STORE" or "SEARCH" or "CHAT",
+                    "facts": ["Fact 1", "Fact 2"],
+                    "entity_name": "...",
+                    "positive_constraints": ["..."],
+                    "negative_constraints": ["..."],
+                    "response": "..."
+                }
+            `
+        },
+        {
+            id: "director_filter",
+            version: 2,
+            description: "Director mode: pick the archive entities that answer the request",
+            vars: ["user_identity", "history", "user_text", "facts"],
+            text: `
+                {{user_identity}}
+
+                CONTEXT (PREVIOUS CHAT):
+                {{history}}
+
+                CURRENT USER REQUEST: "{{user_text}}"
+
+                ARCHIVE DATA (CANDIDATES):
+                {{facts}}
+
+                TASK: Select the Entities that answer the request.
+
+                *** FILTERING RULES ***
+                1. AGGREGATE EVIDENCE (CRITICAL):
+                   - You must COMBINE all facts for a specific Entity to see if they meet the criteria.
+                   - Example: If Fact 1 says "Brent is White" and Fact 2 says "Brent shows off his pits", then Brent matches "White guys with pits".
+                   - Do NOT reject a candidate just because the traits are in separate database entries.
+
+                2. SEMANTIC MATCHING:
+                   - "White" matches: Caucasian, Pale, Euro, etc.
+                   - "Armpits" matches: Pits, Underarms, Musk, Hair, Sweat.
+                   - "Hot" matches: Sexy, Nice, Worship, Hairy, Smooth, Great.
+
+                3. STRICT INTERSECTION:
+                   - The entity must possess ALL requested traits (Demographic AND Feature) across their aggregated facts.
+                   - If an entity matches the demographic (e.g. White) but has NO evidence of the feature (e.g. Armpits) in ANY of their facts, REJECT them.
+
+                RETURN JSON:
+                {
+                    "matches": ["Name1", "Name2"],
+                    "reasoning": "Brief explanation."
+                }
+            `
+        },
+        {
+            id: "director_answer",
+            version: 2,
+            description: "Director mode: grounded answer from the filtered archive",
+            vars: ["user_identity", "history", "user_text", "matches", "facts"],
+            text: `
+                {{user_identity}}
+
+                You are the Archivist.
+                CONTEXT (PREVIOUS CHAT):
+                {{history}}
+
+                USER ASKED: "{{user_text}}"
+                VALID MATCHES: {{matches}}
+
+                ARCHIVE DATA (FACTS):
+                {{facts}}
+
+                *** STRICT GROUNDING RULES ***
+                1. NO OUTSIDE KNOWLEDGE: You are a database interface. You do NOT know famous people unless they are in "ARCHIVE DATA".
+                2. MISSING DATA: If the user asks about "Brent" but "Brent" is not in ARCHIVE DATA, you must say: "I have no records for Brent."
+                3. COMPARISONS: If comparing two people (e.g. Colby vs Brent) and one is missing, describe the one you have and explicitly state the other is missing.
+
+                TASK: Answer the user naturally.
+                - IF VALID MATCHES ARE EMPTY: Say "I couldn't find anyone matching that description in the archive." DO NOT HALLUCINATE NAMES.
+                - IF DIRECT QUESTION (e.g. "Who is Brent?"): Just describe Brent.
+                - IF COMPARISON (e.g. "What about white?"): List the matches and briefly mention the traits they share with the *previous subject*.
+                - NO META-TALK: Never explain "I selected these because...".
+
+                RETURN JSON: { "response": "...", "mood": "CRYPTIC" }
+            `
+        },
+        {
+            id: "director_dedup",
+            version: 2,
+            description: "Director mode: duplicate / contradiction check for a new archive fact",
+            vars: ["user_identity", "existing_facts", "fact", "entity"],
+            text: `
+                {{user_identity}}
+
+                EXISTING LOGS:
+                {{existing_facts}}
+
+                NEW FACT: "{{fact}}" (Entity: {{entity}})
+
+                TASK: Check for DUPLICATES and CONTRADICTIONS.
+                - If the NEW FACT contradicts or updates a log, list that log's (#id) in "contradicted_ids". The new fact replaces it.
+                RETURN JSON: { "is_duplicate": boolean, "is_contradiction": boolean, "contradicted_ids": [], "warning_message": "..." }
+            `
+        },
+        {
+            id: "director_ambiguity",
+            version: 2,
+            description: "Director mode: several people with the same name?",
+            vars: ["user_identity", "user_text", "targets", "memories"],
+            text: `
+                {{user_identity}}
+
+                USER REQUEST: "{{user_text}}"
+                TARGETS: {{targets}}
+                DATABASE: {{memories}}
+                TASK: Check for Ambiguity (Multiple people same name) or Resolution.
+                RETURN JSON: { "status": "RESOLVED"|"AMBIGUOUS", "clarification_question": "...", "resolved_names": [], "resolved_excludes": [] }
+            `
+        },
+        // --- STANDARD TURN ---
+        {
+            id: "analysis",
+            version: 2,
+            description: "Step 1: search keywords and memory entries from the user's message",
+            vars: ["user_identity", "user_name", "today", "history", "pending_context", "entity_context", "user_text"],
+            text: `
+                {{user_identity}}
+                CURRENT_DATE: {{today}}
+                CONTEXT:
+                {{history}}
+                {{pending_context}}
+                {{entity_context}}
+
+                CURRENT INPUT: "{{user_text}}"
+
+                TASK:
+                0. RETROACTIVE MERGE (CRITICAL):
+                   - IF "PENDING UNRESOLVED MEMORY" is present, prioritize merging it with CURRENT INPUT.
+                   - IF "CURRENT INPUT" is just a date (e.g. "2024"), attach it to the pending fact (the most recent one, unless it is clear which).
+                   - List the (#id) of every pending fact you merged in "resolved_pending".
+                   - IF the user says they don't know / can't remember when, list its (#id) in "unknown_pending" instead (do not create an entry).
+                   - IF "CURRENT INPUT" is conversational (e.g. "It was cold"), merge that detail with the pending fact and mark as a NEW entry.
+                   - IF "CURRENT INPUT" is a date/time (e.g., "Yesterday", "In 2026", "27-29 Jan") AND the previous User message in "CONTEXT" was a detailed event that wasn't saved: COMBINE THEM.
+
+                1. KEYWORDS: Extract 3-5 specific search terms.
+                   - CRITICAL: Appended categories MUST choose from: [Identity, Preference, Location, Relationship, History, Work, Generativity, SocialFitness].
+                   - "Generativity" Trigger: Mentoring, teaching, leaving a legacy, helping others grow.
+
+                2. MEMORY ENTRIES (ADAPTIVE SPLITTING):
+                   - Continuous stories = ONE entry. Unrelated facts = SPLIT entries.
+                   - *** "DEAD END" PROTOCOL (Fix for Recursive Loop) ***:
+                     IF User says "I don't know", "Not sure", or "No idea" in response to a question:
+                     CREATE AN ENTRY: "User does not know [Topic/Detail]." (Importance: 2).
+                     REASON: This prevents the system from asking the same question again later.
+
+                3. FACT FORMATTING & METADATA:
+                   - Write in third person ({{user_name}}...).
+                   - Entities: Comma-separated list. If a person/place is in KNOWN ENTITIES (by name OR alias, e.g. "my brother"), use its CANONICAL name.
+                   - Entity types: map each NEW entity to "person", "place", "org" or "other".
+                   - Relations: ONLY when the fact states how two entities are connected. Read as "<from> is <to>'s <type>".
+                     Types: sibling, friend, coworker, dated, partner, knows, parent, child, manager, report, home, resident, employer, employee, group, member.
+                     (e.g. "Cody is {{user_name}}'s brother" -> { "from": "Cody", "type": "sibling", "to": "{{user_name}}" })
+                   - Topics: Choose from [Identity, Preference, Location, Relationship, History, Work, Generativity].
+                   - You must evaluate the **emotional nutritional value** of this interaction:
+                     > "Energizing": Uplifting, supportive, fun, "Side-by-Side" bonding (doing things together).
+                     > "Depleting": Conflict, draining, neglectful, stressful, vague anxiety.
+                     > "Neutral": Routine, transactional.
+                     *Append this to the "topics" string (e.g., "Relationship, Energizing, SocialFitness").*
+
+                4. METADATA & IMPORTANCE GUIDE:
+                   - IMPORTANCE (1-10):
+                     > 1-3: Trivial.
+                     > 4-6: Routine.
+                     > 7-8: Significant (Relationship changes, "Side-by-Side" Bonding activities).
+                     > 9-10: Life-Defining.
+
+                   - *** "SIDE-BY-SIDE" RULE ***:
+                     Men often build intimacy through **shared activities** (gaming, hiking, sports) rather than face-to-face talk.
+                     IF user describes a shared activity with a Close Entity, MARK AS SIGNIFICANT (7-8) and tag [BONDING].
+
+                If QUESTION/CHIT-CHAT/KNOWN INFO/COMMANDS, return empty array [].
+
+                Return JSON only: {
+                    "search_keywords": ["..."],
+                    "resolved_pending": [],
+                    "unknown_pending": [],
+                    "entries": [
+                        {
+                            "fact": "...",
+                            "entities": "...",
+                            "topics": "...",
+                            "importance": 5,
+                            "entity_types": { "Name": "person" },
+                            "relations": [ { "from": "Name", "type": "sibling", "to": "Name" } ]
+                        }
+                    ]
+                }
+            `
+        },
+        {
+            id: "timekeeper",
+            version: 2,
+            description: "Step 2: does this fact need a date?",
+            vars: ["user_identity", "fact", "today"],
+            text: `
+                {{user_identity}}
+
+                FACT: "{{fact}}"
+                CURRENT_DATE: {{today}}
+                TASK: Determine if this fact requires a specific date.
+
+                RULES:
+                1. EPISODIC EVENTS (Priority):
+                   - If the fact mentions a specific temporary event (e.g. "trip", "visit", "meeting", "incident").
+                   - AND it lacks a specific date/year.
+                   - RETURN "valid": false.
+                   - CRITICAL: This applies even if the user is describing a "feeling" or "opinion" that happened *during* the event.
+
+                2. "SIDE-BY-SIDE" EXCEPTION (Social Fitness):
+                   - If the fact describes a **shared activity/bonding moment** (e.g. "Gaming with Cody", "Playing tennis with Dad"), this is "Relational Maintenance".
+                   - RETURN "valid": true (even if date is missing).
+
+                3. GENERAL STATES (Lower Priority):
+                   - If it is a general trait, preference, or history (e.g. "was fat", "likes sushi", "is rich") WITHOUT a specific event attached -> return "valid": true.
+
+                4. DATED:
+                   - If it already has a date -> return "valid": true.
+
+                5. DATE EXPRESSION:
+                   - Copy the exact words that say WHEN it happened (e.g. "27-29 Jan 2025", "last summer", "in 2019").
+                   - Empty string if there are none.
+
+                Return JSON: { "valid": boolean, "rewritten_fact": "...", "date_expression": "..." }
+            `
+        },
+        {
+            id: "intercept",
+            version: 2,
+            description: "Step 2: ask when an undated event happened",
+            vars: ["user_identity", "user_text", "fact", "matches", "other_open_note"],
+            text: `
+                {{user_identity}}
+
+                User said: "{{user_text}}"
+                Fact detected: "{{fact}}"
+
+                EXISTING DATABASE RECORDS:
+                {{matches}}
+
+                ISSUE: User mentioned an event but didn't specify WHEN (Date/Year).
+
+                INSTRUCTIONS:
+                1. CHECK "EXISTING DATABASE RECORDS" for similar events (matching location, people, or topic).
+                2. IF MATCHES FOUND: Ask the user to clarify if they mean one of those specific instances.
+                   - Example: "Do you mean the Shanghai trip in Jan 2025, or the biz trip in July?"
+                3. IF NO MATCHES: Just ask "When did this happen?" naturally.
+                {{other_open_note}}
+
+                Return JSON: { "response": "..." }
+            `
+        },
+        {
+            id: "rules_interrogation",
+            version: 1,
+            description: "Question mode reply rules (anti-nag, no ghosts)",
+            vars: [],
+            text: `
+                2. RESPOND to the User according to these STRICT rules:
+                   - **MODE: INTERROGATION**. You are a guarded auditor building a dossier.
+                   - **STYLE**: Minimalist. Casual.
+
+                   - **CRITICAL RULES**:
+                     1. **NO "WHAT ABOUT"**: NEVER ask "What about..." or "And his..."? Ask SPECIFIC, standalone questions.
+
+                     2. **THE ANTI-NAG RULE**: If the User answers "I don't know", "No idea", or "Not sure":
+                        - **STOP** asking about that specific detail.
+                        - **PIVOT** to a general topic (Work, Food, Hobbies) OR a different aspect of the *SAME* subject (e.g. if talking about Jemi, ask about Jemi's job, not his brother).
+
+                     3. **ABSOLUTE REDUNDANCY BAN**:
+                        - CHECK "DATABASE RESULTS". If the fact exists (even as a negative like "No sister"), asking is **FORBIDDEN**.
+
+                     4. **CLARIFY ON CONFUSION**: If User says "What?", rephrase with specific nouns.
+
+                     5. **NO GHOSTS (CRITICAL)**:
+                        - Do NOT ask questions about people/names found in "DATABASE RESULTS" unless they specifically appear in the "HISTORY" or the User's immediate input.
+                        - If you see a memory about "Clarissa" but the user is talking about "Jemi", IGNORE CLARISSA.
+
+                   - **EXECUTION**:
+                     1. **SANITY CHECK**: Is the answer to my question already in "DATABASE RESULTS"?
+                        - YES -> STOP. Ask something else.
+                     2. Did the user just say "I don't know"?
+                        - YES -> PIVOT to the Main Subject's other traits (e.g. Work) or the User's life.
+                     3. Ask ONE specific question.
+            `
+        },
+        {
+            id: "rules_good_life",
+            version: 1,
+            description: "Companion reply rules: the Social Fitness protocols (W.I.S.E.R., Savoring, Generativity, Attention Audit, Companion)",
+            vars: ["trigger_audit"],
+            text: `
+                2. RESPOND by dynamically selecting ONE of the following "Social Fitness" Protocols based on User Input:
+
+                   --- PROTOCOL A: W.I.S.E.R. (For Conflict/Friction) ---
+                   IF User expresses **EXTREME** ANGER or **DIRECT CONFLICT** with another person (Ignore self-reflection or simple questions):
+                   - DO NOT just agree/validate.
+                   - APPLY W.I.S.E.R.:
+                     1. **WATCH**: Ask user to separate what happened (facts) from what they felt.
+                     2. **INTERPRET**: Gently ask if there's a generous interpretation of the other person's intent.
+                     3. **SELECT**: Ask "What is your goal for this connection right now?"
+                   - TONE: "DETECTING SOCIAL FRICTION. INITIATING W.I.S.E.R. PROTOCOL."
+
+                   --- PROTOCOL B: SAVORING (For Connection/Joy) ---
+                   IF User expresses JOY, a WIN, or a "SIDE-BY-SIDE" BONDING moment (gaming, sports, hanging out):
+                   - "Attention is the currency of love."
+                   - DEEPEN the moment. Ask a specific question to help them "relive" the best part.
+                   - Do not move on quickly. Stay in the pocket of that good feeling.
+
+                   --- PROTOCOL C: GENERATIVITY (For Stagnation/Sadness) ---
+                   IF User feels STUCK, OLD, or VALUELESS:
+                   - Scan "DATABASE RESULTS" for instances of them helping/mentoring others.
+                   - Remind them: "ACCESSING LEGACY FILES. YOU HELPED [Name]. GENERATIVITY SCORE: HIGH."
+
+                   --- PROTOCOL D: ATTENTION AUDIT (For Neglect) ---
+                   IF (Random trigger: {{trigger_audit}}) AND User is casual:
+                   - CHECK "FADING MEMORIES" first (important memories nobody has mentioned lately), then "DATABASE RESULTS". Is there a High-Importance entity not mentioned in "HISTORY" (recent logs)?
+                   - OUTPUT: "SYSTEM ALERT: SOCIAL ATROPHY DETECTED. SUBJECT [Name] UNTOUCHED FOR [X] CYCLES. INITIATE CONTACT?"
+                   - [X] = days since [Last Touched] when available.
+
+                   --- PROTOCOL E: COMPANION (Standard) ---
+                   IF none of the above apply: RESPOND to the User according to these STRICT rules:
+                   - **MODE: COMPANION**. Minimalist. Casual. Guarded.
+                   - **THE "NEED TO KNOW" RULE**: Do NOT volunteer specific data points (jobs, specific locations, specific foods) unless the user explicitly asks to elaborate.
+                   - **GENERAL QUERY RESPONSE**: If the user asks "Who is [Name]?", return ONE sentence describing the relationship and a vague vibe. STOP THERE unless the user explicitly asks to elaborate..
+                   - **NO BIOGRAPHIES**: Never list facts, unless the user explicitly asks to elaborate. Conversational ping-pong only.
+            `
+        },
+        {
+            id: "generation",
+            version: 2,
+            description: "Step 4: the reply and its knowledge graph",
+            vars: ["user_identity", "retrieved_context", "history", "user_text", "response_rules"],
+            text: `
+                {{user_identity}}
+
+                DATABASE RESULTS:
+                {{retrieved_context}}
+
+                HISTORY:
+                {{history}}
+
+                User: "{{user_text}}"
+
+                ### TASK ###
+                1. ANALYZE the Database Results and History.
+
+                {{response_rules}}
+
+                3. After responding, CONSTRUCT a Knowledge Graph structure for the UI. STRUCTURE:
+                    - ROOTS: Array of MAX 3 objects (decide if the user needs more than 1). If there are specific subject(s) or object(s) mention, make them into objects.
+                    - ROOT LABEL: MUST be exactly 1 word. UPPERCASE. (e.g. "MUSIC", not "THE MUSIC I LIKE").
+                    - BRANCHES: Max 5 branches. Label MUST be exactly 1 word.
+                    - LEAVES: Max 5 leaves per branch. Text MUST be exactly 1 word.
+
+                    - EXACT MATCH ONLY: Every 'label' and 'text' in the graph MUST be an EXACT word found in the DATABASE RESULTS or HISTORY provided above.
+                       - DO NOT use synonyms (e.g. if text says "School", DO NOT use "Education").
+                    - NO VERBS: Do not use actions (e.g. "went", "saw", "eating", "is").
+                    - NO NUMBERS/YEARS: Do not use years (e.g. "2024") or numbers.
+                    - FOCUS: Select only NAMES, NOUNS, PROPER NOUNS, or distinct ADJECTIVES.
+
+                CRITICAL: EACH ROOT, BRANCH, AND LEAF NEEDS TO HAVE AN INDEPENDENT, CONTEXT-DERIVED MOOD
+                MOODS: AFFECTIONATE, CRYPTIC, DISLIKE, JOYFUL, CURIOUS, SAD, QUESTION.
+
+                Return JSON: {
+                    "response": "...",
+                    "mood": "GLOBAL_MOOD",
+                    "roots": [
+                        {
+                            "label": "TOPIC",
+                            "mood": "SPECIFIC_MOOD",
+                            "branches": [
+                                {
+                                    "label": "SUBTOPIC",
+                                    "mood": "MOOD",
+                                    "leaves": [
+                                        { "text": "DETAIL", "mood": "MOOD" }
+                                    ]
+                                }
+                            ]
+                        }
+                    ]
+                }
+            `
+        },
+        {
+            id: "redundancy_check",
+            version: 2,
+            description: "Question mode: is the candidate question already answered by memory?",
+            vars: ["user_identity", "candidate", "memory"],
+            text: `
+                {{user_identity}}
+
+                CANDIDATE QUESTION: "{{candidate}}"
+                FOUND MEMORY: "{{memory}}"
+
+                TASK: Does the Found Memory already answer the Candidate Question?
+                - If "What is his girlfriend's name?" and memory says "Girlfriend is Michelle" -> RETURN TRUE.
+                - If "How did they meet?" and memory only says "Girlfriend is Michelle" -> RETURN FALSE.
+
+                Return JSON: { "is_redundant": boolean }
+            `
+        },
+        {
+            id: "correction",
+            version: 2,
+            description: "Question mode: ask about something else instead",
+            vars: ["user_identity", "candidate", "memory"],
+            text: `
+                {{user_identity}}
+
+                CRITICAL ERROR: You just asked "{{candidate}}", but you ALREADY KNOW:
+                {{memory}}
+
+                TASK: Ask a DIFFERENT question about a completely NEW topic.
+                - Do not ask about the previous topic.
+                - Keep it casual.
+
+                RETURN JSON ONLY: {
+                    "response": "Your new question here...",
+                    "mood": "CURIOUS"
+                }
+            `
+        },
+        {
+            id: "dedup_refine",
+            version: 2,
+            description: "Step 5: duplicate check, cleanup and supersession for a new fact",
+            vars: ["user_identity", "user_name", "existing", "fact", "entities"],
+            text: `
+                {{user_identity}}
+
+                EXISTING MEMORIES:
+                {{existing}}
+
+                NEW CANDIDATE FACT: "{{fact}}"
+                CURRENT ENTITIES: "{{entities}}"
+
+                TASK:
+                1. DUPLICATE CHECK: Is this event (or its semantic equivalent) already logged?
+                   - Example: "Hate kale" == "Detests leafy greens" -> DUPLICATE.
+                   - If DUPLICATE, list the (#id) of the matching memories in "duplicate_of".
+                2. ENTITY RESOLUTION: Replace generic names with specific ones (e.g. "Mom" -> "Liliani").
+                3. CLEANUP (CRITICAL): Remove "{{user_name}} stated/mentioned/said" prefixes. Just state the absolute fact.
+                   - BAD: "{{user_name}} stated that Casey is tall."
+                   - GOOD: "Casey is tall."
+                4. TAG HYGIENE: Remove "{{user_name}}" from entities UNLESS the fact is about {{user_name}}.
+                   - Fact: "Casey is tall" -> Remove "{{user_name}}" from tags.
+                   - Fact: "{{user_name}} kissed Casey" -> Keep "{{user_name}}" in tags.
+                5. TRANSIENCE CHECK (CRITICAL):
+                   - If the fact describes a TEMPORARY feeling/mood (afraid, angry, sad, nervous) about a specific moment, APPEND this note: "(Note: This is a momentary reaction to this specific event)".
+                   - BAD: "{{user_name}} is afraid of the price."
+                   - GOOD: "{{user_name}} is afraid of the price (Note: This is a momentary reaction to this specific event)."
+                6. SUPERSESSION (CRITICAL):
+                   - If the NEW fact CONTRADICTS or UPDATES an existing memory, status is "UPDATE".
+                   - Example: "Jemi is a nurse" + NEW "Jemi quit nursing and teaches now" -> UPDATE.
+                   - List the (#id) of every memory that is NO LONGER TRUE in "supersedes". Never list memories that remain true.
+
+                Return JSON:
+                {
+                  "status": "DUPLICATE" or "NEW" or "UPDATE",
+                  "better_fact": "The refined fact (clean, no '{{user_name}} said')",
+                  "better_entities": "The updated comma-separated list",
+                  "supersedes": ["id of outdated memory"],
+                  "duplicate_of": ["id of the same memory"]
+                }
+            `
+        },
+
+        // --- SESSION ---
+        {
+            id: "session_summary",
+            version: 1,
+            description: "Rolling summary: fold turns that left the recent window into the conversation summary",
+            vars: ["user_identity", "summary", "turns", "max_words"],
+            text: `
+                {{user_identity}}
+
+                CONVERSATION SUMMARY SO FAR:
+                {{summary}}
+
+                OLDER TURNS TO FOLD IN:
+                {{turns}}
+
+                TASK: Rewrite the summary so it also covers the older turns.
+                - Keep what still matters for the conversation: topics, open questions, plans, how the user feels.
+                - Drop small talk and anything superseded by a later turn.
+                - Write in the third person, past tense, under {{max_words}} words.
+                - Never invent details that are not in the summary or the turns.
+
+                Return JSON: { "summary": "The updated summary" }
+            `
+        }
+    ];
+
+    // --- 1. TEXT HELPERS ---
+    // Templates are indented like the code around them; the model doesn't need that
+    function dedent(text) {
+        const lines = String(text).replace(/^\n/, "").replace(/\n\s*$/, "").split("\n");
+        const indents = lines.filter(l => l.trim()).map(l => l.match(/^ */)[0].length);
+        const cut = indents.length > 0 ? Math.min(...indents) : 0;
+        return lines.map(l => l.slice(cut)).join("\n");
+    }
+
+    function templateVars(text) {
+        const found = [];
+        for (const m of String(text).matchAll(VAR_PATTERN)) {
+            if (!found.includes(m[1])) found.push(m[1]);
+        }
+        return found;
+    }
+
+    // Every declared variable must be given ("" is fine), so a renamed one can't slip through empty
+    function fill(template, vars = {}) {
+        template.vars.forEach(name => {
+            if (vars[name] === undefined) throw new Error(`Prompt ${template.id}: missing variable ${name}`);
+        });
+        return template.text.replace(VAR_PATTERN, (whole, name) => template.vars.includes(name) ? String(vars[name] ?? "") : whole);
+    }
+
+    // Short, stable fingerprint for an override's text (djb2)
+    function hashText(text) {
+        let h = 5381;
+        for (let i = 0; i < text.length; i++) h = ((h << 5) + h + text.charCodeAt(i)) >>> 0;
+        return h.toString(36);
+    }
+
+    // --- 2. REGISTRY ---
+    // createPromptRegistry(templates, storage, shared)
+    // - storage: anything with getItem/setItem (localStorage) to keep overrides, or null
+    // - shared(): variables every render gets unless the caller passes its own (the user profile)
+    // - render(id, vars) -> the filled prompt text
+    // - version(id) -> "timekeeper@1", or "timekeeper@1-local.k2f9a1" while overridden
+    // - versionTag(ids) -> "analysis@1+timekeeper@1" (what gets stored as prompt_version)
+    function createPromptRegistry(templates = TEMPLATES, storage = null, shared = () => ({})) {
+        const builtins = new Map(templates.map(t => [t.id, { ...t, text: dedent(t.text) }]));
+        let overrides = {};
+
+        const problemWith = (id, text) => {
+            const template = builtins.get(id);
+            if (!template) return `unknown prompt ${id}`;
+            if (typeof text !== "string" || !text.trim()) return `prompt ${id} is empty`;
+            const undeclared = templateVars(text).filter(v => !template.vars.includes(v));
+            if (undeclared.length > 0) return `prompt ${id} uses undeclared variable(s) ${undeclared.join(", ")} (declared: ${template.vars.join(", ") || "none"})`;
+            return null;
+        };
+
+        if (storage) {
+            try { overrides = JSON.parse(storage.getItem(PROMPT_OVERRIDES_KEY) || "{}") || {}; } catch (e) { overrides = {}; }
+            // Overrides saved against an older template can stop fitting it
+            Object.keys(overrides).forEach(id => {
+                const problem = problemWith(id, overrides[id]);
+                if (problem) {
+                    console.warn(`📝 Ignoring prompt override: ${problem}`);
+                    delete overrides[id];
+                }
+            });
+        }
+        const persist = () => { if (storage) storage.setItem(PROMPT_OVERRIDES_KEY, JSON.stringify(overrides)); };
+
+        function get(id) {
+            const template = builtins.get(id);
+            if (!template) throw new Error(`Unknown prompt: ${id}`);
+            const text = overrides[id];
+            if (text === undefined) return { ...template, overridden: false, tag: `${id}@${template.version}` };
+            return { ...template, text: text, overridden: true, tag: `${id}@${template.version}-local.${hashText(text)}` };
+        }
+
+        const render = (id, vars = {}) => fill(get(id), { ...shared(), ...vars });
+        const version = (id) => get(id).tag;
+        const versionTag = (ids) => ids.map(version).join("+");
+        const list = () => [...builtins.keys()].map(get);
+
+        function setOverride(id, text) {
+            const problem = problemWith(id, text);
+            if (problem) throw new Error(problem);
+            if (dedent(text) === builtins.get(id).text) {
+                // Same words as the built-in: nothing to override
+                delete overrides[id];
+            } else {
+                overrides[id] = dedent(text);
+            }
+            persist();
+            return get(id);
+        }
+
+        // No id -> every override goes
+        function clearOverride(id) {
+            if (id === undefined) overrides = {};
+            else delete overrides[id];
+            persist();
+        }
+
+        return { get, render, version, versionTag, list, setOverride, clearOverride };
+    }
+
+    const SymbiosisPrompts = { TEMPLATES, PROMPT_OVERRIDES_KEY, createPromptRegistry, dedent, templateVars, fill };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = SymbiosisPrompts;
+    else root.SymbiosisPrompts = SymbiosisPrompts;
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,281 @@
+// ============================================
+// LLM PROVIDERS (providers.js) - PLUGGABLE CHAT COMPLETIONS
+// One interface for every chat-completions endpoint. Providers:
+//   "openrouter" -> OpenRouter (symbiosis_api_key)
+//   "openai"     -> Any OpenAI-compatible base URL (llama.cpp, Ollama, LM Studio, vLLM...)
+//   "mock"       -> Canned replies, no network (offline demos)
+// ============================================
+
+const PROVIDER_CONFIG_KEY = "symbiosis_llm_provider";
+
+// capabilities:
+// - json_mode: accepts response_format { type: "json_object" }
+// - reasoning_toggle: accepts the OpenRouter/xAI flags that switch reasoning off (speed)
+// - streaming: can answer with Server-Sent Events
+// - usage_accounting: reports the cost of each call next to the token counts (usage.js)
+const PROVIDER_TYPES = {
+    openrouter: {
+        label: "OpenRouter",
+        base_url: "https://openrouter.ai/api/v1",
+        key_required: true,
+        default_model: "x-ai/grok-4.1-fast",
+        models: ["x-ai/grok-4.1-fast", "openai/gpt-4.1-mini", "anthropic/claude-haiku-4.5", "google/gemini-2.5-flash"],
+        capabilities: { json_mode: true, reasoning_toggle: true, streaming: true, usage_accounting: true }
+    },
+    openai: {
+        label: "OpenAI-compatible",
+        // Ollama's default. llama.cpp's server is http://localhost:8080/v1
+        base_url: "http://localhost:11434/v1",
+        key_required: false,
+        default_model: "",
+        models: [],
+        // Not every local server honours response_format, so it stays off unless asked for
+        capabilities: { json_mode: false, reasoning_toggle: false, streaming: true, usage_accounting: false }
+    },
+    mock: {
+        label: "Mock",
+        base_url: "",
+        key_required: false,
+        default_model: "mock-organism",
+        models: ["mock-organism"],
+        capabilities: { json_mode: true, reasoning_toggle: false, streaming: false, usage_accounting: false }
+    }
+};
+
+// --- 1. AUTH ---
+// Returns null when the key is fine, otherwise what is wrong with it
+function validateProviderKey(type, key) {
+    const spec = PROVIDER_TYPES[type];
+    if (!spec) return `UNKNOWN PROVIDER ${String(type).toUpperCase()}`;
+    const k = String(key || "").trim();
+    if (!k) return spec.key_required ? "KEY REQUIRED" : null;
+    if (type === "openrouter" && (k.length < 10 || !k.startsWith("sk-"))) return "INVALID KEY FORMAT";
+    if (/\s/.test(k)) return "INVALID KEY FORMAT";
+    return null;
+}
+
+// --- 2. MOCK REPLIES ---
+// One JSON object that passes every stage's validator, so the whole turn runs offline.
+// respond(messages) can be swapped in for scripted replies.
+function defaultMockReply(messages) {
+    const prompt = String((messages[messages.length - 1] || {}).content || "");
+    const heard = (prompt.match(/(?:INPUT|REQUEST|ASKED|User said|User):\s*"([^"]*)"/i) || [])[1] || "";
+    return {
+        response: heard ? `MOCK ORGANISM HEARD: ${heard}` : "MOCK ORGANISM ONLINE.",
+        mood: "NEUTRAL",
+        roots: [],
+        search_keywords: [],
+        entries: [],
+        resolved_pending: [],
+        valid: true,
+        is_redundant: false,
+        is_duplicate: false,
+        matches: [],
+        status: "NEW",
+        intent: "CHAT",
+        summary: "MOCK SUMMARY OF EARLIER TURNS."
+    };
+}
+
+function mockResponse(content, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status: status,
+        body: null,
+        json: async () => ({ choices: [{ message: { role: "assistant", content: content } }] })
+    };
+}
+
+// --- 3. PROVIDER ---
+// createProvider({ type, base_url, model, api_key, capabilities, respond })
+// -> { type, label, model, base_url, capabilities, models, request, listModels }
+// request(messages, { model, api_key, signal, stream }) resolves with a fetch Response
+// (or something shaped like one) for the chat-completions call.
+function createProvider(config = {}) {
+    const spec = PROVIDER_TYPES[config.type] || PROVIDER_TYPES.openrouter;
+    const type = PROVIDER_TYPES[config.type] ? config.type : "openrouter";
+    const baseUrl = String(config.base_url || spec.base_url).replace(/\/+$/, "");
+    const capabilities = { ...spec.capabilities, ...(config.capabilities || {}) };
+    const model = config.model || spec.default_model;
+
+    function buildBody(messages, opts) {
+        const body = {
+            "model": opts.model || model,
+            "messages": messages,
+            "stream": !!opts.stream
+        };
+        if (capabilities.json_mode) body.response_format = { type: "json_object" };
+        if (capabilities.reasoning_toggle) {
+            // 1. OpenRouter standard flag to hide/skip reasoning
+            body.include_reasoning = false;
+            // 2. Specific xAI/Grok parameter (if passed through)
+            body.reasoning = { "enabled": false };
+        }
+        // OpenRouter: add the call's cost to "usage" (also in the last chunk of a stream)
+        if (capabilities.usage_accounting) body.usage = { include: true };
+        return body;
+    }
+
+    function headers(apiKey) {
+        const h = { "Content-Type": "application/json" };
+        if (apiKey) h["Authorization"] = `Bearer ${apiKey}`;
+        if (type === "openrouter") {
+            h["HTTP-Referer"] = window.location.href;
+            h["X-Title"] = "Symbiosis";
+        }
+        return h;
+    }
+
+    async function request(messages, opts = {}) {
+        if (type === "mock") {
+            if (opts.signal && opts.signal.aborted) throw new Error("Aborted");
+            const reply = await (config.respond || defaultMockReply)(messages, opts);
+            return mockResponse(typeof reply === "string" ? reply : JSON.stringify(reply));
+        }
+        return fetch(`${baseUrl}/chat/completions`, {
+            method: "POST",
+            headers: headers(opts.api_key || config.api_key),
+            body: JSON.stringify(buildBody(messages, opts)),
+            signal: opts.signal
+        });
+    }
+
+    // The curated list plus whatever the endpoint reports (GET /models)
+    async function listModels() {
+        if (type === "mock") return spec.models.slice();
+        try {
+            const res = await fetch(`${baseUrl}/models`, { headers: headers(config.api_key) });
+            if (!res.ok) throw new Error(`API Error ${res.status}`);
+            const data = await res.json();
+            const remote = (data.data || data.models || []).map(m => m.id || m.name).filter(Boolean);
+            return [...new Set([...spec.models, ...remote])];
+        } catch (e) {
+            console.warn(`🔌 ${spec.label}: could not list models`, e.message);
+            return spec.models.slice();
+        }
+    }
+
+    return {
+        type: type,
+        label: spec.label,
+        model: model,
+        base_url: baseUrl,
+        capabilities: capabilities,
+        models: spec.models.slice(),
+        request: request,
+        listModels: listModels
+    };
+}
+
+// --- 4. CONFIG / ACTIVE PROVIDER ---
+// symbiosis_llm_provider: JSON { type, base_url, model, api_key, capabilities }
+// Older installs only have symbiosis_api_key, which means OpenRouter.
+// The OpenRouter key stays in symbiosis_api_key either way.
+let activeProvider = null;
+let activeProviderKey = null;
+
+window.getLLMProviderConfig = function() {
+    let config = null;
+    try { config = JSON.parse(window.profileStorage.getItem(PROVIDER_CONFIG_KEY) || "null"); } catch (e) {}
+    if (!config || !PROVIDER_TYPES[config.type]) config = { type: "openrouter" };
+    if (config.type === "openrouter") config.api_key = window.profileStorage.getItem("symbiosis_api_key") || "";
+    return config;
+};
+
+window.setLLMProviderConfig = function(config) {
+    const { api_key, ...rest } = config;
+    if (config.type === "openrouter") {
+        if (api_key) window.profileStorage.setItem("symbiosis_api_key", api_key);
+        window.profileStorage.setItem(PROVIDER_CONFIG_KEY, JSON.stringify(rest));
+    } else {
+        window.profileStorage.setItem(PROVIDER_CONFIG_KEY, JSON.stringify(config));
+    }
+    activeProviderKey = null;
+};
+
+window.clearLLMProviderConfig = function() {
+    window.profileStorage.removeItem(PROVIDER_CONFIG_KEY);
+    window.profileStorage.removeItem("symbiosis_api_key");
+    activeProviderKey = null;
+};
+
+// Ready to talk: providers that need a key have one
+window.hasLLMProvider = function() {
+    const config = window.getLLMProviderConfig();
+    return !PROVIDER_TYPES[config.type].key_required || !!config.api_key;
+};
+
+window.getLLMProvider = function() {
+    const config = window.getLLMProviderConfig();
+    const key = JSON.stringify(config);
+    if (key === activeProviderKey) return activeProvider;
+    activeProviderKey = key;
+    activeProvider = createProvider(config);
+    return activeProvider;
+};
+
+// Setup input: "sk-..." (OpenRouter), "mock", or "<base url> [model] [key]"
+window.parseProviderSetup = function(text) {
+    const parts = String(text || "").trim().split(/\s+/);
+    if (/^mock$/i.test(parts[0])) return { type: "mock" };
+    if (/^https?:\/\//i.test(parts[0])) {
+        return { type: "openai", base_url: parts[0], model: parts[1] || "", api_key: parts[2] || "" };
+    }
+    return { type: "openrouter", api_key: parts[0] || "" };
+};
+
+// --- 5. MODEL ROUTING ---
+// Every cognitive call carries a stage label ("Timekeeper", "Generation"...). The provider
+// config can route a label to its own chain: routes: { "Timekeeper": ["cheap-model", "fallback"] }.
+// The first model is tried first, retries walk down the chain. Unrouted labels use the active model.
+const STAGE_GROUPS = {
+    // Short yes/no or pick-one answers and background bookkeeping: a cheap fast model is enough
+    classify: ["DirectorAI", "DirectorFilter", "DirectorDedup", "DirectorAmbiguity", "Timekeeper", "RedundancyCheck", "DedupRefine", "SessionSummary"],
+    // Extraction and anything the user reads
+    generate: ["Hybrid Analysis", "Interceptor", "Generation", "CorrectionGeneration", "DirectorContextChat"]
+};
+const STAGE_LABELS = [...STAGE_GROUPS.classify, ...STAGE_GROUPS.generate];
+
+window.resolveModelRoute = function(label, defaultModel) {
+    const routes = window.getLLMProviderConfig().routes || {};
+    const chain = [...(routes[label] || []), defaultModel].filter(Boolean);
+    return [...new Set(chain)];
+};
+
+// target: a stage label or a group name ("classify" / "generate"), any case.
+// An empty model list removes the route. Returns the labels that changed.
+window.setModelRoute = function(target, models) {
+    const key = String(target).trim().toLowerCase();
+    const labels = STAGE_GROUPS[key] || STAGE_LABELS.filter(l => l.toLowerCase() === key);
+    if (labels.length === 0) throw new Error(`UNKNOWN STAGE ${String(target).toUpperCase()}`);
+
+    const config = window.getLLMProviderConfig();
+    const routes = { ...(config.routes || {}) };
+    labels.forEach(l => {
+        if (models.length > 0) routes[l] = models.slice();
+        else delete routes[l];
+    });
+    window.setLLMProviderConfig({ ...config, routes: routes });
+    return labels;
+};
+
+// One row per stage, for console.table
+window.describeModelRoutes = function() {
+    const llm = window.getLLMProvider();
+    return STAGE_LABELS.map(label => {
+        const chain = window.resolveModelRoute(label, llm.model);
+        return {
+            stage: label,
+            group: STAGE_GROUPS.classify.includes(label) ? "classify" : "generate",
+            model: chain[0] || "(none)",
+            fallbacks: chain.slice(1).join(" → ")
+        };
+    });
+};
+
+window.LLMProviders = {
+    TYPES: PROVIDER_TYPES,
+    STAGE_GROUPS: STAGE_GROUPS,
+    create: createProvider,
+    validateKey: validateProviderKey
+};
@@ -0,0 +1,59 @@
+// ============================================
+// FIXTURE RECORDER (record-fixtures.js)
+// Runs the test scenarios (test/scenarios.js) once against a live source and
+// writes every LLM and backend exchange to test/fixtures/<scenario>.json,
+// which the tests (node --test) then replay offline.
+//
+// USAGE:
+//   node record-fixtures.js [scenario...]     -> scripted replies + the reference engine
+//   node record-fixtures.js --live [scenario...] --url <backend url>
+//       -> OpenRouter (SYMBIOSIS_API_KEY) and a real backend. Use a throwaway
+//          sheet or reference-server.js: the scenarios seed it with their facts.
+//   --verbose prints the pipeline's own console output
+// The fixtures in the repo come from the first form (source "scripted"):
+// hand-written replies, not a live model.
+// ============================================
+
+const Harness = require("./test/harness.js");
+const SCENARIOS = require("./test/scenarios.js");
+
+function readArg(name, fallback) {
+    const idx = process.argv.indexOf(`--${name}`);
+    return (idx !== -1 && process.argv[idx + 1]) ? process.argv[idx + 1] : fallback;
+}
+
+const LIVE = process.argv.includes("--live");
+const VERBOSE = process.argv.includes("--verbose");
+const API_KEY = process.env.SYMBIOSIS_API_KEY || "";
+const BACKEND_URL = readArg("url", process.env.SYMBIOSIS_APPS_SCRIPT_URL || "");
+
+// Scenario names: every argument that is neither a flag nor a flag's value
+const names = process.argv.slice(2).filter((arg, i, all) => !arg.startsWith("--") && all[i - 1] !== "--url");
+
+async function main() {
+    if (LIVE && (!API_KEY || !BACKEND_URL)) {
+        console.error("💀 --live needs SYMBIOSIS_API_KEY and --url (or SYMBIOSIS_APPS_SCRIPT_URL)");
+        process.exit(1);
+    }
+    const unknown = names.filter(n => !SCENARIOS.some(s => s.name === n));
+    if (unknown.length > 0) {
+        console.error(`💀 Unknown scenario(s): ${unknown.join(", ")}`);
+        process.exit(1);
+    }
+
+    const chosen = names.length > 0 ? SCENARIOS.filter(s => names.includes(s.name)) : SCENARIOS;
+    for (const scenario of chosen) {
+        const source = LIVE
+            ? Harness.liveSource({ apiKey: API_KEY, url: BACKEND_URL, memory: scenario.memory })
+            : Harness.scriptedSource(scenario);
+        const { harness, reply } = await Harness.runScenario(scenario, { mode: "record", source, console: VERBOSE ? console : undefined });
+        const file = harness.save();
+        console.log(`🎞️ ${scenario.name}: ${harness.llmCalls().length} LLM + ${harness.exchanges.length - harness.llmCalls().length} backend -> ${file}`);
+        console.log(`   ➤ "${reply.message.response}"`);
+    }
+}
+
+main().catch(e => {
+    console.error("💀 Recording Failed", e);
+    process.exit(1);
+});
@@ -0,0 +1,113 @@
+// ============================================
+// LOCAL REFERENCE SERVER (reference-server.js)
+// Speaks the same action protocol as the Google Apps Script backend,
+// so memory.js can run without a private sheet.
+//
+// USAGE:
+//   node reference-server.js [--port 8787] [--data ./symbiosis-memory.json]
+// Then enter http://localhost:8787 as the "GOOGLE SCRIPT URL" in the app
+// (or set localStorage "symbiosis_apps_script_url" directly).
+// ============================================
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const MemoryEngine = require("./memory-engine.js");
+
+function readArg(name, fallback) {
+    const idx = process.argv.indexOf(`--${name}`);
+    return (idx !== -1 && process.argv[idx + 1]) ? process.argv[idx + 1] : fallback;
+}
+
+const PORT = Number(readArg("port", process.env.SYMBIOSIS_PORT || 8787));
+const DATA_FILE = path.resolve(readArg("data", process.env.SYMBIOSIS_DATA || "symbiosis-memory.json"));
+
+// --- 1. FILE STORAGE ---
+function loadState(file) {
+    const state = MemoryEngine.emptyState();
+    if (!fs.existsSync(file)) return state;
+    try {
+        const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+        MemoryEngine.TABLES.forEach(t => { if (Array.isArray(saved[t])) state[t] = saved[t]; });
+    } catch (e) {
+        console.error(`⚠️ Could not parse ${file}. Starting empty.`, e.message);
+    }
+    return state;
+}
+
+// Writes are chained so two requests never interleave on disk.
+// Write to a temp file first, then rename, so a crash never leaves half a JSON file.
+function createFilePersist(file, state) {
+    let chain = Promise.resolve();
+    return () => {
+        chain = chain.then(() => {
+            const tmp = `${file}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+            fs.renameSync(tmp, file);
+        }).catch(e => console.error("💀 Persist Failed", e));
+        return chain;
+    };
+}
+
+// --- 2. HTTP LAYER ---
+// The client posts "text/plain" (no CORS preflight), same as for Apps Script.
+function sendJson(res, status, payload) {
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Headers": "Content-Type",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS"
+    });
+    res.end(JSON.stringify(payload));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = "";
+        req.on("data", chunk => { data += chunk; });
+        req.on("end", () => resolve(data));
+        req.on("error", reject);
+    });
+}
+
+function createServer(engine) {
+    return http.createServer(async (req, res) => {
+        if (req.method === "OPTIONS") return sendJson(res, 204, {});
+
+        if (req.method === "GET") {
+            return sendJson(res, 200, { status: "ok", actions: engine.actions });
+        }
+
+        if (req.method !== "POST") return sendJson(res, 405, { status: "error", message: "POST only" });
+
+        let body;
+        try {
+            body = JSON.parse(await readBody(req) || "{}");
+        } catch (e) {
+            return sendJson(res, 400, { status: "error", message: "Body must be JSON" });
+        }
+
+        const { action, ...payload } = body;
+        try {
+            const result = await engine.handle(action, payload);
+            console.log(`📨 ${action}`);
+            sendJson(res, 200, result);
+        } catch (e) {
+            console.error(`⚠️ ${action} Failed`, e);
+            sendJson(res, 500, { status: "error", message: e.message });
+        }
+    });
+}
+
+// --- 3. BOOT ---
+if (require.main === module) {
+    const state = loadState(DATA_FILE);
+    const engine = MemoryEngine.createMemoryEngine(state, createFilePersist(DATA_FILE, state));
+
+    createServer(engine).listen(PORT, () => {
+        console.log(`🧠 Symbiosis reference server on http://localhost:${PORT}`);
+        console.log(`🗄️ Data file: ${DATA_FILE} (${state.facts.length} facts)`);
+    });
+}
+
+module.exports = { createServer, loadState, createFilePersist };
@@ -0,0 +1,189 @@
+// ============================================
+// RELATION GRAPH (relations.js) - WHO IS CONNECTED TO WHOM
+// Persistent entity -> entity edges, grown from stored facts:
+//   { id, from, to, type, evidence: [{ fact_id, text, at }], first_seen, last_seen }
+// An edge reads "<from> is <to>'s <type>" ("Mom is Arvin's parent").
+// Pure functions over a plain array, usable in the browser and in Node.
+// ============================================
+
+(function(root) {
+
+    // symmetric: order of from/to doesn't matter. inverse: the role seen from the other side.
+    const RELATION_TYPES = {
+        sibling: { symmetric: true },
+        friend: { symmetric: true },
+        coworker: { symmetric: true },
+        dated: { symmetric: true },
+        partner: { symmetric: true },
+        knows: { symmetric: true },
+        parent: { inverse: "child" },
+        manager: { inverse: "report" },
+        home: { inverse: "resident" },
+        employer: { inverse: "employee" },
+        group: { inverse: "member" }
+    };
+    // Inverse names are stored flipped onto their primary type
+    const INVERSES = Object.fromEntries(Object.entries(RELATION_TYPES)
+        .filter(([, t]) => t.inverse)
+        .map(([name, t]) => [t.inverse, name]));
+
+    // Everyday words -> relation type (also used to read "friends of Jemi")
+    const TYPE_WORDS = {
+        brother: "sibling", sister: "sibling", siblings: "sibling", sibling: "sibling",
+        friend: "friend", bestie: "friend", buddy: "friend", pal: "friend",
+        coworker: "coworker", colleague: "coworker", teammate: "coworker",
+        boyfriend: "dated", girlfriend: "dated", ex: "dated", date: "dated", dated: "dated", crush: "dated",
+        partner: "partner", wife: "partner", husband: "partner", spouse: "partner", fiance: "partner", fiancee: "partner",
+        mom: "parent", mother: "parent", dad: "parent", father: "parent", parent: "parent",
+        son: "child", daughter: "child", kid: "child", child: "child", children: "child",
+        boss: "manager", manager: "manager", report: "report", employee: "employee", employer: "employer",
+        home: "home", resident: "resident", group: "group", member: "member", knows: "knows"
+    };
+    // Words that ask for relations in "friends of Jemi". The ones with an everyday meaning
+    // in "X of Y" ("the date of the party", "a group of us", "home of the brave") don't.
+    const QUERY_WORDS = Object.keys(TYPE_WORDS)
+        .filter(w => !["date", "dated", "home", "resident", "group", "member", "report", "employee", "employer", "knows"].includes(w));
+    const OF_QUERY = new RegExp(`\\b(${QUERY_WORDS.join("|")})s? of ([\\w.-]+(?: [\\w.-]+){0,3})`, "i");
+    const MAX_EVIDENCE = 5;
+
+    // "girlfriends" -> "dated", "lives_in" -> null
+    function normalizeType(word) {
+        const w = String(word || "").toLowerCase().trim().replace(/\s+/g, "_");
+        if (RELATION_TYPES[w] || INVERSES[w]) return w;
+        return TYPE_WORDS[w] || TYPE_WORDS[w.replace(/(ren|s)$/, "")] || null;
+    }
+
+    // "friends of Jemi" / "Jemi's coworkers" / "who is Cody's girlfriend" -> { name, type }
+    // name may run on ("Jemi from work"): callers resolve its longest known prefix.
+    function parseRelationQuery(text) {
+        const s = String(text || "");
+        let m = s.match(OF_QUERY);
+        if (m) return { name: m[2].trim(), type: normalizeType(m[1]) };
+        m = s.match(/\b([A-Z][\w.-]*(?: [A-Z][\w.-]*)*)['’]s ([a-z]+)\b/);
+        if (m && normalizeType(m[2])) return { name: m[1].trim(), type: normalizeType(m[2]) };
+        return null;
+    }
+
+    function makeRelationId() {
+        return `rel_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // createRelationStore(rows)
+    // - rows: the relation table (mutated in place, so the host can persist it as-is)
+    function createRelationStore(rows) {
+
+        // One canonical shape per fact: inverse types flipped, symmetric pairs sorted
+        function canonical(from, to, type) {
+            let t = normalizeType(type);
+            if (!t) return null;
+            if (INVERSES[t]) { [from, to] = [to, from]; t = INVERSES[t]; }
+            if (RELATION_TYPES[t].symmetric && from > to) [from, to] = [to, from];
+            return { from, to, type: t };
+        }
+
+        const find = (c) => rows.find(r => r.from === c.from && r.to === c.to && r.type === c.type) || null;
+
+        // Upsert an edge; repeated mentions add evidence instead of duplicating it
+        function add(from, to, type, evidence = {}) {
+            if (!from || !to || from === to) return null;
+            const c = canonical(from, to, type);
+            if (!c) return null;
+
+            const now = evidence.at || new Date().toISOString();
+            let row = find(c);
+            if (!row) {
+                row = { id: makeRelationId(), ...c, evidence: [], first_seen: now, last_seen: now };
+                rows.push(row);
+            }
+            if (now > row.last_seen) row.last_seen = now;
+            if (now < row.first_seen) row.first_seen = now;
+            if (evidence.fact_id || evidence.text) {
+                row.evidence = row.evidence
+                    .filter(e => !evidence.fact_id || e.fact_id !== evidence.fact_id)
+                    .concat({ fact_id: evidence.fact_id || null, text: evidence.text || "", at: now })
+                    .slice(-MAX_EVIDENCE);
+            }
+            return row;
+        }
+
+        function remove(id) {
+            const idx = rows.findIndex(r => r.id === id);
+            if (idx === -1) return false;
+            rows.splice(idx, 1);
+            return true;
+        }
+
+        // Edges of one entity, each seen from its side: { id: other, role, relation }
+        // Role answers "other is <entity>'s <role>"
+        function neighbors(entityId, types) {
+            const wanted = types && types.length > 0 ? new Set(types.map(normalizeType)) : null;
+            const out = [];
+            rows.forEach(r => {
+                let other, role;
+                if (r.to === entityId) { other = r.from; role = r.type; }
+                else if (r.from === entityId) { other = r.to; role = RELATION_TYPES[r.type].symmetric ? r.type : RELATION_TYPES[r.type].inverse; }
+                else return;
+                if (!wanted || wanted.has(role)) out.push({ id: other, role: role, relation: r });
+            });
+            return out;
+        }
+
+        // Breadth-first walk: depth 2 + ["friend"] = friends and friends of friends
+        function walk(entityId, { types, depth = 1 } = {}) {
+            const seen = new Set([entityId]);
+            const found = [];
+            let frontier = [{ id: entityId, via: null }];
+            for (let d = 1; d <= depth; d++) {
+                const next = [];
+                frontier.forEach(node => neighbors(node.id, types).forEach(n => {
+                    if (seen.has(n.id)) return;
+                    seen.add(n.id);
+                    const hit = { id: n.id, role: n.role, depth: d, via: node.id === entityId ? null : node.id, relation_id: n.relation.id };
+                    found.push(hit);
+                    next.push(hit);
+                }));
+                frontier = next;
+            }
+            return found;
+        }
+
+        // After an entity merge: repoint edges, drop self-loops and collapse duplicates
+        function reassign(fromId, toId) {
+            rows.filter(r => r.from === fromId || r.to === fromId).forEach(r => {
+                remove(r.id);
+                const from = r.from === fromId ? toId : r.from;
+                const to = r.to === fromId ? toId : r.to;
+                const merged = add(from, to, r.type, { at: r.first_seen });
+                if (merged) {
+                    merged.evidence = merged.evidence.concat(r.evidence).slice(-MAX_EVIDENCE);
+                    if (r.last_seen > merged.last_seen) merged.last_seen = r.last_seen;
+                }
+            });
+        }
+
+        // A deleted fact no longer backs anything. Edges left with no evidence go too.
+        // -> how many edges changed (lost evidence or were removed)
+        function dropEvidence(factId) {
+            let changed = 0;
+            rows.slice().forEach(r => {
+                const before = r.evidence.length;
+                r.evidence = r.evidence.filter(e => e.fact_id !== factId);
+                if (r.evidence.length === before) return;
+                changed++;
+                if (r.evidence.length === 0) remove(r.id);
+            });
+            return changed;
+        }
+
+        return {
+            list: () => rows.slice(),
+            add, remove, neighbors, walk, reassign, dropEvidence
+        };
+    }
+
+    const SymbiosisRelations = { RELATION_TYPES, normalizeType, parseRelationQuery, createRelationStore };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = SymbiosisRelations;
+    else root.SymbiosisRelations = SymbiosisRelations;
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,132 @@
+// ============================================
+// RETRIEVAL MODULE (retrieval.js) - RANKED LEXICAL SEARCH
+// BM25 over fact text + entities + topics, boosted by salience
+// (importance that fades with time unless the memory is mentioned or retrieved again).
+// Shared by memory-engine.js (local backends) and backend.js (Apps Script re-rank).
+// ============================================
+
+(function(root) {
+
+    const BM25_K1 = 1.2;
+    const BM25_B = 0.75;
+    const DEFAULT_TOP_K = 8;
+    // Anything scoring below this fraction of the best hit is a "ghost" and gets dropped
+    const MIN_RELATIVE_SCORE = 0.2;
+
+    // Salience half-life: 14 days for trivia (1), doubling every 2 importance points (~6 months at 9).
+    // Each reinforcement stretches it by 50%, up to 6 times.
+    const BASE_HALF_LIFE_DAYS = 14;
+    const REINFORCEMENT_STRETCH = 0.5;
+    const MAX_REINFORCEMENTS = 6;
+    // Life-defining memories never fade below this share of their importance
+    const SALIENCE_FLOORS = [[9, 0.8], [7, 0.3]];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const STOP_WORDS = new Set([
+        "a", "an", "and", "are", "as", "at", "be", "but", "by", "did", "do", "does", "for", "from",
+        "had", "has", "have", "he", "her", "him", "his", "i", "in", "is", "it", "its", "me", "my",
+        "no", "not", "of", "on", "or", "she", "so", "that", "the", "their", "them", "they", "this",
+        "to", "was", "we", "were", "what", "when", "where", "who", "why", "how", "with", "yes", "you",
+        "your", "about", "dont", "know", "tell"
+    ]);
+
+    // Lowercase, split on non-alphanumerics, drop stop words, fold simple plurals ("trips" -> "trip")
+    function tokenize(text) {
+        return String(text || "")
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(t => t.length > 1 && !STOP_WORDS.has(t))
+            .map(t => (t.length > 3 && t.endsWith("s") && !t.endsWith("ss")) ? t.slice(0, -1) : t);
+    }
+
+    // Entities are repeated so a name match outweighs a passing mention in the fact text
+    function documentText(row) {
+        return `${row.fact || ""} ${row.entities || ""} ${row.entities || ""} ${row.topics || ""}`;
+    }
+
+    // salience(row) -> 0..10: importance decayed since the memory was last stored, mentioned or retrieved
+    function salience(row, now = Date.now()) {
+        const imp = Math.min(10, Math.max(1, Number(row.importance) || 5));
+        const last = Date.parse(row.last_reinforced || row.timestamp);
+        if (isNaN(last)) return imp;
+
+        const ageDays = Math.max(0, (now - last) / DAY_MS);
+        const reinforcements = Math.min(MAX_REINFORCEMENTS, Number(row.reinforcements) || 0);
+        const halfLife = BASE_HALF_LIFE_DAYS * Math.pow(2, (imp - 1) / 2) * (1 + REINFORCEMENT_STRETCH * reinforcements);
+        const floor = (SALIENCE_FLOORS.find(([min]) => imp >= min) || [0, 0])[1];
+        return imp * Math.max(floor, Math.pow(0.5, ageDays / halfLife));
+    }
+
+    function salienceBoost(value) {
+        const s = Math.min(10, Math.max(0, Number(value)));
+        return 1 + ((isNaN(s) ? 5 : s) - 5) * 0.08;
+    }
+
+    // rankDocuments(docs, queryTerms, options)
+    // - docs: [{ text, salience, ref }]
+    // - returns [{ ref, score }] sorted best-first, trimmed to topK, ghosts removed
+    function rankDocuments(docs, queryTerms, options = {}) {
+        const topK = options.topK || DEFAULT_TOP_K;
+        const terms = [...new Set(queryTerms.flatMap(tokenize))];
+        if (terms.length === 0 || docs.length === 0) return [];
+
+        const tokenized = docs.map(d => tokenize(d.text));
+        const avgLen = tokenized.reduce((sum, t) => sum + t.length, 0) / tokenized.length || 1;
+
+        const docFreq = {};
+        tokenized.forEach(tokens => {
+            new Set(tokens).forEach(t => { docFreq[t] = (docFreq[t] || 0) + 1; });
+        });
+
+        const N = docs.length;
+        const scored = docs.map((doc, i) => {
+            const tokens = tokenized[i];
+            const tf = {};
+            tokens.forEach(t => { tf[t] = (tf[t] || 0) + 1; });
+
+            let score = 0;
+            terms.forEach(term => {
+                if (!tf[term]) return;
+                const n = docFreq[term];
+                const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+                const norm = tf[term] * (BM25_K1 + 1) /
+                    (tf[term] + BM25_K1 * (1 - BM25_B + BM25_B * tokens.length / avgLen));
+                score += idf * norm;
+            });
+
+            return { ref: doc.ref, score: score * salienceBoost(doc.salience) };
+        }).filter(s => s.score > 0);
+
+        scored.sort((a, b) => b.score - a.score);
+        if (scored.length === 0) return [];
+
+        const floor = scored[0].score * (options.minRelativeScore ?? MIN_RELATIVE_SCORE);
+        return scored.filter(s => s.score >= floor).slice(0, topK);
+    }
+
+    // Rank stored fact rows ({ fact, entities, topics, importance, timestamp, last_reinforced, reinforcements })
+    function rankFacts(rows, queryTerms, options = {}) {
+        const now = options.now || Date.now();
+        const docs = rows.map(row => ({ text: documentText(row), salience: salience(row, now), ref: row }));
+        return rankDocuments(docs, queryTerms, options);
+    }
+
+    // Rank pre-formatted memory strings (Apps Script "relevant_memories").
+    // The sheet keeps no reinforcement data, so these decay from the [Date: ...] they were logged.
+    function rankMemoryStrings(memories, queryTerms, options = {}) {
+        const now = options.now || Date.now();
+        const docs = memories.map(m => {
+            const imp = String(m).match(/\[Importance:\s*(\d+)\]/i);
+            const date = String(m).match(/\[Date:\s*(\d{4}-\d{2}-\d{2})/i);
+            const row = { importance: imp ? Number(imp[1]) : 5, timestamp: date ? date[1] : null };
+            return { text: String(m), salience: salience(row, now), ref: m };
+        });
+        return rankDocuments(docs, queryTerms, options);
+    }
+
+    const SymbiosisRetrieval = { DEFAULT_TOP_K, tokenize, salience, rankDocuments, rankFacts, rankMemoryStrings };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = SymbiosisRetrieval;
+    else root.SymbiosisRetrieval = SymbiosisRetrieval;
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,262 @@
+// ============================================
+// SCHEMAS (schemas.js) - WHAT EVERY LLM STAGE MUST RETURN
+// One declared schema per stage label (the same labels as model routing).
+// repair() fixes near-misses for free (a keyword string instead of a list,
+// "joyful" instead of "JOYFUL", a missing array); validate() names every
+// field that is still wrong, so only real failures cost another API call.
+// Pure functions, usable in the browser and in Node.
+// ============================================
+
+(function(root) {
+
+    const MOODS = ["NEUTRAL", "AFFECTIONATE", "CRYPTIC", "DISLIKE", "JOYFUL", "CURIOUS", "SAD", "QUESTION"];
+
+    // --- 1. BUILDING BLOCKS ---
+    // A small JSON Schema subset: type, properties, required, items, enum, default,
+    // minLength, minimum, maximum, maxItems
+    const str = (extra = {}) => ({ type: "string", ...extra });
+    const text = { type: "string", minLength: 1 };
+    const bool = { type: "boolean" };
+    const list = (items, extra = {}) => ({ type: "array", items: items, ...extra });
+    const obj = (properties, required = [], extra = {}) => ({ type: "object", properties: properties, required: required, ...extra });
+    const mood = { type: "string", enum: MOODS, default: "NEUTRAL" };
+    const ids = list(str());
+
+    const leaf = obj({ text: text, mood: mood }, ["text"]);
+    const branch = obj({ label: text, mood: mood, leaves: list(leaf, { maxItems: 5 }) }, ["label"]);
+    const graphRoot = obj({ label: text, mood: mood, branches: list(branch, { maxItems: 5 }) }, ["label"]);
+
+    const memoryEntry = obj({
+        fact: text,
+        entities: str({ default: "" }),
+        topics: str({ default: "" }),
+        importance: { type: "integer", minimum: 1, maximum: 10, default: 5 },
+        entity_types: { type: "object", default: {} },
+        relations: list(obj({ from: text, type: text, to: text }, ["from", "type", "to"]))
+    }, ["fact"]);
+
+    // --- 2. STAGE SCHEMAS ---
+    // fallback: what the stage returns when every attempt failed (keeps the turn alive)
+    const STAGE_SCHEMAS = {
+        "DirectorAI": {
+            schema: obj({
+                intent: { type: "string", enum: ["STORE", "SEARCH", "CHAT"] },
+                facts: list(text),
+                entity_name: str({ default: "" }),
+                positive_constraints: list(text),
+                negative_constraints: list(text),
+                response: str({ default: "" })
+            }, ["intent"]),
+            fallback: { intent: "CHAT", facts: [], positive_constraints: [], negative_constraints: [], response: "..." }
+        },
+        "DirectorFilter": {
+            schema: obj({ matches: list(text), reasoning: str({ default: "" }) }, ["matches"]),
+            fallback: { matches: [], reasoning: "" }
+        },
+        "DirectorContextChat": {
+            schema: obj({ response: text, mood: mood }, ["response"]),
+            fallback: { mood: "NEUTRAL", response: "..." }
+        },
+        "DirectorDedup": {
+            schema: obj({
+                is_duplicate: bool,
+                is_contradiction: { type: "boolean", default: false },
+                contradicted_ids: ids,
+                warning_message: str({ default: "" })
+            }, ["is_duplicate"]),
+            fallback: { is_duplicate: false, is_contradiction: false, contradicted_ids: [], warning_message: "" }
+        },
+        "DirectorAmbiguity": {
+            schema: obj({
+                status: { type: "string", enum: ["RESOLVED", "AMBIGUOUS"] },
+                clarification_question: str({ default: "" }),
+                resolved_names: list(text),
+                resolved_excludes: list(text)
+            }, ["status"]),
+            fallback: { status: "RESOLVED", clarification_question: "", resolved_names: [], resolved_excludes: [] }
+        },
+        "Hybrid Analysis": {
+            schema: obj({
+                search_keywords: list(text),
+                resolved_pending: ids,
+                unknown_pending: ids,
+                entries: list(memoryEntry)
+            }, ["search_keywords"]),
+            fallback: { search_keywords: [], resolved_pending: [], unknown_pending: [], entries: [] }
+        },
+        "Timekeeper": {
+            schema: obj({ valid: bool, rewritten_fact: str({ default: "" }), date_expression: str({ default: "" }) }, ["valid"]),
+            // Can't tell -> hold the fact back and ask when it happened
+            fallback: { valid: false, rewritten_fact: "", date_expression: "" }
+        },
+        "Interceptor": {
+            schema: obj({ response: text }, ["response"]),
+            fallback: { response: "When did this happen?" }
+        },
+        "Generation": {
+            schema: obj({ response: text, mood: mood, roots: list(graphRoot, { maxItems: 3 }) }, ["response", "mood"]),
+            fallback: { mood: "NEUTRAL", response: "...", roots: [] }
+        },
+        "RedundancyCheck": {
+            schema: obj({ is_redundant: bool }, ["is_redundant"]),
+            fallback: { is_redundant: false }
+        },
+        "CorrectionGeneration": {
+            schema: obj({ response: text, mood: mood }, ["response"]),
+            fallback: { mood: "NEUTRAL", response: "..." }
+        },
+        "DedupRefine": {
+            schema: obj({
+                status: { type: "string", enum: ["DUPLICATE", "NEW", "UPDATE"] },
+                better_fact: str({ default: "" }),
+                better_entities: str({ default: "" }),
+                supersedes: ids,
+                duplicate_of: ids
+            }, ["status"]),
+            // Unchecked: store it as it is
+            fallback: { status: "NEW", better_fact: "", better_entities: "", supersedes: [], duplicate_of: [] }
+        },
+        "SessionSummary": {
+            schema: obj({ summary: text }, ["summary"]),
+            // Empty -> the old summary is kept
+            fallback: { summary: "" }
+        }
+    };
+
+    // --- 3. REPAIR ---
+    const typeOf = (v) => v === null ? "null" : Array.isArray(v) ? "array" : typeof v;
+    const clone = (v) => v === undefined ? v : JSON.parse(JSON.stringify(v));
+
+    // Returns the repaired value; every change is described in notes[].
+    // Optional fields that are simply absent get their default quietly.
+    function repair(schema, value, notes = [], path = "", required = false) {
+        const at = path || "(root)";
+        if (value === undefined || value === null) {
+            const filled = schema.default !== undefined ? clone(schema.default) : schema.type === "array" ? [] : value;
+            if (required && filled !== value) notes.push(`${at}: missing, used ${JSON.stringify(filled)}`);
+            return filled;
+        }
+
+        switch (schema.type) {
+            case "array": {
+                let arr = value;
+                if (typeof value === "string") {
+                    arr = value.split(",").map(s => s.trim()).filter(Boolean);
+                    notes.push(`${at}: split string into list`);
+                } else if (!Array.isArray(value)) {
+                    arr = [value];
+                    notes.push(`${at}: wrapped single value in a list`);
+                }
+                if (schema.maxItems !== undefined && arr.length > schema.maxItems) {
+                    notes.push(`${at}: cut ${arr.length} items to ${schema.maxItems}`);
+                    arr = arr.slice(0, schema.maxItems);
+                }
+                return schema.items ? arr.map((item, i) => repair(schema.items, item, notes, `${path}[${i}]`)) : arr;
+            }
+            case "object": {
+                if (typeOf(value) !== "object" || !schema.properties) return value;
+                const out = { ...value };
+                Object.keys(schema.properties).forEach(key => {
+                    const required = (schema.required || []).includes(key);
+                    const next = repair(schema.properties[key], out[key], notes, path ? `${path}.${key}` : key, required);
+                    if (next !== undefined) out[key] = next;
+                });
+                return out;
+            }
+            case "string": {
+                let s = value;
+                if (Array.isArray(value)) {
+                    s = value.join(", ");
+                    notes.push(`${at}: joined list into string`);
+                } else if (typeof value === "number" || typeof value === "boolean") {
+                    s = String(value);
+                }
+                if (schema.enum && typeof s === "string" && !schema.enum.includes(s)) {
+                    const match = schema.enum.find(e => e.toLowerCase() === s.trim().toLowerCase());
+                    if (match) {
+                        notes.push(`${at}: "${s}" -> "${match}"`);
+                        s = match;
+                    } else if (schema.default !== undefined) {
+                        notes.push(`${at}: unknown "${s}", used default "${schema.default}"`);
+                        s = schema.default;
+                    }
+                }
+                return s;
+            }
+            case "number":
+            case "integer": {
+                let n = value;
+                if (typeof value === "string" && value.trim() !== "" && !isNaN(Number(value))) {
+                    n = Number(value);
+                    notes.push(`${at}: parsed number from "${value}"`);
+                }
+                if (typeof n !== "number") return n;
+                if (schema.type === "integer" && !Number.isInteger(n)) n = Math.round(n);
+                if (schema.minimum !== undefined && n < schema.minimum) { notes.push(`${at}: raised ${n} to ${schema.minimum}`); n = schema.minimum; }
+                if (schema.maximum !== undefined && n > schema.maximum) { notes.push(`${at}: lowered ${n} to ${schema.maximum}`); n = schema.maximum; }
+                return n;
+            }
+            case "boolean": {
+                if (typeof value === "string" && /^(true|false|yes|no)$/i.test(value.trim())) {
+                    notes.push(`${at}: parsed boolean from "${value}"`);
+                    return /^(true|yes)$/i.test(value.trim());
+                }
+                return value;
+            }
+            default:
+                return value;
+        }
+    }
+
+    // --- 4. VALIDATION ---
+    // -> ["entries[0].importance: expected integer, got string", ...] (empty = valid)
+    function validate(schema, value, path = "") {
+        const at = path || "(root)";
+        const errors = [];
+        const actual = typeOf(value);
+
+        const typeOk = schema.type === "integer" ? Number.isInteger(value)
+            : schema.type === "number" ? (typeof value === "number" && isFinite(value))
+            : !schema.type || actual === schema.type;
+        if (!typeOk) return [`${at}: expected ${schema.type}, got ${actual}`];
+
+        if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: "${value}" is not one of ${schema.enum.join(", ")}`);
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: is empty`);
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: ${value} is below ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: ${value} is above ${schema.maximum}`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+
+        if (schema.type === "array" && schema.items) {
+            value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+        }
+        if (schema.type === "object" && schema.properties) {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined || value[key] === null) errors.push(`${path ? `${path}.` : ""}${key}: required`);
+            });
+            Object.keys(schema.properties).forEach(key => {
+                if (value[key] !== undefined && value[key] !== null) {
+                    errors.push(...validate(schema.properties[key], value[key], path ? `${path}.${key}` : key));
+                }
+            });
+        }
+        return errors;
+    }
+
+    // check(label, parsed) -> { value, errors, repairs }
+    // Labels without a schema pass through untouched.
+    function check(label, parsed) {
+        const stage = STAGE_SCHEMAS[label];
+        if (!stage) return { value: parsed, errors: [], repairs: [] };
+        const repairs = [];
+        const value = repair(stage.schema, parsed, repairs);
+        return { value: value, errors: validate(stage.schema, value), repairs: repairs };
+    }
+
+    const fallback = (label) => clone((STAGE_SCHEMAS[label] || {}).fallback);
+
+    const SymbiosisSchemas = { MOODS, STAGE_SCHEMAS, repair, validate, check, fallback };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = SymbiosisSchemas;
+    else root.SymbiosisSchemas = SymbiosisSchemas;
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,83 @@
+// ============================================
+// BACKEND TESTS (test/backend.test.js) - THE APPS SCRIPT ADAPTER
+// backend.js in the harness sandbox, talking to the reference engine
+// (the same action protocol as the sheet) instead of a live deployment.
+// Run: node --test
+// ============================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness, scriptedSource, plain } = require("./harness.js");
+
+// An Apps Script backend in front of the reference engine, seeded with `operations`.
+// without: actions this "deployment" answers like an older sheet would
+function sheet(operations = [], without = []) {
+    const source = scriptedSource({ memory: { operations: operations } });
+    const engine = source.backend;
+    const answer = async (request) => without.includes(request.action)
+        ? { status: "error", message: `Unknown action: ${request.action}` }
+        : (await engine({ request: request })).body;
+    source.backend = async ({ request }) => ({
+        status: 200,
+        body: request.action === "batch"
+            ? { status: "success", results: await Promise.all(request.operations.map(answer)) }
+            : await answer(request)
+    });
+    const harness = createHarness("backend", { mode: "record", source: source });
+    return { harness, backend: harness.window.getMemoryBackend() };
+}
+
+const SAM_BERLIN = { action: "store_atomic", fact: "Sam lives in Berlin", entities: "Sam, Berlin", topics: "Home", importance: 7 };
+
+test("listing, editing and deleting facts reach a sheet that has them", async () => {
+    const { harness, backend } = sheet([SAM_BERLIN]);
+
+    const listed = plain(await backend.listFacts());
+    assert.deepEqual(listed.facts.map(f => f.fact), ["Sam lives in Berlin"]);
+    const id = listed.facts[0].id;
+
+    assert.equal((await backend.updateFact({ id: id, importance: 9 })).status, "success");
+    assert.equal((await backend.deleteFact({ id: id })).status, "success");
+    assert.deepEqual(harness.exchanges.map(x => x.action), ["list_facts", "update_fact", "delete_fact"]);
+    assert.ok(backend.supports("list_facts"));
+});
+
+test("an action the sheet doesn't know comes back as its own error and is remembered", async () => {
+    const { backend } = sheet([SAM_BERLIN], ["list_facts", "fading_facts"]);
+
+    const res = plain(await backend.listFacts());
+    assert.deepEqual(res, { status: "error", message: "Unknown action: list_facts" });
+    assert.equal(backend.supports("list_facts"), false);
+    // Other actions are unaffected
+    assert.ok(backend.supports("update_fact"));
+});
+
+test("one policy for every action the sheet lacks, batched or not", async () => {
+    const { backend } = sheet([SAM_BERLIN], ["fading_facts", "reinforce_facts", "fact_history"]);
+
+    const results = plain(await backend.batch([
+        { action: "fading_facts", limit: 3 },
+        { action: "retrieve", keywords: ["Berlin"], query: "Berlin" }
+    ]));
+    assert.equal(results[0].status, "error");
+    assert.equal(results[1].found, true);
+    await backend.factHistory({ id: "x" });
+
+    assert.deepEqual(plain(backend.unsupported), ["fading_facts", "fact_history"]);
+    // The turn's copies share what was learned
+    assert.equal(backend.withTrace(null).supports("fading_facts"), false);
+});
+
+test("import falls back to one store_atomic per fact when the sheet has no import_facts", async () => {
+    const { harness, backend } = sheet([], ["import_facts"]);
+
+    const res = await backend.importFacts({ facts: [
+        { fact: "Sam likes tea", entities: "Sam", topics: "Food", importance: 3 },
+        { fact: "Sam has a cat", entities: "Sam", topics: "Pets", importance: 5 }
+    ] });
+    assert.equal(res.imported, 2);
+    await backend.importFacts({ facts: [{ fact: "Sam runs", entities: "Sam", topics: "Sport", importance: 4 }] });
+    // Asked once, then straight to the fallback
+    assert.equal(harness.backendCalls("import_facts").length, 1);
+    assert.equal(harness.backendCalls("store_atomic").length, 3);
+});
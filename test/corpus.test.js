@@ -0,0 +1,93 @@
+// ============================================
+// CORPUS TESTS (test/corpus.test.js) - EXPORT / IMPORT
+// Round-trips through every format in corpus.js, and import validation.
+// Run: node --test
+// ============================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EXPORTERS, parse, detectFormat, prepareImport, normalizeRecord, factKey } = require("../corpus.js");
+
+const FACTS = [
+    { fact: "Sam lives in Berlin", entities: "Sam, Berlin", topics: "Home", importance: 7, timestamp: "2025-01-10T09:00:00.000Z" },
+    { fact: "Sam said \"hi\", then left", entities: "Sam", topics: "Chat, Quotes", importance: 3, timestamp: "2025-02-01T18:30:00.000Z" },
+    { fact: "Sam lived in Paris", entities: "Sam, Paris", topics: "Home", importance: 6, timestamp: "2024-03-01T00:00:00.000Z", valid_to: "2025-01-10T09:00:00.000Z", when: "2023-05..2024-12" },
+    { fact: "Jemi hiked the Alps", entities: "Jemi", topics: "Travel", importance: 5, timestamp: "2025-03-01T00:00:00.000Z", when: "2024-07" },
+    { fact: "Jemi once met a celebrity", entities: "", topics: "", importance: 4, timestamp: "2025-03-02T00:00:00.000Z", when: "unknown" }
+];
+
+// What survives a trip out and back in, compared field by field
+const imported = (text, format) => prepareImport(parse(text, format)).valid;
+const summary = (rec) => [rec.fact, rec.entities, rec.topics, rec.importance, rec.valid_to.slice(0, 10), JSON.stringify(rec.date), rec.date_unknown];
+
+// --- ROUND-TRIPS ---
+for (const format of Object.keys(EXPORTERS)) {
+    test(`${format} export imports back to the same facts`, () => {
+        const text = EXPORTERS[format](FACTS);
+        assert.equal(detectFormat(text), format);
+
+        const back = imported(text, format);
+        const byFact = (a, b) => a.fact.localeCompare(b.fact);
+        assert.deepEqual(back.sort(byFact).map(summary), FACTS.map(normalizeRecord).sort(byFact).map(summary));
+    });
+}
+
+test("json and csv keep the full timestamp, markdown keeps the day", () => {
+    assert.equal(imported(EXPORTERS.json(FACTS), "json")[0].timestamp, FACTS[0].timestamp);
+    assert.equal(imported(EXPORTERS.csv(FACTS), "csv")[0].timestamp, FACTS[0].timestamp);
+    const md = imported(EXPORTERS.md(FACTS), "md").find(r => r.fact === FACTS[0].fact);
+    assert.equal(md.timestamp, "2025-01-10");
+});
+
+test("a fact under several entities appears once per entity in markdown, once after import", () => {
+    const text = EXPORTERS.md(FACTS);
+    assert.equal(text.split("Sam lives in Berlin").length - 1, 2);
+    assert.ok(text.includes("## Unsorted"));
+    assert.equal(imported(text, "md").filter(r => r.fact === "Sam lives in Berlin").length, 1);
+});
+
+// --- FORMAT DETECTION ---
+test("the file extension wins, then the first character", () => {
+    assert.equal(detectFormat("fact,entities", "dump.JSON"), "json");
+    assert.equal(detectFormat("{}", "notes.markdown"), "md");
+    assert.equal(detectFormat("[{\"fact\": \"x\"}]"), "json");
+    assert.equal(detectFormat("# Dossier"), "md");
+    assert.equal(detectFormat("fact,importance\nx,3"), "csv");
+    assert.throws(() => parse("x", "xml"), /Unknown corpus format: xml/);
+});
+
+test("a bare JSON array and CRLF csv both parse", () => {
+    assert.deepEqual(parse("[{\"fact\": \"Sam runs\"}]").map(r => r.fact), ["Sam runs"]);
+    const rows = parse("Fact,Importance\r\n\"Sam, who runs\",4\r\n\r\n");
+    assert.deepEqual(rows, [{ fact: "Sam, who runs", importance: "4" }]);
+});
+
+// --- VALIDATION ---
+test("invalid records are reported with their problems, not imported", () => {
+    const res = prepareImport([
+        { fact: "", importance: 5 },
+        { fact: "Sam runs", importance: 11 },
+        { fact: "Sam swims", importance: 5, timestamp: "yesterday-ish" },
+        { fact: "Sam cycles", importance: 5, valid_to: "never" },
+        { fact: "Sam walks", importance: 5 }
+    ]);
+    assert.deepEqual(res.valid.map(r => r.fact), ["Sam walks"]);
+    assert.deepEqual(res.invalid.map(x => x.errors), [
+        ["fact is empty"],
+        ["importance must be 1-10 (got 11)"],
+        ["timestamp is not a date (got yesterday-ish)"],
+        ["valid_to is not a date (got never)"]
+    ]);
+});
+
+test("duplicates of stored facts or of each other are counted and skipped", () => {
+    assert.equal(factKey("Jemi is a nurse."), factKey("jemi is a  nurse"));
+    const res = prepareImport(
+        [{ fact: "Jemi is a nurse." }, { fact: "jemi is a  nurse" }, { fact: "Sam runs" }, { fact: "SAM RUNS!" }],
+        [{ fact: "Jemi is a nurse" }]
+    );
+    assert.deepEqual(res.valid.map(r => r.fact), ["Sam runs"]);
+    assert.equal(res.duplicates, 3);
+    // Missing importance defaults to 5
+    assert.equal(res.valid[0].importance, 5);
+});
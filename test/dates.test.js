@@ -0,0 +1,77 @@
+// ============================================
+// DATES TESTS (test/dates.test.js) - STRUCTURED TIME FOR MEMORIES
+// Date expressions in free text (dates.js), resolved against a fixed day.
+// Run: node --test
+// ============================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { findDateExpression, describeDate, normalizeDate, overlaps } = require("../dates.js");
+
+// Saturday, June 14 2025 (local noon, so no time zone moves the day)
+const REF = new Date(2025, 5, 14, 12);
+const find = (text) => findDateExpression(text, REF);
+const label = (text) => describeDate(find(text));
+
+// --- DATES THAT ARE THERE ---
+test("explicit days, with and without a year", () => {
+    assert.equal(label("We met on 2025-01-14"), "2025-01-14");
+    assert.equal(label("on 14 Jan 2024"), "2024-01-14");
+    assert.equal(label("the 3rd of March"), "2025-03-03");
+    assert.equal(label("March 2, 2023"), "2023-03-02");
+    assert.equal(label("on Sept 2"), "2024-09-02");
+});
+
+test("ranges, months, seasons and years", () => {
+    assert.equal(label("27-29 Jan"), "2025-01-27..2025-01-29");
+    assert.equal(label("Dec 20 to 24"), "2024-12-20..2024-12-24");
+    assert.equal(label("January 2025"), "2025-01");
+    assert.equal(label("last March"), "2025-03");
+    assert.equal(label("in December"), "2024-12");
+    assert.equal(label("summer 2024"), "2024-06-01..2024-08-31");
+    assert.equal(label("back in 2019"), "2019");
+    assert.equal(label("since 2021"), "2021");
+});
+
+test("dates relative to today", () => {
+    assert.equal(label("yesterday"), "2025-06-13");
+    assert.equal(label("3 days ago"), "2025-06-11");
+    assert.equal(label("two months ago"), "2025-04");
+    assert.equal(label("last Saturday"), "2025-06-07");
+    assert.equal(label("last week"), "2025-06-02..2025-06-08");
+    assert.equal(label("last summer"), "2024-06-01..2024-08-31");
+});
+
+test("a year on its own is a year (the Timekeeper's date_expression)", () => {
+    assert.equal(label("2019"), "2019");
+});
+
+// --- DATES THAT ARE NOT ---
+test("a number before a word that starts like a month is no date", () => {
+    assert.equal(find("I ran 2 marathons"), null);
+    assert.equal(find("I ate 3 mayonnaise sandwiches"), null);
+    assert.equal(find("Sam bought 2 decks of cards"), null);
+    assert.equal(find("Sam owns 4 octopus plushies"), null);
+});
+
+test("a bare 4-digit number in a sentence is no year", () => {
+    assert.equal(find("Sam scored 2000 points"), null);
+    assert.equal(find("The car cost 1999 dollars"), null);
+    assert.equal(find("Room 2010 was booked"), null);
+});
+
+// --- LABELS & RANGES ---
+test("describeDate and normalizeDate round-trip", () => {
+    ["2025-01-14", "2025-01", "2025", "2025-01-27..2025-01-29"].forEach(text => {
+        assert.equal(describeDate(normalizeDate(text)), text);
+    });
+    assert.equal(normalizeDate("next tuesday"), null);
+    assert.equal(normalizeDate({ start: "2025-01-01" }), null);
+});
+
+test("overlaps is inclusive on both ends", () => {
+    const jan = normalizeDate("2025-01");
+    assert.ok(overlaps(jan, normalizeDate("2025-01-31")));
+    assert.ok(!overlaps(jan, normalizeDate("2025-02-01")));
+    assert.ok(!overlaps(jan, null));
+});
@@ -0,0 +1,96 @@
+// ============================================
+// ENTITY REGISTRY TESTS (test/entities.test.js) - WHO IS WHO
+// Name resolution and aliasing in entities.js.
+// Run: node --test
+// ============================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createEntityRegistry, normalizeName, isShortFormOf } = require("../entities.js");
+
+// A registry with these entities: [name, type, aliases]
+function registry(entries) {
+    const reg = createEntityRegistry([]);
+    entries.forEach(([name, type, aliases]) => reg.ensure(name, { type: type, aliases: aliases }));
+    return reg;
+}
+
+const nameOf = (entity) => entity ? entity.name : null;
+
+// --- NORMALIZING ---
+test("names are compared without case, punctuation or extra spaces", () => {
+    assert.equal(normalizeName("  Cody   K. "), "cody k");
+    assert.equal(normalizeName("O'Brien, Pat"), "obrien pat");
+});
+
+test("a short form is the full name word by word, cut short", () => {
+    assert.ok(isShortFormOf("cody", "cody kim"));
+    assert.ok(isShortFormOf("cody k", "cody kim"));
+    assert.ok(isShortFormOf("j tan", "jemi tan"));
+    assert.ok(!isShortFormOf("jemi wong", "jemi tan"));
+    assert.ok(!isShortFormOf("cody kim", "cody kim"));
+    assert.ok(!isShortFormOf("cody kim", "cody"));
+    // Initials alone anchor nothing
+    assert.ok(!isShortFormOf("j t", "jemi tan"));
+});
+
+// --- RESOLUTION ---
+test("exact names and aliases resolve to their entity", () => {
+    const reg = registry([["Cody Kim", "person", ["my brother"]]]);
+    assert.equal(nameOf(reg.resolve("cody kim")), "Cody Kim");
+    assert.equal(nameOf(reg.resolve("My Brother")), "Cody Kim");
+});
+
+test("a first name, a last initial or a first initial resolve to the one person they fit", () => {
+    const reg = registry([["Cody Kim", "person"], ["Jemi Tan", "person"]]);
+    assert.equal(nameOf(reg.resolve("Cody")), "Cody Kim");
+    assert.equal(nameOf(reg.resolve("Cody K.")), "Cody Kim");
+    assert.equal(nameOf(reg.resolve("J. Tan")), "Jemi Tan");
+});
+
+test("two different full names that share a first word never resolve to each other", () => {
+    const reg = registry([["New York", "place"], ["The Office", "other"], ["Jemi Tan", "person"]]);
+    assert.equal(reg.resolve("New Zealand"), null);
+    assert.equal(reg.resolve("The Beatles"), null);
+    assert.equal(reg.resolve("Jemi Wong"), null);
+});
+
+test("short forms only resolve to people", () => {
+    const reg = registry([["New York", "place"]]);
+    assert.equal(reg.resolve("New"), null);
+    assert.equal(reg.resolve("New Y."), null);
+});
+
+test("a short form two people share stays ambiguous", () => {
+    const reg = registry([["Cody Kim", "person"], ["Cody Lee", "person"]]);
+    assert.equal(reg.resolve("Cody"), null);
+    assert.equal(nameOf(reg.resolve("Cody L.")), "Cody Lee");
+});
+
+// --- ENSURE ---
+test("ensure keeps a resolved short form as an alias", () => {
+    const reg = registry([["Cody Kim", "person"]]);
+    const res = reg.ensure("Cody K.");
+    assert.equal(res.created, false);
+    assert.deepEqual(res.entity.aliases, ["Cody K."]);
+});
+
+test("ensure registers a different full name as its own entity instead of aliasing it", () => {
+    const reg = registry([["New York", "place"], ["The Office", "other"], ["Jemi Tan", "person"]]);
+    ["New Zealand", "The Beatles", "Jemi Wong"].forEach(name => {
+        const res = reg.ensure(name);
+        assert.equal(res.created, true, name);
+        assert.equal(res.entity.name, name);
+    });
+    reg.list().forEach(e => assert.deepEqual(e.aliases, [], e.name));
+    assert.equal(reg.list().length, 6);
+});
+
+test("resolveList and findMentions use the same names", () => {
+    const reg = registry([["Cody Kim", "person", ["my brother"]], ["Tokyo", "place"]]);
+    const res = reg.resolveList("Cody, my brother, Tokyo, Nobody");
+    assert.deepEqual(res.names, ["Cody Kim", "Tokyo"]);
+    assert.deepEqual(res.unknown, ["Nobody"]);
+    assert.deepEqual(reg.findMentions("How is my brother doing in Tokyo?").map(e => e.name), ["Cody Kim", "Tokyo"]);
+    assert.deepEqual(reg.expandTerms("how is my brother?"), ["Cody Kim", "my brother"]);
+});
@@ -0,0 +1,315 @@
+// ============================================
+// RECORD / REPLAY HARNESS (test/harness.js) - THE PIPELINE, OFFLINE
+// Loads the app's scripts into a Node vm (index.html order, minus the UI)
+// with a frozen clock, seeded Math.random and an in-memory localStorage,
+// then answers every fetch from a fixture file:
+//   "replay" -> test/fixtures/<scenario>.json, no network at all
+//   "record" -> a live source (OpenRouter / Apps Script, or the scripted
+//               stand-ins below), written back to the fixture
+// LLM calls are keyed by model + messages and backend calls by their body,
+// so stages that run in parallel may ask in any order. A prompt that
+// changed is a miss: re-record with record-fixtures.js.
+// The fixtures checked in are "scripted": hand-written LLM replies from
+// scenarios.js against the reference engine, not recordings of a live model.
+// They pin down the pipeline's own behaviour, not what a model would answer.
+// ============================================
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const crypto = require("crypto");
+
+const ROOT = path.resolve(__dirname, "..");
+const FIXTURE_DIR = path.join(__dirname, "fixtures");
+const FIXTURE_FORMAT = "symbiosis-fixture";
+
+// Everything else in index.html is part of the pipeline
+const UI_SCRIPTS = ["audio.js", "visuals.js", "memory-panel.js", "main.js"];
+// The reference engine (same action protocol as the Apps Script backend)
+const ENGINE_SCRIPTS = ["retrieval.js", "dates.js", "corpus.js", "entities.js", "relations.js", "memory-engine.js"];
+
+// Part of every prompt and stored row, so they are fixed for recording and replay alike
+const NOW = "2025-06-14T15:00:00.000Z";
+const SEED = 20250614;
+const MODEL = "x-ai/grok-4.1-fast";
+const API_KEY = "sk-or-fixture-0000";
+const BACKEND_URL = "https://script.google.com/macros/s/FIXTURE/exec";
+const DEFAULT_PROFILE = { name: "Sam", pronouns: "they/them", locale: "en-US", time_zone: "UTC" };
+// A turn that is still busy after this long is a bug
+const SETTLE_LIMIT_MS = 15000;
+
+// --- 1. SANDBOX ---
+// mulberry32: the same "random" numbers on every run
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// new Date() and Date.now() always answer `now`; parsing and arithmetic are the real thing
+function frozenDate(now) {
+    const t = Date.parse(now);
+    return class FrozenDate extends Date {
+        constructor(...args) {
+            if (args.length === 0) super(t);
+            else super(...args);
+        }
+        static now() { return t; }
+    };
+}
+
+const silentConsole = { log() {}, info() {}, debug() {}, warn() {}, error() {}, group() {}, groupEnd() {}, table() {} };
+
+function createSandbox(files, { now = NOW, seed = SEED, console: out = silentConsole, globals = {} } = {}) {
+    const items = new Map();
+    const math = Object.create(Math);
+    math.random = seededRandom(seed);
+    const ctx = {
+        console: out,
+        Date: frozenDate(now),
+        Math: math,
+        setTimeout, clearTimeout, setInterval, clearInterval, queueMicrotask,
+        AbortController, TextEncoder, TextDecoder, URL, Blob, performance,
+        localStorage: {
+            getItem: (k) => items.has(k) ? items.get(k) : null,
+            setItem: (k, v) => { items.set(k, String(v)); },
+            removeItem: (k) => { items.delete(k); }
+        },
+        document: { getElementById: () => null, querySelector: () => null, querySelectorAll: () => [] },
+        location: { href: "http://localhost/" },
+        ...globals
+    };
+    ctx.window = ctx;
+    vm.createContext(ctx);
+    files.forEach(f => vm.runInContext(fs.readFileSync(path.join(ROOT, f), "utf8"), ctx, { filename: f }));
+    return ctx;
+}
+
+function pipelineScripts() {
+    const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+    return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(m => m[1]).filter(f => !UI_SCRIPTS.includes(f));
+}
+
+// Values out of the sandbox are plain Node objects again (deepStrictEqual compares prototypes)
+const plain = (value) => value === undefined ? value : JSON.parse(JSON.stringify(value));
+
+// --- 2. FIXTURES ---
+const sha1 = (text) => crypto.createHash("sha1").update(text).digest("hex");
+const fixturePath = (name) => path.join(FIXTURE_DIR, `${name}.json`);
+
+function loadFixture(name) {
+    const file = fixturePath(name);
+    if (!fs.existsSync(file)) throw new Error(`No fixture for "${name}". Record it: node record-fixtures.js ${name}`);
+    const fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (fixture.format !== FIXTURE_FORMAT) throw new Error(`${file} is not a ${FIXTURE_FORMAT} file`);
+    return fixture;
+}
+
+function jsonResponse(status, body) {
+    return {
+        ok: status >= 200 && status < 300,
+        status: status,
+        body: null,
+        json: async () => plain(body),
+        text: async () => JSON.stringify(body)
+    };
+}
+
+// --- 3. SOURCES (record mode) ---
+// A source answers what replay can't: { name, llm(exchange), backend(exchange) } -> { status, body }.
+// llm exchanges: { label, model, messages, url, init }, backend exchanges: { request, url, init }
+
+// Scripted stand-ins: replies[label] is an object, a list (one per call) or (prompt) => object.
+// The backend is the reference engine, seeded with memory: { operations, media }.
+function scriptedSource({ replies = {}, memory = {} }) {
+    const used = {};
+    const engine = (async () => {
+        const sandbox = createSandbox(ENGINE_SCRIPTS, { seed: SEED + 1 });
+        const state = sandbox.MemoryEngine.emptyState();
+        state.media = plain(memory.media || []);
+        const instance = sandbox.MemoryEngine.createMemoryEngine(state, async () => {});
+        for (const { action, ...payload } of memory.operations || []) await instance.handle(action, payload);
+        return instance;
+    })();
+
+    return {
+        name: "scripted",
+        note: "Hand-written LLM replies (test/scenarios.js) and the reference memory engine. Not a recording of a live model.",
+        async llm({ label, messages }) {
+            const script = replies[label];
+            if (script === undefined) throw new Error(`No scripted reply for ${label}`);
+            const prompt = messages.map(m => m.content).join("\n");
+            let reply = script;
+            if (Array.isArray(script)) {
+                used[label] = (used[label] || 0) + 1;
+                reply = script[Math.min(used[label], script.length) - 1];
+            }
+            if (typeof reply === "function") reply = reply(prompt);
+            return { status: 200, body: { choices: [{ message: { role: "assistant", content: JSON.stringify(reply) } }] } };
+        },
+        async backend({ request }) {
+            const { action, ...payload } = request;
+            return { status: 200, body: await (await engine).handle(action, payload) };
+        }
+    };
+}
+
+// The real thing. The backend is seeded through its own actions, so point it at a
+// throwaway sheet or reference-server.js (media can't be seeded that way).
+function liveSource({ apiKey, url, memory = {} }) {
+    const post = async (target, body) => {
+        const res = await fetch(target, { method: "POST", headers: { "Content-Type": "text/plain" }, body: JSON.stringify(body), redirect: "follow" });
+        return { status: res.status, body: await res.json() };
+    };
+    const seeded = (async () => {
+        for (const op of memory.operations || []) await post(url, op);
+    })();
+
+    return {
+        name: "live",
+        async llm({ url: target, init }) {
+            const res = await fetch(target, { ...init, headers: { ...init.headers, Authorization: `Bearer ${apiKey}` } });
+            return { status: res.status, body: await res.json() };
+        },
+        async backend({ request }) {
+            await seeded;
+            return post(url, request);
+        }
+    };
+}
+
+// --- 4. HARNESS ---
+// createHarness(name, { mode, source, profile, storage, console })
+// storage: localStorage entries of the active profile before the turn (pending facts...)
+function createHarness(name, { mode = "replay", source = null, profile = DEFAULT_PROFILE, storage = {}, console: out } = {}) {
+    if (mode === "record" && !source) throw new Error("Recording needs a source");
+    const fixture = mode === "replay" ? loadFixture(name) : null;
+    const taken = new Set();
+    const exchanges = [];
+    const misses = [];
+    let inflight = 0;
+
+    // Replay answers at once, so the pipeline's timers don't wait either: a miss runs through its
+    // retry backoff immediately. (Request timeouts fire early too; the replayed fetch ignores them.)
+    const globals = { fetch: (url, init) => answer(url, init) };
+    if (mode === "replay") globals.setTimeout = (fn, ms, ...args) => setTimeout(fn, 0, ...args);
+    const win = createSandbox(pipelineScripts(), { console: out, globals: globals });
+
+    // The stage behind an LLM request: the open call in the active trace with these messages
+    function stageOf(messages) {
+        const trace = win.Trace.current();
+        const prompt = JSON.stringify(messages);
+        const call = trace && trace.events.slice().reverse().find(e => e.type === "llm" && e.outcome === null && JSON.stringify(e.prompt) === prompt);
+        return call ? call.label : "(untraced)";
+    }
+
+    function describe(request) {
+        if (/\/chat\/completions$/.test(request.url)) {
+            const body = JSON.parse(request.init.body);
+            return { kind: "llm", key: sha1(JSON.stringify({ model: body.model, messages: body.messages })), label: stageOf(body.messages), model: body.model, messages: body.messages };
+        }
+        const body = String(request.init.body || "");
+        const parsed = JSON.parse(body || "{}");
+        return { kind: "backend", key: sha1(body), action: parsed.action, request: parsed };
+    }
+
+    // Same key twice (a retry, the same lookup in two stages) -> recorded answers in order
+    function replay(exchange) {
+        const i = fixture.exchanges.findIndex((x, j) => !taken.has(j) && x.key === exchange.key);
+        if (i === -1) {
+            misses.push({ kind: exchange.kind, stage: exchange.label || exchange.action, key: exchange.key });
+            throw new Error(`${name}: nothing recorded for ${exchange.kind} ${exchange.label || exchange.action} (${exchange.key.slice(0, 8)})`);
+        }
+        taken.add(i);
+        return fixture.exchanges[i];
+    }
+
+    async function answer(url, init = {}) {
+        const exchange = describe({ url, init });
+        exchanges.push(exchange);
+        inflight++;
+        try {
+            const res = mode === "replay"
+                ? replay(exchange)
+                : await (exchange.kind === "llm" ? source.llm({ ...exchange, url, init }) : source.backend({ ...exchange, url, init }));
+            exchange.status = res.status;
+            exchange.body = plain(res.body);
+            return jsonResponse(res.status, res.body);
+        } finally {
+            inflight--;
+        }
+    }
+
+    // Done when the trace is closed (background stages) and no unawaited write is still out
+    async function settle() {
+        const started = Date.now();
+        let quiet = 0;
+        while (quiet < 3) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            quiet = (inflight === 0 && !win.Trace.current()) ? quiet + 1 : 0;
+            if (Date.now() - started > SETTLE_LIMIT_MS) throw new Error(`${name}: the turn did not settle within ${SETTLE_LIMIT_MS}ms`);
+        }
+    }
+
+    win.UserProfile.save(profile);
+    win.setLLMProviderConfig({ type: "openrouter", api_key: API_KEY });
+    win.profileStorage.setItem("symbiosis_memory_backend", "apps_script");
+    win.profileStorage.setItem("symbiosis_apps_script_url", BACKEND_URL);
+    Object.entries(storage).forEach(([key, value]) => win.profileStorage.setItem(key, typeof value === "string" ? value : JSON.stringify(value)));
+
+    return {
+        name: name,
+        mode: mode,
+        window: win,
+        exchanges: exchanges,
+        misses: misses,
+
+        // mode: "standard" | "question" | "director". -> the reply, plus its parsed content as `message`
+        async chat(text, { mode: chatMode = "standard", history = [] } = {}) {
+            const reply = plain(await win.processMemoryChat(text, API_KEY, MODEL, history, chatMode === "question", chatMode === "director"));
+            await settle();
+            return { ...reply, message: JSON.parse(reply.choices[0].message.content) };
+        },
+
+        // LLM exchanges of this run, optionally of one stage
+        llmCalls: (label) => exchanges.filter(x => x.kind === "llm" && (!label || x.label === label)),
+
+        // Backend operations of this run with their responses, batches unpacked
+        backendCalls(action) {
+            const ops = [];
+            exchanges.filter(x => x.kind === "backend").forEach(x => {
+                const { action: a, ...payload } = x.request;
+                if (a !== "batch") return ops.push({ action: a, payload: payload, response: x.body });
+                payload.operations.forEach(({ action: opAction, ...opPayload }, i) => {
+                    ops.push({ action: opAction, payload: opPayload, response: x.body && x.body.results ? x.body.results[i] : undefined });
+                });
+            });
+            return action ? ops.filter(op => op.action === action) : ops;
+        },
+
+        save() {
+            if (mode !== "record") throw new Error("Only a recording can be saved");
+            const dump = { format: FIXTURE_FORMAT, scenario: name, source: source.name, note: source.note, now: NOW, seed: SEED, model: MODEL, exchanges: exchanges };
+            fs.mkdirSync(FIXTURE_DIR, { recursive: true });
+            fs.writeFileSync(fixturePath(name), `${JSON.stringify(dump, null, 2)}\n`);
+            return fixturePath(name);
+        }
+    };
+}
+
+// One scenario (scenarios.js) from setup to reply -> { harness, reply }
+async function runScenario(scenario, { mode = "replay", source = null, console: out } = {}) {
+    const harness = createHarness(scenario.name, { mode, source, profile: scenario.profile, storage: scenario.storage, console: out });
+    const reply = await harness.chat(scenario.turn.text, { mode: scenario.turn.mode, history: scenario.turn.history });
+    return { harness, reply };
+}
+
+module.exports = {
+    NOW, SEED, MODEL, BACKEND_URL, DEFAULT_PROFILE, FIXTURE_DIR,
+    createSandbox, createHarness, runScenario, scriptedSource, liveSource, loadFixture, plain
+};
@@ -0,0 +1,181 @@
+// ============================================
+// OUTBOX TESTS (test/outbox.test.js) - WRITE-AHEAD QUEUE
+// outbox.js in a sandbox with an in-memory IndexedDB, a clock the tests
+// move by hand and timers that are only written down.
+// Run: node --test
+// ============================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSandbox, NOW, plain } = require("./harness.js");
+const MemoryEngine = require("../memory-engine.js");
+
+// --- FAKES ---
+// Just enough of IndexedDB for outbox.js. getAll answers in reverse key order,
+// so only created_at and seq can put writes in order.
+function fakeIndexedDB({ broken = false } = {}) {
+    const rows = new Map();
+    const copy = (r) => structuredClone(r);
+    const store = {
+        put: (r) => { rows.set(r.key, copy(r)); return { result: r.key }; },
+        delete: (key) => { rows.delete(key); return { result: undefined }; },
+        getAll: () => ({ result: [...rows.keys()].sort().reverse().map(k => copy(rows.get(k))) })
+    };
+    const db = {
+        createObjectStore: () => store,
+        transaction: () => {
+            const tx = { objectStore: () => store };
+            setImmediate(() => tx.oncomplete());
+            return tx;
+        }
+    };
+    return {
+        rows,
+        open: () => {
+            const req = {};
+            setImmediate(() => {
+                if (broken) { req.error = new Error("IndexedDB is blocked"); return req.onerror(); }
+                req.result = db;
+                req.onupgradeneeded();
+                req.onsuccess();
+            });
+            return req;
+        }
+    };
+}
+
+// An outbox in front of send(operations), past its startup flush. Time only moves with advance(ms).
+async function outbox(send, options = {}) {
+    let t = Date.parse(NOW);
+    class ClockDate extends Date {
+        constructor(...args) { if (args.length === 0) super(t); else super(...args); }
+        static now() { return t; }
+    }
+    const db = fakeIndexedDB(options);
+    const timers = [], listeners = {}, changes = [];
+    const win = createSandbox(["outbox.js"], { globals: {
+        Date: ClockDate,
+        indexedDB: db,
+        profileNamespace: (name) => name,
+        addEventListener: (type, fn) => { listeners[type] = fn; },
+        setTimeout: (fn, ms) => timers.push(ms),
+        clearTimeout: () => {}
+    } });
+    const box = win.createOutbox(send, (c) => changes.push(plain(c)));
+    await box.flush();
+    return { box, db, timers, changes, advance: (ms) => { t += ms; }, online: () => listeners.online() };
+}
+
+// A send that records what it was given; fails while `offline` is set
+function recorder(answer = () => ({ status: "success" })) {
+    const sent = [];
+    const send = async (operations) => {
+        if (send.offline) throw new Error("Failed to fetch");
+        sent.push(plain(operations));
+        return operations.map(answer);
+    };
+    send.sent = sent;
+    return send;
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+const chat = (text) => ({ action: "log_chat", role: "user", text: text });
+
+// --- ORDER ---
+test("writes go out oldest first, each with its own idempotency key", async () => {
+    const send = recorder();
+    const { box, db } = await outbox(send);
+
+    const results = plain(await box.enqueueMany([chat("one"), chat("two"), { action: "store_atomic", fact: "Sam runs", idempotency_key: "ik_given" }]));
+    assert.equal(send.sent.length, 1);
+    assert.deepEqual(send.sent[0].map(op => op.text || op.fact), ["one", "two", "Sam runs"]);
+    assert.equal(send.sent[0][2].idempotency_key, "ik_given");
+    assert.equal(new Set(send.sent[0].map(op => op.idempotency_key)).size, 3);
+    assert.deepEqual(results, [{ status: "success" }, { status: "success" }, { status: "success" }]);
+    // Sent and answered: nothing left behind
+    assert.equal(db.rows.size, 0);
+});
+
+test("nothing overtakes a write that is waiting out its backoff", async () => {
+    const send = recorder();
+    const { box, advance, online } = await outbox(send);
+
+    send.offline = true;
+    const first = plain(await box.enqueue("log_chat", { role: "user", text: "first" }));
+    assert.equal(first.status, "queued");
+
+    send.offline = false;
+    advance(1000);
+    assert.equal(plain(await box.enqueue("log_chat", { role: "user", text: "second" })).status, "queued");
+    assert.equal(send.sent.length, 0);
+
+    // Back online: both go, in the order they were written, the first under its original key
+    await online();
+    await box.flush();
+    assert.deepEqual(send.sent.map(batch => batch.map(op => op.text)), [["first", "second"]]);
+    assert.equal(send.sent[0][0].idempotency_key, first.idempotency_key);
+});
+
+// --- RETRIES ---
+test("failed sends back off exponentially and give up after the last attempt", async () => {
+    const send = recorder();
+    send.offline = true;
+    const { box, timers, advance, changes } = await outbox(send);
+
+    await box.enqueue("log_chat", { role: "user", text: "hello" });
+    for (let i = 0; i < 7; i++) {
+        await settle();
+        advance(timers[timers.length - 1]);
+        await box.flush();
+    }
+    await settle();
+    assert.deepEqual(timers, [2000, 4000, 8000, 16000, 32000, 64000, 128000]);
+    assert.deepEqual(changes[changes.length - 1], { pending: 0, failed: 1 });
+});
+
+test("a write the backend refuses is failed until retryFailed sends it again, same key", async () => {
+    let refuse = true;
+    const send = recorder(() => refuse ? { status: "error", message: "Sheet is full" } : { status: "success" });
+    const { box, db } = await outbox(send);
+
+    const res = plain(await box.enqueue("store_atomic", { fact: "Sam runs" }));
+    assert.deepEqual(res, { status: "error", message: "Sheet is full" });
+    assert.deepEqual(plain(await box.counts()), { pending: 0, failed: 1 });
+    assert.equal([...db.rows.values()][0].last_error, "Sheet is full");
+
+    refuse = false;
+    await box.retryFailed();
+    assert.equal(send.sent.length, 2);
+    assert.equal(send.sent[1][0].idempotency_key, send.sent[0][0].idempotency_key);
+    assert.deepEqual(plain(await box.counts()), { pending: 0, failed: 0 });
+});
+
+// --- IDEMPOTENCY ---
+test("a write resent after its answer was lost is applied once by the backend", async () => {
+    const engine = MemoryEngine.createMemoryEngine(MemoryEngine.emptyState(), async () => {});
+    const answers = [];
+    const send = async (operations) => {
+        const res = await engine.handle("batch", { operations: operations });
+        answers.push(res.results[0]);
+        if (answers.length === 1) throw new Error("Network dropped the response");
+        return res.results;
+    };
+    const { box, online } = await outbox(send);
+
+    await box.enqueue("store_atomic", { fact: "Sam runs on Sundays", entities: "Sam", topics: "Sport", importance: 4 });
+    await online();
+    await box.flush();
+    assert.deepEqual(answers.map(a => a.replayed || false), [false, true]);
+
+    const listed = await engine.handle("list_facts", {});
+    assert.deepEqual(listed.facts.map(f => f.fact), ["Sam runs on Sundays"]);
+});
+
+test("without IndexedDB writes are sent straight away, still with keys", async () => {
+    const send = recorder();
+    const { box } = await outbox(send, { broken: true });
+
+    const results = plain(await box.enqueueMany([chat("one"), chat("two")]));
+    assert.deepEqual(results, [{ status: "success" }, { status: "success" }]);
+    assert.ok(send.sent[0].every(op => op.idempotency_key.startsWith("ik_")));
+});
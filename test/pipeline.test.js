@@ -0,0 +1,159 @@
+// ============================================
+// PIPELINE TESTS (test/pipeline.test.js) - processMemoryChat, OFFLINE
+// Every major branch of a turn, replayed from test/fixtures (harness.js).
+// The fixtures are hand-written scripted replies (scenarios.js), not live
+// model recordings: they check how the pipeline handles given answers.
+// Run: node --test
+// After a prompt or pipeline change, re-record: node record-fixtures.js
+// ============================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runScenario, plain } = require("./harness.js");
+const SCENARIOS = require("./scenarios.js");
+
+const scenario = (name) => SCENARIOS.find(s => s.name === name);
+
+// Replays one scenario and fails on anything the fixture doesn't cover
+async function replay(name) {
+    const run = await runScenario(scenario(name));
+    assert.deepEqual(run.harness.misses, [], `${name}: requests missing from the fixture (re-record it)`);
+    return run;
+}
+
+const stages = (harness) => harness.llmCalls().map(x => x.label);
+
+// --- DIRECTOR MODE ---
+test("director STORE saves new facts and supersedes the one it contradicts", async () => {
+    const { harness, reply } = await replay("director-store");
+
+    assert.equal(reply.message.response, "Records updated. The old versions are kept as history.");
+    assert.deepEqual(stages(harness), ["DirectorAI", "DirectorDedup", "DirectorDedup"]);
+
+    const archived = harness.backendCalls("retrieve_director_memory")[0].response.relevant_memories;
+    const blond = archived.find(m => m.Fact === "Cody has blond hair");
+    const stores = harness.backendCalls("store_director_fact").map(op => op.payload);
+    assert.deepEqual(stores.map(s => s.fact), ["Cody has black hair", "Cody does his own stunts"]);
+    assert.deepEqual(stores[0].supersedes, [blond.Id]);
+    assert.equal(stores[1].supersedes, undefined);
+    // Director mode logs the user's line before anything else
+    assert.equal(harness.backendCalls()[0].action, "log_chat");
+});
+
+test("director SEARCH resolves the names and plays the matching footage", async () => {
+    const { harness, reply } = await replay("director-search");
+
+    assert.equal(reply.directorAction, "PLAY_MEDIA");
+    assert.deepEqual(reply.files.map(f => f.name), ["cody_beach.mp4"]);
+    assert.deepEqual(reply.message, { response: "Rolling the beach footage.", mood: "CRYPTIC" });
+    assert.deepEqual(stages(harness), ["DirectorAI", "DirectorAmbiguity"]);
+
+    const search = harness.backendCalls("director_search")[0].payload;
+    assert.deepEqual(search.constraints, ["Cody", "beach"]);
+    assert.deepEqual(search.exclude_constraints, ["gym"]);
+});
+
+test("director CHAT drills down, filters and answers with decks", async () => {
+    const { harness, reply } = await replay("director-chat");
+
+    assert.equal(reply.directorAction, "SHOW_DECKS");
+    assert.deepEqual(reply.deckKeywords, ["Brent", "Colby"]);
+    assert.equal(reply.message.mood, "CRYPTIC");
+    assert.equal(reply.message.response, "Brent and Colby are both tall. Brent is the one with the beard.");
+    assert.deepEqual(stages(harness), ["DirectorAI", "DirectorFilter", "DirectorContextChat"]);
+
+    // Primary search, then the drill-down on the entities it found
+    const lookups = harness.backendCalls("retrieve_director_memory").map(op => op.payload.keywords);
+    assert.equal(lookups.length, 2);
+    assert.ok(lookups[1].includes("Brent") && lookups[1].includes("Colby"));
+    assert.equal(harness.backendCalls("store_director_fact").length, 0);
+});
+
+// --- STANDARD MODE ---
+test("Timekeeper holds back an undated event, the Interceptor asks when, dated facts are still deduped", async () => {
+    const { harness, reply } = await replay("timekeeper-intercept");
+
+    assert.deepEqual(reply.message, { response: "Ouch. When did that happen?", mood: "CURIOUS", roots: [] });
+    assert.deepEqual(stages(harness), ["Hybrid Analysis", "Timekeeper", "Interceptor", "DedupRefine"]);
+
+    const queued = plain(harness.window.PendingFacts.list());
+    assert.deepEqual(queued.map(p => p.fact), ["Sam broke their wrist skateboarding"]);
+    // The dated fact from the same message is checked like any other: said before, so reinforced
+    assert.equal(harness.backendCalls("store_atomic").length, 0);
+    assert.equal(harness.backendCalls("reinforce_facts").length, 1);
+    // The user's line is logged when the turn starts, whatever happens after
+    assert.deepEqual(harness.backendCalls("log_chat").map(op => op.payload.role), ["user"]);
+});
+
+test("a pending fact is merged with the answer that dates it", async () => {
+    const { harness, reply } = await replay("pending-merge");
+
+    assert.equal(reply.message.response, "A skatepark fall. How is the wrist healing?");
+    assert.deepEqual(stages(harness), ["Hybrid Analysis", "Timekeeper", "Generation"]);
+    assert.ok(harness.llmCalls("Hybrid Analysis")[0].messages[0].content.includes("PENDING UNRESOLVED MEMORIES"));
+    assert.deepEqual(plain(harness.window.PendingFacts.list()), []);
+
+    const stored = harness.backendCalls("store_atomic").map(op => op.payload);
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].fact, "Sam broke their wrist skateboarding at the skatepark");
+    assert.deepEqual(stored[0].date, { type: "exact", start: "2025-06-07", end: "2025-06-07", text: "last Saturday" });
+});
+
+test("dedup marks a contradicting fact as an update that supersedes the old one", async () => {
+    const { harness, reply } = await replay("dedup-contradiction");
+
+    assert.equal(reply.message.mood, "JOYFUL");
+    assert.deepEqual(stages(harness), ["Hybrid Analysis", "Timekeeper", "Generation", "DedupRefine"]);
+
+    const berlin = harness.backendCalls("retrieve")[0].response.ids[0];
+    const stored = harness.backendCalls("store_atomic").map(op => op.payload);
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].fact, "Sam lives in Lisbon");
+    assert.deepEqual(stored[0].supersedes, [berlin]);
+
+    // Dedup runs in the background, and the turn's trace stays open until it has stored
+    const trace = plain(harness.window.Trace.list()).pop();
+    const writes = trace.events.filter(e => e.type === "backend" && e.action === "batch").flatMap(e => e.payload.operations);
+    assert.ok(writes.some(op => op.action === "store_atomic" && op.fact === "Sam lives in Lisbon"));
+});
+
+test("a fact said twice in one message is stored once", async () => {
+    const { harness } = await replay("dedup-same-turn");
+
+    // The first entry had nothing to be checked against; the second was checked against the first
+    const checks = harness.llmCalls("DedupRefine");
+    assert.equal(checks.length, 1);
+    assert.ok(checks[0].messages[0].content.includes("Sam adopted a cat named Miso"));
+    assert.deepEqual(harness.backendCalls("store_atomic").map(op => op.payload.fact), ["Sam adopted a cat named Miso"]);
+});
+
+// --- QUESTION MODE ---
+test("question mode asks with the interrogation rules and stores nothing", async () => {
+    const { harness, reply } = await replay("question-mode");
+
+    assert.deepEqual(reply.message, { response: "What did you want to be when you were little?", mood: "QUESTION", roots: [] });
+    assert.deepEqual(stages(harness), ["Hybrid Analysis", "Generation"]);
+    assert.ok(harness.llmCalls("Generation")[0].messages[0].content.includes("MODE: INTERROGATION"));
+    assert.equal(harness.backendCalls("store_atomic").length, 0);
+});
+
+test("the sanity check rewrites a question memory already answers", async () => {
+    const { harness, reply } = await replay("sanity-correction");
+
+    assert.deepEqual(reply.message, { response: "What got you into biology in the first place?", mood: "CURIOUS" });
+    assert.deepEqual(stages(harness), ["Hybrid Analysis", "Generation", "RedundancyCheck", "CorrectionGeneration"]);
+
+    // The corrected question is the one logged as the reply
+    const logged = harness.backendCalls("log_chat").map(op => op.payload).find(p => p.role === "assistant");
+    assert.equal(logged.content, "What got you into biology in the first place?");
+});
+
+// --- HARNESS ---
+test("a replay that asks for something unrecorded reports the miss", async () => {
+    const changed = { ...scenario("question-mode"), name: "question-mode", turn: { mode: "question", text: "Ask me something else" } };
+    const { harness, reply } = await runScenario(changed);
+
+    assert.ok(harness.misses.some(m => m.kind === "llm" && m.stage === "Hybrid Analysis"));
+    // The stage's fallback keeps the turn alive
+    assert.equal(typeof reply.message.response, "string");
+});
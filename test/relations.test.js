@@ -0,0 +1,60 @@
+// ============================================
+// RELATION GRAPH TESTS (test/relations.test.js) - WHO IS CONNECTED TO WHOM
+// Edges in relations.js, and how the reference engine keeps them in step with facts.
+// Run: node --test
+// ============================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRelationStore, parseRelationQuery } = require("../relations.js");
+const MemoryEngine = require("../memory-engine.js");
+
+// --- QUERIES ---
+test("relation words ask for relations, both as \"X of Y\" and possessive", () => {
+    assert.deepEqual(parseRelationQuery("who are the friends of Jemi from work?"), { name: "Jemi from work", type: "friend" });
+    assert.deepEqual(parseRelationQuery("the children of Ana"), { name: "Ana", type: "child" });
+    assert.deepEqual(parseRelationQuery("any sisters of Mia"), { name: "Mia", type: "sibling" });
+    assert.deepEqual(parseRelationQuery("who is Cody's girlfriend"), { name: "Cody", type: "dated" });
+});
+
+test("\"X of Y\" with an everyday word is no relation query", () => {
+    assert.equal(parseRelationQuery("what was the date of the party"), null);
+    assert.equal(parseRelationQuery("a group of us went hiking"), null);
+    assert.equal(parseRelationQuery("the home of the brave"), null);
+    assert.equal(parseRelationQuery("he was employee of the month"), null);
+    assert.equal(parseRelationQuery("the report of the meeting"), null);
+    assert.equal(parseRelationQuery("the end of the day"), null);
+});
+
+// --- EVIDENCE ---
+test("dropping a fact's evidence counts every edge it touched", () => {
+    const rows = [];
+    const graph = createRelationStore(rows);
+    graph.add("ent_cody", "ent_sam", "brother", { fact_id: "f1", text: "Cody is Sam's brother" });
+    graph.add("ent_cody", "ent_sam", "brother", { fact_id: "f2", text: "Sam's brother Cody surfs" });
+
+    // Still backed by f2: kept, with one piece of evidence less
+    assert.equal(graph.dropEvidence("f1"), 1);
+    assert.deepEqual(rows[0].evidence.map(e => e.fact_id), ["f2"]);
+    assert.equal(graph.dropEvidence("f2"), 1);
+    assert.equal(rows.length, 0);
+    assert.equal(graph.dropEvidence("f3"), 0);
+});
+
+test("deleting a fact saves the relations whenever their evidence changed", async () => {
+    const saved = [];
+    const state = MemoryEngine.emptyState();
+    const engine = MemoryEngine.createMemoryEngine(state, async (table) => { saved.push(table); });
+    const store = (fact) => engine.handle("store_atomic", {
+        fact: fact, entities: "Cody, Sam", topics: "Family", importance: 6,
+        relations: [{ from: "Cody", type: "brother", to: "Sam" }]
+    });
+    const first = await store("Cody is Sam's brother");
+    await store("Sam's brother Cody surfs");
+
+    saved.length = 0;
+    await engine.handle("delete_fact", { id: first.id });
+    assert.deepEqual(saved, ["facts", "relations"]);
+    assert.equal(state.relations.length, 1);
+    assert.equal(state.relations[0].evidence.length, 1);
+});
@@ -0,0 +1,108 @@
+// ============================================
+// RETRIEVAL TESTS (test/retrieval.test.js) - RANKED LEXICAL SEARCH
+// BM25 ranking and salience decay in retrieval.js.
+// Run: node --test
+// ============================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { tokenize, salience, rankDocuments, rankFacts, rankMemoryStrings, DEFAULT_TOP_K } = require("../retrieval.js");
+
+const NOW = Date.parse("2025-06-14T12:00:00.000Z");
+const daysAgo = (n) => new Date(NOW - n * 24 * 60 * 60 * 1000).toISOString();
+const fact = (text, fields = {}) => ({ fact: text, entities: "", topics: "", importance: 5, timestamp: daysAgo(0), ...fields });
+const texts = (ranked) => ranked.map(r => r.ref.fact || r.ref);
+
+// --- TOKENIZING ---
+test("tokenize lowercases, drops stop words and folds simple plurals", () => {
+    assert.deepEqual(tokenize("What did Sam do on the Trips to Lisbon?"), ["sam", "trip", "lisbon"]);
+    // "ss" endings and short words keep their s
+    assert.deepEqual(tokenize("glass bus"), ["glass", "bus"]);
+});
+
+// --- BM25 ---
+test("facts that match more of the query rank first, non-matches are left out", () => {
+    const rows = [
+        fact("Sam went hiking in the Alps"),
+        fact("Sam's sister lives in Lisbon"),
+        fact("Sam moved to Lisbon for a job in tech")
+    ];
+    assert.deepEqual(texts(rankFacts(rows, ["Lisbon", "job"], { now: NOW })), [
+        "Sam moved to Lisbon for a job in tech",
+        "Sam's sister lives in Lisbon"
+    ]);
+});
+
+test("rare terms weigh more than common ones", () => {
+    const rows = [
+        fact("Sam likes coffee"),
+        fact("Sam likes tea"),
+        fact("Sam likes kombucha")
+    ];
+    assert.equal(texts(rankFacts(rows, ["likes", "kombucha"], { now: NOW }))[0], "Sam likes kombucha");
+});
+
+test("a name in the entities outweighs a passing mention in the text", () => {
+    const rows = [
+        fact("Met someone who knows Cody at the gym", { entities: "Sam" }),
+        fact("Went climbing on Saturday", { entities: "Cody" })
+    ];
+    assert.equal(texts(rankFacts(rows, ["Cody"], { now: NOW }))[0], "Went climbing on Saturday");
+});
+
+test("ghost hits far below the best one are dropped, and topK caps the rest", () => {
+    const docs = [
+        { text: "lisbon lisbon lisbon apartment rent", salience: 5, ref: "strong" },
+        { text: "weather report and forecast with a long list of unrelated words about lisbon", salience: 0, ref: "ghost" }
+    ];
+    assert.deepEqual(texts(rankDocuments(docs, ["lisbon", "apartment", "rent"])), ["strong"]);
+
+    const many = Array.from({ length: 20 }, (_, i) => ({ text: `tea note ${i}`, salience: 5, ref: i }));
+    assert.equal(rankDocuments(many, ["tea"]).length, DEFAULT_TOP_K);
+    assert.equal(rankDocuments(many, ["tea"], { topK: 3 }).length, 3);
+});
+
+test("no query terms or no documents rank nothing", () => {
+    assert.deepEqual(rankFacts([fact("Sam likes tea")], ["the", "a"], { now: NOW }), []);
+    assert.deepEqual(rankFacts([], ["tea"], { now: NOW }), []);
+});
+
+// --- SALIENCE ---
+test("salience starts at the importance and halves over the half-life", () => {
+    assert.equal(salience(fact("x", { importance: 1 }), NOW), 1);
+    // importance 1: 14 days
+    assert.ok(Math.abs(salience(fact("x", { importance: 1, timestamp: daysAgo(14) }), NOW) - 0.5) < 1e-9);
+    // importance 5: 14 * 2^2 = 56 days
+    assert.ok(Math.abs(salience(fact("x", { importance: 5, timestamp: daysAgo(56) }), NOW) - 2.5) < 1e-9);
+});
+
+test("reinforcement stretches the half-life and refreshes the clock", () => {
+    const old = fact("x", { importance: 5, timestamp: daysAgo(200) });
+    const reinforced = { ...old, reinforcements: 2 };
+    const recalled = { ...old, last_reinforced: daysAgo(1) };
+    assert.ok(salience(reinforced, NOW) > salience(old, NOW));
+    assert.ok(salience(recalled, NOW) > 4.9);
+});
+
+test("important memories never fade below their floor", () => {
+    assert.equal(salience(fact("x", { importance: 9, timestamp: daysAgo(5000) }), NOW), 9 * 0.8);
+    assert.equal(salience(fact("x", { importance: 7, timestamp: daysAgo(5000) }), NOW), 7 * 0.3);
+    assert.ok(salience(fact("x", { importance: 6, timestamp: daysAgo(5000) }), NOW) < 0.01);
+});
+
+test("between equal text matches, the more salient fact wins", () => {
+    const rows = [
+        fact("Sam plays chess", { importance: 2, timestamp: daysAgo(100) }),
+        fact("Sam plays piano", { importance: 8, timestamp: daysAgo(1) })
+    ];
+    assert.equal(texts(rankFacts(rows, ["plays"], { now: NOW }))[0], "Sam plays piano");
+});
+
+// --- APPS SCRIPT STRINGS ---
+test("sheet memory strings decay from their logged date and importance tag", () => {
+    const memories = [
+        "[Date: 2024-01-01] [Importance: 3] Sam plays chess",
+        "[Date: 2025-06-10] [Importance: 8] Sam plays piano"
+    ];
+    assert.deepEqual(texts(rankMemoryStrings(memories, ["plays"], { now: NOW })), [memories[1], memories[0]]);
+});
@@ -0,0 +1,235 @@
+// ============================================
+// SCENARIOS (test/scenarios.js) - ONE TURN PER PIPELINE BRANCH
+// Each scenario is a single processMemoryChat turn:
+//   turn    -> { text, mode: "standard" | "question" | "director", history }
+//   storage -> localStorage of the profile before the turn (pending facts...)
+//   memory  -> what the backend holds before the turn: { operations, media }
+//   replies -> scripted LLM answers per stage label, used when recording
+//              without a live model (see scriptedSource in harness.js)
+// memory and replies only matter for recording; replay reads the fixture.
+// The checked-in fixtures were recorded from these hand-written replies.
+// ============================================
+
+const NO_DEDUP = { is_duplicate: false, is_contradiction: false, contradicted_ids: [], warning_message: "" };
+const NOTHING_TO_STORE = { search_keywords: [], resolved_pending: [], unknown_pending: [], entries: [] };
+
+// "(#fact_xyz) [Date: ...] Sam lives in Berlin" -> "fact_xyz"
+const idOf = (prompt, text) => {
+    const line = prompt.split("\n").find(l => l.includes(text));
+    const match = line && line.match(/\(#([^)]+)\)/);
+    return match ? match[1] : null;
+};
+
+const SCENARIOS = [
+    // --- DIRECTOR MODE ---
+    {
+        name: "director-store",
+        description: "Director STORE: one new fact, one that contradicts (and supersedes) an archived one",
+        turn: { mode: "director", text: "Cody dyed his hair black. He also does his own stunts." },
+        memory: {
+            operations: [{ action: "store_director_fact", fact: "Cody has blond hair", entity: "Cody", tags: "Metadata" }]
+        },
+        replies: {
+            "DirectorAI": {
+                intent: "STORE",
+                facts: ["Cody has black hair", "Cody does his own stunts"],
+                entity_name: "Cody",
+                positive_constraints: ["Cody"],
+                negative_constraints: [],
+                response: "Noted."
+            },
+            "DirectorDedup": (prompt) => {
+                const old = idOf(prompt, "Cody has blond hair");
+                return prompt.includes('NEW FACT: "Cody has black hair"') && old
+                    ? { is_duplicate: false, is_contradiction: true, contradicted_ids: [`#${old}`], warning_message: "Cody's hair colour changed." }
+                    : NO_DEDUP;
+            }
+        }
+    },
+    {
+        name: "director-search",
+        description: "Director SEARCH: ambiguity check resolves, the search plays the matching clip",
+        turn: { mode: "director", text: "Show me Cody at the beach" },
+        memory: {
+            operations: [{ action: "store_director_fact", fact: "Cody is the tall guy with the red jacket", entity: "Cody", tags: "Metadata" }],
+            media: [
+                { name: "cody_beach.mp4", description: "Cody surfing at the beach", mime: "video/mp4", url: "https://drive.example/cody_beach" },
+                { name: "cody_gym.mp4", description: "Cody at the gym", mime: "video/mp4", url: "https://drive.example/cody_gym" },
+                { name: "brent_beach.mp4", description: "Brent at the beach", mime: "video/mp4", url: "https://drive.example/brent_beach" }
+            ]
+        },
+        replies: {
+            "DirectorAI": {
+                intent: "SEARCH",
+                facts: [],
+                entity_name: "Cody",
+                positive_constraints: ["Cody", "beach"],
+                negative_constraints: ["gym"],
+                response: "Rolling the beach footage."
+            },
+            "DirectorAmbiguity": { status: "RESOLVED", clarification_question: "", resolved_names: ["Cody", "beach"], resolved_excludes: [] }
+        }
+    },
+    {
+        name: "director-chat",
+        description: "Director CHAT: archive lookup, drill-down, filter, then an answer with decks",
+        turn: { mode: "director", text: "Who is the tallest actor here?" },
+        memory: {
+            operations: [
+                { action: "store_director_fact", fact: "Brent is a tall actor with a beard", entity: "Brent", tags: "Metadata" },
+                { action: "store_director_fact", fact: "Colby is a tall actor who rock climbs", entity: "Colby", tags: "Metadata" },
+                { action: "store_director_fact", fact: "Dean is a short comedian", entity: "Dean", tags: "Metadata" }
+            ]
+        },
+        replies: {
+            "DirectorAI": {
+                intent: "CHAT",
+                facts: [],
+                entity_name: "",
+                positive_constraints: ["tall", "Actor", "Entity"],
+                negative_constraints: [],
+                response: ""
+            },
+            "DirectorFilter": (prompt) => ({
+                matches: ["Brent", "Colby"].filter(name => prompt.includes(`[${name}]`)),
+                reasoning: "Both are described as tall actors."
+            }),
+            "DirectorContextChat": { response: "Brent and Colby are both tall. Brent is the one with the beard.", mood: "CRYPTIC" }
+        }
+    },
+
+    // --- STANDARD MODE ---
+    {
+        name: "timekeeper-intercept",
+        description: "An important event without a date is held back and the Interceptor asks when; the rest of the message still goes through dedup",
+        turn: { mode: "standard", text: "I broke my wrist skateboarding. I love skateboarding though" },
+        memory: {
+            operations: [{ action: "store_atomic", fact: "Sam loves skateboarding", entities: "Sam", topics: "Hobby", importance: 3 }]
+        },
+        replies: {
+            "Hybrid Analysis": {
+                search_keywords: ["wrist", "skateboarding"],
+                resolved_pending: [],
+                unknown_pending: [],
+                entries: [
+                    { fact: "Sam broke their wrist skateboarding", entities: "Sam", topics: "Health", importance: 8 },
+                    { fact: "Sam loves skateboarding", entities: "Sam", topics: "Hobby", importance: 3 }
+                ]
+            },
+            "Timekeeper": { valid: false, rewritten_fact: "", date_expression: "" },
+            "Interceptor": { response: "Ouch. When did that happen?" },
+            "DedupRefine": (prompt) => {
+                const same = idOf(prompt, "Sam loves skateboarding");
+                return { status: same ? "DUPLICATE" : "NEW", better_fact: "", better_entities: "", supersedes: [], duplicate_of: same ? [`#${same}`] : [] };
+            }
+        }
+    },
+    {
+        name: "pending-merge",
+        description: "The answer to the Interceptor dates the queued fact, which is merged and stored",
+        turn: {
+            mode: "standard",
+            text: "It was last Saturday, at the skatepark",
+            history: [
+                { role: "user", content: "I broke my wrist skateboarding" },
+                { role: "assistant", content: "Ouch. When did that happen?" }
+            ]
+        },
+        storage: {
+            symbiosis_pending_facts: [{
+                id: "pwrist1",
+                fact: "Sam broke their wrist skateboarding",
+                entities: "Sam",
+                topics: "Health",
+                importance: 8,
+                entity_types: {},
+                relations: [],
+                asked_at: "2025-06-14T14:50:00.000Z",
+                expires_at: "2025-06-17T14:50:00.000Z"
+            }]
+        },
+        replies: {
+            // Merges only what the prompt actually offered
+            "Hybrid Analysis": (prompt) => prompt.includes('(#pwrist1) "Sam broke their wrist skateboarding"') ? {
+                search_keywords: ["wrist", "skatepark"],
+                resolved_pending: ["#pwrist1"],
+                unknown_pending: [],
+                entries: [{ fact: "Sam broke their wrist skateboarding at the skatepark", entities: "Sam", topics: "Health", importance: 8 }]
+            } : NOTHING_TO_STORE,
+            "Timekeeper": { valid: true, rewritten_fact: "", date_expression: "last Saturday" },
+            "Generation": { response: "A skatepark fall. How is the wrist healing?", mood: "CURIOUS", roots: [] }
+        }
+    },
+    {
+        name: "dedup-contradiction",
+        description: "A new fact contradicts a stored one: dedup marks it UPDATE and it supersedes the old fact",
+        turn: { mode: "standard", text: "I just moved to Lisbon!" },
+        memory: {
+            operations: [{ action: "store_atomic", fact: "Sam lives in Berlin", entities: "Sam, Berlin", topics: "Home", importance: 7 }]
+        },
+        replies: {
+            "Hybrid Analysis": {
+                search_keywords: ["Lisbon", "moved", "lives", "home"],
+                resolved_pending: [],
+                unknown_pending: [],
+                entries: [{ fact: "Sam lives in Lisbon", entities: "Sam, Lisbon", topics: "Home", importance: 7 }]
+            },
+            "Timekeeper": { valid: true, rewritten_fact: "", date_expression: "" },
+            "Generation": { response: "Lisbon! Quite a change from Berlin. What made you move?", mood: "JOYFUL", roots: [] },
+            "DedupRefine": (prompt) => {
+                const old = idOf(prompt, "Sam lives in Berlin");
+                return old
+                    ? { status: "UPDATE", better_fact: "", better_entities: "", supersedes: [`#${old}`], duplicate_of: [] }
+                    : { status: "NEW", better_fact: "", better_entities: "", supersedes: [], duplicate_of: [] };
+            }
+        }
+    },
+    {
+        name: "dedup-same-turn",
+        description: "One message says the same thing twice: the second entry is checked against the first and skipped",
+        turn: { mode: "standard", text: "I adopted a cat named Miso! Miso is my new cat." },
+        replies: {
+            "Hybrid Analysis": {
+                search_keywords: ["cat", "Miso"],
+                resolved_pending: [],
+                unknown_pending: [],
+                entries: [
+                    { fact: "Sam adopted a cat named Miso", entities: "Sam, Miso", topics: "Pets", importance: 6 },
+                    { fact: "Sam has a new cat named Miso", entities: "Sam, Miso", topics: "Pets", importance: 6 }
+                ]
+            },
+            "Timekeeper": { valid: true, rewritten_fact: "", date_expression: "" },
+            "Generation": { response: "Miso! What does Miso look like?", mood: "JOYFUL", roots: [] },
+            "DedupRefine": (prompt) => prompt.includes("Sam adopted a cat named Miso")
+                ? { status: "DUPLICATE", better_fact: "", better_entities: "", supersedes: [], duplicate_of: [] }
+                : { status: "NEW", better_fact: "", better_entities: "", supersedes: [], duplicate_of: [] }
+        }
+    },
+
+    // --- QUESTION MODE ---
+    {
+        name: "question-mode",
+        description: "Question mode asks a new question; memory has nothing on it, so it goes out unchanged",
+        turn: { mode: "question", text: "Ask me something" },
+        replies: {
+            "Hybrid Analysis": NOTHING_TO_STORE,
+            "Generation": { response: "What did you want to be when you were little?", mood: "QUESTION", roots: [] }
+        }
+    },
+    {
+        name: "sanity-correction",
+        description: "Question mode asks something memory already answers: the sanity check has it rewritten",
+        turn: { mode: "question", text: "Ask me something" },
+        memory: {
+            operations: [{ action: "store_atomic", fact: "Sam studied biology at the university of Porto", entities: "Sam, Porto", topics: "Education", importance: 6 }]
+        },
+        replies: {
+            "Hybrid Analysis": NOTHING_TO_STORE,
+            "Generation": { response: "Which university did you attend?", mood: "QUESTION", roots: [] },
+            "RedundancyCheck": (prompt) => ({ is_redundant: prompt.includes("university of Porto") }),
+            "CorrectionGeneration": { response: "What got you into biology in the first place?", mood: "CURIOUS" }
+        }
+    }
+];
+
+module.exports = SCENARIOS;
@@ -0,0 +1,98 @@
+// ============================================
+// SCHEMAS TESTS (test/schemas.test.js) - WHAT EVERY LLM STAGE MUST RETURN
+// Repair and validation of stage output in schemas.js.
+// Run: node --test
+// ============================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { STAGE_SCHEMAS, check, fallback, validate } = require("../schemas.js");
+
+// --- PASSING ---
+test("a well-formed reply passes untouched", () => {
+    const reply = { response: "Hello Sam", mood: "JOYFUL", roots: [] };
+    assert.deepEqual(check("Generation", reply), { value: reply, errors: [], repairs: [] });
+});
+
+test("labels without a schema pass through", () => {
+    const reply = { anything: 1 };
+    assert.deepEqual(check("NoSuchStage", reply), { value: reply, errors: [], repairs: [] });
+});
+
+// --- REPAIRS ---
+test("near-misses are repaired and every repair is named", () => {
+    const res = check("Hybrid Analysis", {
+        search_keywords: "Lisbon, job",
+        entries: [{ fact: "Sam moved to Lisbon", importance: "12", relations: { from: "Sam", type: "lives_in", to: "Lisbon" } }]
+    });
+    assert.deepEqual(res.errors, []);
+    assert.deepEqual(res.value.search_keywords, ["Lisbon", "job"]);
+    assert.deepEqual(res.value.entries[0], {
+        fact: "Sam moved to Lisbon", entities: "", topics: "", importance: 10, entity_types: {},
+        relations: [{ from: "Sam", type: "lives_in", to: "Lisbon" }]
+    });
+    assert.deepEqual(res.value.resolved_pending, []);
+    assert.deepEqual(res.repairs, [
+        "search_keywords: split string into list",
+        "entries[0].importance: parsed number from \"12\"",
+        "entries[0].importance: lowered 12 to 10",
+        "entries[0].relations: wrapped single value in a list"
+    ]);
+});
+
+test("enums are matched without case, unknown values fall back to the default", () => {
+    assert.equal(check("Generation", { response: "Hi", mood: "joyful" }).value.mood, "JOYFUL");
+    const res = check("Generation", { response: "Hi", mood: "ecstatic" });
+    assert.equal(res.value.mood, "NEUTRAL");
+    assert.deepEqual(res.repairs, ["mood: unknown \"ecstatic\", used default \"NEUTRAL\""]);
+});
+
+test("strings, booleans and lists are coerced where the meaning is clear", () => {
+    const res = check("DirectorDedup", { is_duplicate: "yes", contradicted_ids: "f1, f2", warning_message: ["a", "b"] });
+    assert.deepEqual(res.errors, []);
+    assert.deepEqual(res.value, { is_duplicate: true, is_contradiction: false, contradicted_ids: ["f1", "f2"], warning_message: "a, b" });
+});
+
+test("lists over maxItems are cut", () => {
+    const branches = Array.from({ length: 7 }, (_, i) => ({ label: `b${i}` }));
+    const res = check("Generation", { response: "Hi", mood: "NEUTRAL", roots: [{ label: "r", branches: branches }] });
+    assert.equal(res.value.roots[0].branches.length, 5);
+    assert.deepEqual(res.repairs, ["roots[0].branches: cut 7 items to 5"]);
+});
+
+// --- ERRORS ---
+test("what can't be repaired is reported field by field", () => {
+    const res = check("Hybrid Analysis", {
+        search_keywords: ["x", ""],
+        entries: [{ importance: "lots" }, { fact: "ok", relations: [{ from: "Sam" }] }]
+    });
+    assert.deepEqual(res.errors, [
+        "search_keywords[1]: is empty",
+        "entries[0].fact: required",
+        "entries[0].importance: expected integer, got string",
+        "entries[1].relations[0].type: required",
+        "entries[1].relations[0].to: required"
+    ]);
+});
+
+test("a missing required field or a reply of the wrong shape is an error", () => {
+    assert.deepEqual(check("Timekeeper", {}).errors, ["valid: required"]);
+    assert.deepEqual(check("DedupRefine", { status: "MAYBE" }).errors, ["status: \"MAYBE\" is not one of DUPLICATE, NEW, UPDATE"]);
+    assert.deepEqual(check("Interceptor", "When?").errors, ["(root): expected object, got string"]);
+});
+
+// --- FALLBACKS ---
+test("every stage's fallback is valid against its own schema", () => {
+    // An empty summary is the signal to keep the old one
+    assert.deepEqual(validate(STAGE_SCHEMAS.SessionSummary.schema, fallback("SessionSummary")), ["summary: is empty"]);
+    Object.entries(STAGE_SCHEMAS).filter(([label]) => label !== "SessionSummary").forEach(([label, stage]) => {
+        assert.deepEqual(validate(stage.schema, stage.fallback), [], label);
+    });
+});
+
+test("fallback hands out a copy", () => {
+    const a = fallback("DirectorAI");
+    a.facts.push("changed");
+    assert.deepEqual(fallback("DirectorAI").facts, []);
+    assert.equal(fallback("NoSuchStage"), undefined);
+});
@@ -0,0 +1,227 @@
+// ============================================
+// TRACE (trace.js) - WHAT HAPPENED IN A TURN
+// Every processMemoryChat run is recorded as a trace: each LLM call with its
+// prompt, raw reply, parsed output, schema result, retries and latency, each
+// backend call with its payload and response, and the stage timings.
+// Kept in memory for the last few turns; "trace" opens the dev panel,
+// "export trace" downloads them as JSON.
+// ============================================
+
+const TRACE_LIMIT = 20;
+
+let traces = [];
+let activeTrace = null;
+
+const traceClock = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// Snapshots, so later edits to the same objects don't rewrite history
+function traceSnapshot(value) {
+    if (value === undefined) return undefined;
+    try { return JSON.parse(JSON.stringify(value)); } catch (e) { return String(value); }
+}
+
+// --- 1. RECORDING ---
+// meta: { input, mode }
+function beginTrace(meta = {}) {
+    if (activeTrace) closeTrace(activeTrace);
+    const trace = {
+        id: `t${Date.now().toString(36)}`,
+        started_at: new Date().toISOString(),
+        input: meta.input || "",
+        mode: meta.mode || "standard",
+        events: [],
+        stages: [],
+        reply: null,
+        error: null,
+        ms: null,
+        t0: traceClock(),
+        waiting: false,
+        closed: false
+    };
+    traces.push(trace);
+    if (traces.length > TRACE_LIMIT) traces = traces.slice(-TRACE_LIMIT);
+    activeTrace = trace;
+    return trace;
+}
+
+// The reply is out. The trace stays open while background stages (see waitFor) still run.
+function finishTrace(trace, { reply = null, error = null } = {}) {
+    trace.reply = traceSnapshot(reply);
+    trace.error = error ? String(error.message || error) : null;
+    trace.ms = Math.round(traceClock() - trace.t0);
+    if (!trace.waiting) closeTrace(trace);
+}
+
+function closeTrace(trace) {
+    trace.closed = true;
+    if (activeTrace === trace) activeTrace = null;
+    renderTracePanel();
+}
+
+// Events go to the trace of the turn that made the call (the active one unless given), so
+// background work of one turn never lands in the next. Anything after the reply is background work.
+function pushTraceEvent(event, trace = activeTrace) {
+    if (!trace) return event;
+    event.at_ms = Math.round(traceClock() - trace.t0);
+    if (trace.ms !== null) event.background = true;
+    trace.events.push(event);
+    return event;
+}
+
+// One LLM call. The caller fills in attempts[] ({ attempt, model, ms, status, raw, parsed,
+// errors, repairs, error }) and ends it with endTraceCall.
+function traceLlmCall(label, messages, { streamed = false, trace = activeTrace } = {}) {
+    return pushTraceEvent({ type: "llm", label: label, streamed: streamed, prompt: traceSnapshot(messages), attempts: [], outcome: null, parsed: null, ms: null, _t0: traceClock() }, trace);
+}
+
+// outcome: "ok" | "fallback" (every attempt failed) | "stream_failed" (retried without streaming)
+function endTraceCall(call, outcome, parsed) {
+    call.outcome = outcome;
+    call.parsed = traceSnapshot(parsed);
+    call.ms = Math.round(traceClock() - call._t0);
+    delete call._t0;
+    renderTracePanel();
+}
+
+function traceBackendCall(backend, action, payload, response, ms, error = null, trace = activeTrace) {
+    pushTraceEvent({
+        type: "backend",
+        backend: backend,
+        action: action,
+        payload: traceSnapshot(payload),
+        response: traceSnapshot(response),
+        error: error ? String(error.message || error) : null,
+        ms: Math.round(ms)
+    }, trace);
+}
+
+// --- 2. EXPORT ---
+const publicTrace = (trace) => {
+    const { t0, waiting, closed, ...rest } = trace;
+    return traceSnapshot(rest);
+};
+
+function exportTraces(list = traces) {
+    const dump = { format: "symbiosis-traces", exported_at: new Date().toISOString(), traces: list.map(publicTrace) };
+    const blob = new Blob([JSON.stringify(dump, null, 2)], { type: "application/json" });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `symbiosis-traces-${new Date().toISOString().slice(0, 19).replace(/:/g, "-")}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    return dump.traces.length;
+}
+
+// --- 3. DEV PANEL ---
+// One collapsible block per turn (newest first), one row per event inside.
+// key: stays open across re-renders (calls finish while the panel is open)
+function traceBlock(title, body, className = "", key = "") {
+    const details = document.createElement('details');
+    details.className = className;
+    details.dataset.key = key;
+    const summary = document.createElement('summary');
+    summary.textContent = title;
+    details.appendChild(summary);
+    if (body !== undefined) {
+        const pre = document.createElement('pre');
+        pre.textContent = typeof body === "string" ? body : JSON.stringify(body, null, 2);
+        details.appendChild(pre);
+    }
+    return details;
+}
+
+function describeTraceEvent(e) {
+    const when = `+${e.at_ms}ms${e.background ? " BG" : ""}`;
+    if (e.type === "backend") return `${when} · DB ${e.action.toUpperCase()} · ${e.ms}ms${e.error ? " · ERROR" : ""}`;
+    const retries = e.attempts.length > 1 ? ` · ${e.attempts.length} ATTEMPTS` : "";
+    return `${when} · LLM ${e.label.toUpperCase()}${e.streamed ? " (STREAM)" : ""} · ${e.ms === null ? "..." : `${e.ms}ms`}${retries} · ${(e.outcome || "running").toUpperCase()}`;
+}
+
+function renderTraceEvent(e, key) {
+    const block = traceBlock(describeTraceEvent(e), undefined, `trace-event ${e.type}${e.outcome && e.outcome !== "ok" ? " failed" : ""}`, key);
+    if (e.type === "backend") {
+        block.appendChild(traceBlock("PAYLOAD", e.payload, "", `${key}:payload`));
+        block.appendChild(traceBlock(e.error ? "ERROR" : "RESPONSE", e.error || e.response, "", `${key}:response`));
+        return block;
+    }
+    block.appendChild(traceBlock("PROMPT", e.prompt.map(m => `[${m.role}]\n${m.content}`).join("\n\n"), "", `${key}:prompt`));
+    e.attempts.forEach(a => {
+        const verdict = a.error ? `FAILED: ${a.error}` : "OK";
+        block.appendChild(traceBlock(`ATTEMPT ${a.attempt} [${a.model}] · ${a.ms}ms · ${verdict}`, {
+            status: a.status, raw: a.raw, parsed: a.parsed, errors: a.errors, repairs: a.repairs
+        }, "", `${key}:attempt${a.attempt}`));
+    });
+    block.appendChild(traceBlock("RESULT", e.parsed, "", `${key}:result`));
+    return block;
+}
+
+function renderTracePanel() {
+    const panel = document.getElementById('trace-panel');
+    const list = document.getElementById('trace-list');
+    if (!panel || !list || panel.classList.contains('hidden')) return;
+
+    const open = new Set([...list.querySelectorAll('details[open]')].map(d => d.dataset.key));
+    list.innerHTML = "";
+    if (traces.length === 0) {
+        list.innerHTML = `<div class="mem-empty">NO TURNS TRACED YET.</div>`;
+        return;
+    }
+    traces.slice().reverse().forEach(trace => {
+        const llm = trace.events.filter(e => e.type === "llm").length;
+        const db = trace.events.filter(e => e.type === "backend").length;
+        const time = window.UserProfile.time(new Date(trace.started_at));
+        const status = trace.error ? "ERROR" : trace.ms === null ? "RUNNING" : `${trace.ms}ms${trace.closed ? "" : " · BACKGROUND RUNNING"}`;
+        const block = traceBlock(`${time} · ${trace.mode.toUpperCase()} · "${trace.input}" · ${llm} LLM · ${db} DB · ${status}`, undefined, "trace-turn", trace.id);
+
+        if (trace.stages.length > 0) block.appendChild(traceBlock(`STAGES · ${window.SymbiosisPipeline.formatTimings(trace.stages)}`, trace.stages, "", `${trace.id}:stages`));
+        trace.events.forEach((e, i) => block.appendChild(renderTraceEvent(e, `${trace.id}:${i}`)));
+        block.appendChild(traceBlock(trace.error ? "ERROR" : "REPLY", trace.error || trace.reply, "", `${trace.id}:reply`));
+        list.appendChild(block);
+    });
+    list.querySelectorAll('details').forEach(d => { if (open.has(d.dataset.key)) d.open = true; });
+}
+
+window.toggleTracePanel = function() {
+    const panel = document.getElementById('trace-panel');
+    if (!panel) return;
+
+    // Only one full-screen panel at a time
+    const term = document.getElementById('terminal-history');
+    if (term && !term.classList.contains('hidden')) window.toggleHistory();
+    const memPanel = document.getElementById('memory-panel');
+    if (memPanel && !memPanel.classList.contains('hidden')) window.toggleMemoryPanel();
+
+    panel.classList.toggle('hidden');
+    renderTracePanel();
+};
+
+window.Trace = {
+    begin: beginTrace,
+    finish: finishTrace,
+    current: () => activeTrace,
+    // Stage timings of a turn's trace (pipeline.js)
+    stages(timings, trace = activeTrace) {
+        if (trace) trace.stages = traceSnapshot(timings);
+    },
+    // Keep a turn's trace open until its background stages settle ({ timings })
+    waitFor(settled, trace = activeTrace) {
+        if (!trace) return;
+        trace.waiting = true;
+        settled.then(res => {
+            if (res && res.timings) trace.stages = traceSnapshot(res.timings);
+        }).catch(() => {}).then(() => {
+            trace.waiting = false;
+            if (trace.ms !== null) closeTrace(trace);
+        });
+    },
+    llmCall: traceLlmCall,
+    endCall: endTraceCall,
+    backendCall: traceBackendCall,
+    list: () => traces.map(publicTrace),
+    export: exportTraces,
+    clear() {
+        traces = [];
+        activeTrace = null;
+        renderTracePanel();
+    }
+};
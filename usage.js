@@ -0,0 +1,158 @@
+// ============================================
+// USAGE (usage.js) - TOKENS & SPEND PER PIPELINE STAGE
+// Every LLM call is booked under its stage label ("Timekeeper", "Generation"...)
+// and added up per turn, per session (this page load) and per day.
+// Cost comes from the provider's usage report (OpenRouter); providers that
+// report no usage get an estimate of the tokens and no cost.
+// An optional daily cap degrades the pipeline instead of stopping it.
+// ============================================
+
+const USAGE_KEY = "symbiosis_usage";
+const USAGE_CAP_KEY = "symbiosis_usage_cap";
+const USAGE_DAYS_KEPT = 30;
+// Stages the pipeline can do without; skipped once today's spend reaches the cap
+const DEGRADABLE_STAGES = ["RedundancyCheck", "SessionSummary"];
+
+const emptyUsage = () => ({ calls: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0, estimated: 0, stages: {} });
+
+let usageTurn = emptyUsage();
+let usageSession = emptyUsage();
+let usageSkipLogged = {};
+
+// --- 1. BOOKKEEPING ---
+function addUsage(total, label, entry) {
+    [total, total.stages[label] || (total.stages[label] = { calls: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0 })].forEach(t => {
+        t.calls++;
+        t.prompt_tokens += entry.prompt_tokens;
+        t.completion_tokens += entry.completion_tokens;
+        t.cost += entry.cost;
+    });
+    if (entry.estimated) total.estimated++;
+}
+
+function loadUsageDays() {
+    try { return JSON.parse(window.profileStorage.getItem(USAGE_KEY) || "{}"); } catch (e) { return {}; }
+}
+
+// Days are the user's own (profile time zone), so the cap resets at their midnight
+const usageDayKey = () => window.UserProfile.day(new Date().toISOString());
+
+function saveUsageDays(days) {
+    const keep = Object.keys(days).sort().slice(-USAGE_DAYS_KEPT);
+    const trimmed = {};
+    keep.forEach(k => trimmed[k] = days[k]);
+    window.profileStorage.setItem(USAGE_KEY, JSON.stringify(trimmed));
+}
+
+// usage: the provider's { prompt_tokens, completion_tokens, cost } (or nothing).
+// messages / reply: what was sent and received, for the estimate when usage is missing.
+function recordUsage(label, model, usage, messages = [], reply = "") {
+    const Context = window.SymbiosisContext;
+    const entry = usage ? {
+        prompt_tokens: Number(usage.prompt_tokens) || 0,
+        completion_tokens: Number(usage.completion_tokens) || 0,
+        cost: Number(usage.cost) || 0,
+        estimated: false
+    } : {
+        prompt_tokens: Context.estimateTokens(messages.map(m => m.content).join("\n")),
+        completion_tokens: Context.estimateTokens(reply),
+        cost: 0,
+        estimated: true
+    };
+
+    addUsage(usageTurn, label, entry);
+    addUsage(usageSession, label, entry);
+    const days = loadUsageDays();
+    const key = usageDayKey();
+    days[key] = days[key] || emptyUsage();
+    addUsage(days[key], label, entry);
+    saveUsageDays(days);
+
+    console.log(`💸 ${label} [${model}]: ${entry.prompt_tokens}+${entry.completion_tokens} tok${entry.estimated ? " (est.)" : ""}${entry.cost ? ` · $${entry.cost.toFixed(5)}` : ""}`);
+    renderUsagePanel();
+}
+
+// --- 2. DAILY CAP ---
+function loadUsageCap() {
+    const cap = parseFloat(window.profileStorage.getItem(USAGE_CAP_KEY));
+    return isFinite(cap) && cap > 0 ? cap : null;
+}
+
+function usageCapReached() {
+    const cap = loadUsageCap();
+    if (cap === null) return false;
+    const today = loadUsageDays()[usageDayKey()];
+    return !!today && today.cost >= cap;
+}
+
+// true -> leave this stage out (logged once per stage and turn)
+function usageSkips(label) {
+    if (!DEGRADABLE_STAGES.includes(label) || !usageCapReached()) return false;
+    if (!usageSkipLogged[label]) {
+        usageSkipLogged[label] = true;
+        console.warn(`💸 Daily cap of $${loadUsageCap()} reached: skipping ${label}`);
+    }
+    return true;
+}
+
+// --- 3. USAGE PANEL ---
+const formatTokens = (n) => n >= 1000 ? `${(n / 1000).toFixed(1)}K` : String(n);
+const formatCost = (n) => `$${n.toFixed(n >= 1 ? 2 : 4)}`;
+
+function describeUsage(total) {
+    const tokens = formatTokens(total.prompt_tokens + total.completion_tokens);
+    return `${total.calls} CALLS · ${tokens} TOK · ${formatCost(total.cost)}${total.estimated ? ` (${total.estimated} EST.)` : ""}`;
+}
+
+function renderUsagePanel() {
+    const panel = document.getElementById('usage-panel');
+    if (!panel || panel.classList.contains('hidden')) return;
+
+    const today = loadUsageDays()[usageDayKey()] || emptyUsage();
+    const cap = loadUsageCap();
+    const capLine = cap === null ? "NO DAILY CAP" : `CAP ${formatCost(cap)}${usageCapReached() ? " · REACHED (DEGRADED)" : ""}`;
+    // One row per stage, most expensive (then most tokens) first
+    const rows = Object.entries(today.stages)
+        .sort((a, b) => (b[1].cost - a[1].cost) || ((b[1].prompt_tokens + b[1].completion_tokens) - (a[1].prompt_tokens + a[1].completion_tokens)))
+        .map(([label, s]) => `<tr><td>${label.toUpperCase()}</td><td>${s.calls}</td><td>${formatTokens(s.prompt_tokens + s.completion_tokens)}</td><td>${formatCost(s.cost)}</td></tr>`)
+        .join("");
+
+    panel.innerHTML = `
+        <div class="usage-line"><span>TURN</span>${describeUsage(usageTurn)}</div>
+        <div class="usage-line"><span>SESSION</span>${describeUsage(usageSession)}</div>
+        <div class="usage-line"><span>TODAY</span>${describeUsage(today)}</div>
+        <div class="usage-cap${usageCapReached() ? " reached" : ""}">${capLine}</div>
+        <table class="usage-stages">${rows || `<tr><td>NO CALLS TODAY</td></tr>`}</table>
+    `;
+}
+
+window.toggleUsagePanel = function() {
+    const panel = document.getElementById('usage-panel');
+    if (!panel) return;
+    panel.classList.toggle('hidden');
+    renderUsagePanel();
+};
+
+window.Usage = {
+    DEGRADABLE_STAGES: DEGRADABLE_STAGES,
+    record: recordUsage,
+    // A new user message: the turn total starts over
+    beginTurn() {
+        usageTurn = emptyUsage();
+        usageSkipLogged = {};
+        renderUsagePanel();
+    },
+    turn: () => usageTurn,
+    session: () => usageSession,
+    today: () => loadUsageDays()[usageDayKey()] || emptyUsage(),
+    days: loadUsageDays,
+    cap: loadUsageCap,
+    // usd: a positive number, or null to remove the cap
+    setCap(usd) {
+        if (usd === null) window.profileStorage.removeItem(USAGE_CAP_KEY);
+        else window.profileStorage.setItem(USAGE_CAP_KEY, String(usd));
+        renderUsagePanel();
+    },
+    capReached: usageCapReached,
+    skips: usageSkips
+};
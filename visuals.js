@@ -545,6 +545,26 @@ function assignFactsToNodes() {
         }
     });
 }
+// --- RELATION GRAPH -> GRAPH DATA ---
+// Real, stored relations instead of an LLM-invented tree:
+// root = entity, branches = roles (FRIEND, SIBLING...), leaves = the people in that role.
+// Second-degree hits ("friend of a friend") hang off their first-degree contact via links.
+window.relationsToGraph = (entityName, related) => {
+    const byRole = {};
+    const links = [];
+    (related || []).forEach(r => {
+        if (r.depth === 1) (byRole[r.role] = byRole[r.role] || []).push({ text: r.name });
+        else if (r.via) links.push({ source: r.name, target: r.via });
+    });
+    return {
+        roots: [{
+            label: entityName,
+            branches: Object.keys(byRole).map(role => ({ label: role.toUpperCase(), leaves: byRole[role] }))
+        }],
+        links: links
+    };
+};
+
 // --- UPDATED GRAPH BUILDER: MULTI-ROOT + DEDUPLICATION ---
 window.buildKnowledgeGraph = (graphData, boidsArray) => {
     graphModeActive = true;
@@ -719,11 +739,15 @@ window.triggerGraphDissolve = () => {
     if (legendContainer) legendContainer.innerHTML = '';
 };
 
-window.spawnFoodText = (text) => {
-    foodParticles = [];
-    eatenFoodCount = 0;
+// append: add to the particles already floating (a streamed reply arriving word by word)
+window.spawnFoodText = (text, append = false) => {
+    if (!append) {
+        foodParticles = [];
+        eatenFoodCount = 0;
+        totalFoodCount = 0;
+    }
     const chars = text.split('');
-    totalFoodCount = chars.length;
+    totalFoodCount += chars.length;
     window.feedingActive = true;
     
     const w = window.canvasLogicalWidth || window.innerWidth;
@@ -751,7 +775,13 @@ window.activeWordMode = false;
 let globalAtmosphereMod = { speed: 1.0, sep: 0, align: 0, wave: 0 };
 window.currentIntensity = 0; 
 
-window.speak = function(text) {
+// Speech that can start before the whole text is known (streamed replies):
+// push(textSoFar) as it grows (the last, unfinished word waits), end(finalText) once complete.
+// A newer speech always takes over from an older one.
+let speechSession = 0;
+
+window.speakStream = function() {
+    const session = ++speechSession;
     window.feedingActive = false; eatenFoodCount = 0; totalFoodCount = 0;
     window.initAudio(); 
     window.startBreathStream();
@@ -761,18 +791,33 @@ window.speak = function(text) {
     subtitleTrack.innerHTML = ''; subtitleMask.style.opacity = '1';
     subtitleTrack.style.transform = 'translateX(0px)';
     
-    const words = text.split(" ");
+    const words = [];
     const spans = [];
-    words.forEach(word => {
-        const s = document.createElement('span'); s.textContent = word; s.className = 'char-span'; 
-        subtitleTrack.appendChild(s); spans.push(s);
-    });
+    let closed = false, waiting = false, restarted = false;
+
+    function addWords(text, final) {
+        const next = text.split(" ");
+        if (!final) next.pop();
+        // The finished text isn't what was streamed (e.g. a retried request): start over
+        if (words.some((w, i) => next[i] !== w)) {
+            restarted = true;
+            window.speak(text);
+            return;
+        }
+        next.slice(words.length).forEach(word => {
+            const s = document.createElement('span'); s.textContent = word; s.className = 'char-span'; 
+            subtitleTrack.appendChild(s); spans.push(s); words.push(word);
+        });
+        if (waiting && words.length > wordIndex) { waiting = false; playNextWord(); }
+    }
     
     let wordIndex = 0;
     const moodData = window.MOOD_AUDIO[window.glitchMode ? "GLITCH" : window.currentMood] || window.MOOD_AUDIO["NEUTRAL"];
     const speedMod = moodData.speed;
 
     function playNextWord() {
+        if (session !== speechSession) return;
+        if (wordIndex >= words.length && !closed) { waiting = true; return; }
         if(wordIndex >= words.length) {
             window.activeWordMode = false;
             globalAtmosphereMod = { speed: 1.0, sep: 0, align: 0, wave: 0 };
@@ -810,6 +855,29 @@ window.speak = function(text) {
     }
     
     playNextWord();
+
+    return {
+        push: (text) => { if (!closed && !restarted) addWords(text, false); },
+        end: (text) => {
+            if (closed || restarted) return;
+            closed = true;
+            addWords(text, true);
+            if (waiting) { waiting = false; playNextWord(); }
+        },
+        // Stop mid-sentence, nothing more of this speech will come
+        cancel: () => {
+            if (session !== speechSession) return;
+            speechSession++;
+            window.activeWordMode = false;
+            globalAtmosphereMod = { speed: 1.0, sep: 0, align: 0, wave: 0 };
+            window.stopBreathStream();
+            subtitleMask.style.opacity = '0'; subtitleTrack.innerHTML = '';
+        }
+    };
+};
+
+window.speak = function(text) {
+    window.speakStream().end(text);
 };
 
 window.initSymbiosisAnimation = function() {